@@ -2,9 +2,45 @@
 
 const path = require('path');
 const { createServer } = require('../server/index.js');
+const { TokenStore } = require('../server/auth.js');
 
 const PORT = process.env.CLAUDEGRID_PORT || 3333;
 
+// Token management: claudegrid token <create|list|revoke> [name|id] [role]
+if (process.argv[2] === 'token') {
+  const [action, arg, role] = process.argv.slice(3);
+  const tokenStore = new TokenStore();
+
+  switch (action) {
+    case 'create': {
+      try {
+        const { token, record } = tokenStore.create(arg, role);
+        console.log(`Created ${record.role} token '${record.name}' (id ${record.id}):\n\n  ${token}\n\nStore it now - it cannot be shown again.`);
+      } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+      }
+      break;
+    }
+    case 'list':
+      for (const t of tokenStore.list()) {
+        console.log(`${t.id}  ${t.name.padEnd(20)} ${t.role.padEnd(9)} created ${t.createdAt}`);
+      }
+      break;
+    case 'revoke':
+      if (!arg || !tokenStore.revoke(arg)) {
+        console.error(`No token matching '${arg}'`);
+        process.exit(1);
+      }
+      console.log(`Revoked token '${arg}'`);
+      break;
+    default:
+      console.error('Usage: claudegrid token <create [name] [viewer|operator|admin] | list | revoke <id|name>>');
+      process.exit(1);
+  }
+  process.exit(0);
+}
+
 const server = createServer();
 
 server.listen(PORT, () => {
@@ -21,6 +57,8 @@ server.listen(PORT, () => {
 ║    npx claudegrid --install-hooks                         ║
 ║  or:                                                      ║
 ║    node hooks/install.js                                  ║
+║                                                           ║
+║  Access token: ~/.claudegrid/data/token                   ║
 ╚═══════════════════════════════════════════════════════════╝
 `);
 });
@@ -38,6 +38,7 @@ const TIMING = {
   DIM_LERP_SPEED: 3,          // dim transition speed
   MORPH_SPEED: 4,             // geometry morph speed
   SCALE_LERP_SPEED: 8,        // tool bit scale animation speed
+  HIGHLIGHT_DURATION: 2,      // seconds a highlighted bit pulses
 };
 
 // Shader for Tron glow effect
@@ -395,6 +396,9 @@ export class BitVisualizer {
     this.currentDim = 0;
     this.targetDim = 0;
 
+    // Seconds of highlight pulse left
+    this.highlightTime = 0;
+
     // Shatter particles
     this.shatterParticles = null;
     this.isShattered = false;
@@ -482,6 +486,7 @@ export class BitVisualizer {
         }
         break;
 
+      case 'SubagentStart':
       case 'UserPromptSubmit':
         this.setDimmed(false);
         this.hasWorked = true;
@@ -551,6 +556,11 @@ export class BitVisualizer {
     this.targetDim = dimmed ? 1 : 0;
   }
 
+  // Pulse the bit so it can be picked out of the grid
+  highlight() {
+    this.highlightTime = TIMING.HIGHLIGHT_DURATION;
+  }
+
   setEventData(event) {
     // Track last tool file path (persists across non-tool events)
     if (event.tool_input) {
@@ -667,6 +677,14 @@ export class BitVisualizer {
     // Update scale morph (geometry swap at midpoint)
     this.updateMorph(delta);
 
+    // Highlight pulse, fading out
+    if (this.highlightTime > 0) {
+      this.highlightTime = Math.max(0, this.highlightTime - delta);
+      const fade = this.highlightTime / TIMING.HIGHLIGHT_DURATION;
+      const pulse = Math.abs(Math.sin(this.highlightTime * Math.PI * 2)) * 0.35 * fade;
+      this.group.scale.setScalar(this.scale * (1 + pulse));
+    }
+
     // Rotation based on state
     let rotSpeed = RotationSpeeds[this.state] || 0.5;
     if (this.hasWorked && this.state === States.NEUTRAL) {
@@ -0,0 +1,149 @@
+import { escapeHtml } from './utils.js';
+
+// Line diffs above this many line pairs are shown as a plain removal + addition
+const MAX_DIFF_CELLS = 250000;
+
+// JSON tokens: strings (keys when followed by a colon), literals and numbers
+const JSON_TOKEN = /("(?:\\.|[^"\\])*")(\s*:)?|\b(true|false|null)\b|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/g;
+
+/**
+ * Line diff of two texts as [{ op: ' ' | '-' | '+', line }], from the longest
+ * common subsequence of their lines
+ */
+export function diffLines(before, after) {
+  const a = before ? before.split('\n') : []; // No text is no lines, not one empty line
+  const b = after ? after.split('\n') : [];
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [...a.map(line => ({ op: '-', line })), ...b.map(line => ({ op: '+', line }))];
+  }
+
+  // lcs[i][j] = common lines of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: ' ', line: a[i++] });
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: '-', line: a[i++] });
+    } else {
+      lines.push({ op: '+', line: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: '-', line: a[i++] });
+  while (j < b.length) lines.push({ op: '+', line: b[j++] });
+  return lines;
+}
+
+/**
+ * EventInspector - Detail view of a hook event for an expanded EventLog entry
+ *
+ * Tool calls get a view suited to the tool (a diff per Edit/MultiEdit
+ * replacement, the command and its outcome for Bash), prompts and
+ * notifications their text, and every event its full payload as highlighted
+ * JSON.
+ */
+export class EventInspector {
+  render(event) {
+    const el = document.createElement('div');
+    el.className = 'log-inspector';
+    el.innerHTML = this.renderSummary(event) + this.section('Payload', this.highlightJson(event));
+    return el;
+  }
+
+  // The part worth reading first, depending on what the event is
+  renderSummary(event) {
+    const input = event.tool_input && typeof event.tool_input === 'object' ? event.tool_input : null;
+
+    if (input && event.tool_name === 'Edit') {
+      return this.renderEdits(input.file_path, [input]);
+    }
+    if (input && event.tool_name === 'MultiEdit') {
+      return this.renderEdits(input.file_path, Array.isArray(input.edits) ? input.edits : []);
+    }
+    if (input && event.tool_name === 'Bash') {
+      return this.renderBash(input, event.tool_response);
+    }
+    if (typeof event.prompt === 'string') {
+      return this.section('Prompt', `<pre class="inspector-text">${escapeHtml(event.prompt)}</pre>`);
+    }
+    if (typeof event.message === 'string') {
+      return this.section('Message', `<pre class="inspector-text">${escapeHtml(event.message)}</pre>`);
+    }
+    return '';
+  }
+
+  renderEdits(filePath, edits) {
+    const diffs = edits.map((edit, index) => {
+      const heading = edits.length > 1 ? `<div class="inspector-meta">Edit ${index + 1} of ${edits.length}</div>` : '';
+      const flags = edit.replace_all ? '<div class="inspector-meta">replace all occurrences</div>' : '';
+      const lines = diffLines(edit.old_string, edit.new_string).map(({ op, line }) => {
+        const kind = op === '-' ? 'removed' : op === '+' ? 'added' : 'context';
+        return `<div class="diff-line diff-${kind}"><span class="diff-op">${op}</span>${escapeHtml(line)}</div>`;
+      }).join('');
+      return `${heading}${flags}<div class="inspector-diff">${lines}</div>`;
+    }).join('');
+    return this.section('File', `<div class="inspector-path">${escapeHtml(filePath || '(unknown)')}</div>`) +
+      this.section('Diff', diffs || '<div class="inspector-meta">No edits</div>');
+  }
+
+  renderBash(input, response) {
+    const options = [];
+    if (input.run_in_background) options.push('background');
+    if (input.timeout) options.push(`timeout ${input.timeout}ms`);
+
+    let html = this.section('Command',
+      (input.description ? `<div class="inspector-meta">${escapeHtml(input.description)}</div>` : '') +
+      `<pre class="inspector-command"><span class="inspector-prompt">$ </span>${escapeHtml(input.command || '')}</pre>` +
+      (options.length > 0 ? `<div class="inspector-meta">${escapeHtml(options.join(' · '))}</div>` : ''));
+
+    if (response && typeof response === 'object') {
+      // Bash reports stdout, stderr and interrupted, but no exit code
+      if (response.interrupted) {
+        html += this.section('Result', '<span class="exit-fail">interrupted</span>');
+      }
+      if (response.stdout) {
+        html += this.section('stdout', `<pre class="inspector-text">${escapeHtml(response.stdout)}</pre>`);
+      }
+      if (response.stderr) {
+        html += this.section('stderr', `<pre class="inspector-text inspector-stderr">${escapeHtml(response.stderr)}</pre>`);
+      }
+    } else if (typeof response === 'string' && response) {
+      html += this.section('Result', `<pre class="inspector-text">${escapeHtml(response)}</pre>`);
+    }
+    return html;
+  }
+
+  section(title, body) {
+    return `<div class="inspector-section"><div class="inspector-title">${escapeHtml(title)}</div>${body}</div>`;
+  }
+
+  // Pretty-printed JSON with each token wrapped in a span for colouring
+  highlightJson(value) {
+    const json = JSON.stringify(value, null, 2) || '';
+    let html = '';
+    let last = 0;
+    for (const match of json.matchAll(JSON_TOKEN)) {
+      html += escapeHtml(json.slice(last, match.index));
+      const [token, string, colon, literal] = match;
+      if (string) {
+        html += `<span class="${colon ? 'json-key' : 'json-string'}">${escapeHtml(string)}</span>${colon ? escapeHtml(colon) : ''}`;
+      } else if (literal) {
+        html += `<span class="json-literal">${token}</span>`;
+      } else {
+        html += `<span class="json-number">${token}</span>`;
+      }
+      last = match.index + token.length;
+    }
+    html += escapeHtml(json.slice(last));
+    return `<pre class="inspector-json">${html}</pre>`;
+  }
+}
@@ -1,75 +1,430 @@
-import { hashCode } from './utils.js';
+import { hashCode, escapeHtml } from './utils.js';
+import { EventInspector } from './EventInspector.js';
 
-// EventLog - Activity sidebar
+// Arrival this much later than the event happened is shown on the entry
+const DELAY_BADGE_MS = 5000;
+
+// Retention preference lives in localStorage so it survives reloads
+const STORAGE_KEY = 'claudegrid.eventLog';
+const RETENTION_OPTIONS = [100, 250, 500, 1000, 2500];
+const DEFAULT_MAX_ENTRIES = 100;
+
+// Chip groups: an entry must match one chip of every group that has any selected
+const FILTER_GROUPS = [
+  { id: 'type', label: 'Type' },
+  { id: 'session', label: 'Session' },
+  { id: 'tool', label: 'Tool' }
+];
+
+const CSV_COLUMNS = ['seq', 'occurred_at', 'received_at', 'session_id', 'session_seq', 'hook_event_name', 'tool_name', 'tool_use_id', 'tool_input'];
+
+const TIME_FORMAT = {
+  hour12: false,
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+};
+
+// When an event happened: occurred_at (set by the hook), else when the server
+// got it, else `timestamp`
+export function eventTime(event, timestamp) {
+  return event.occurred_at || event.received_at || timestamp;
+}
+
+/**
+ * What the log sorts and filters an event by: when it happened, its journal
+ * seq, its chip values and the text searched (tool_input)
+ */
+export function entryFields(event, timestamp = Date.now()) {
+  const hookEvent = event.hook_event_name || event.type || 'Unknown';
+  return {
+    time: eventTime(event, timestamp),
+    seq: event.seq,
+    values: { type: hookEvent, session: event.session_id || null, tool: event.tool_name || event.tool || null },
+    searchText: event.tool_input ? JSON.stringify(event.tool_input).toLowerCase() : ''
+  };
+}
+
+// Does entry a go above entry b (happened later, or same time but journaled later)?
+export function isNewer(a, b) {
+  if (a.time !== b.time) return a.time > b.time;
+  return (a.seq ?? -1) > (b.seq ?? -1);
+}
+
+// Selected chips ({ type, session, tool } -> Set) and a lowercase search query
+export function matchesFilters(entry, filters, query) {
+  for (const { id } of FILTER_GROUPS) {
+    const selected = filters[id];
+    if (selected && selected.size > 0 && !selected.has(entry.values[id])) return false;
+  }
+  return !query || entry.searchText.includes(query);
+}
+
+// Events as CSV (CSV_COLUMNS; objects as JSON, times as ISO strings)
+export function toCsv(events) {
+  const cell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const rows = events.map(event => CSV_COLUMNS.map(column => {
+    if (column === 'hook_event_name') return cell(event.hook_event_name || event.type);
+    if (column === 'tool_name') return cell(event.tool_name || event.tool);
+    if ((column === 'occurred_at' || column === 'received_at') && event[column]) {
+      return cell(new Date(event[column]).toISOString());
+    }
+    return cell(event[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * EventLog - Activity sidebar
+ *
+ * Newest first by when each event happened (occurred_at from the hook, else
+ * the server's received_at), then by the journal's sequence number, so events
+ * queued while the server was down land where they belong rather than at the
+ * top. The toolbar narrows the list with chips (event type, session, tool) and
+ * a search of tool_input, pauses it, sets how many entries are kept and exports
+ * what is visible. Clicking an entry highlights its session's Bit; its arrow
+ * expands it into an EventInspector with the full payload.
+ */
 export class EventLog {
-  constructor(containerElement) {
+  constructor(containerElement, options = {}) {
     this.container = containerElement;
-    this.maxEntries = 100;
+    this.toolbar = options.toolbar || null;
+    this.getSessionLabel = options.getSessionLabel || (() => null); // (session_id) for chips
+    this.onSelect = options.onSelect || (() => {});                 // (event) clicked entry
+
+    this.maxEntries = this.loadMaxEntries();
     this.entries = [];
+    this.elementEntries = new WeakMap(); // element -> entry
+    this.inspector = new EventInspector();
+
+    this.filters = Object.fromEntries(FILTER_GROUPS.map(g => [g.id, new Set()]));
+    this.chipValues = Object.fromEntries(FILTER_GROUPS.map(g => [g.id, new Set()]));
+    this.query = '';
+
+    // Paused: entries are collected but the list on screen stays put
+    this.following = true;
+    this.pendingCount = 0;
+
+    this.container.addEventListener('click', (e) => this.handleEntryClick(e));
+    if (this.toolbar) this.buildToolbar();
   }
 
-  addEntry(event) {
-    const entry = this.createEntry(event);
-    this.entries.unshift(entry);
+  loadMaxEntries() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (stored && RETENTION_OPTIONS.includes(stored.maxEntries)) return stored.maxEntries;
+    } catch {
+      // Corrupt preferences fall back to defaults
+    }
+    return DEFAULT_MAX_ENTRIES;
+  }
 
-    // Trim old entries
+  buildToolbar() {
+    this.toolbar.innerHTML = `
+      <div class="log-toolbar-row">
+        <input type="search" class="log-search" placeholder="Search tool input..." spellcheck="false">
+        <button class="toggle-btn log-follow active" title="Pause to keep the list still while reading">FOLLOW</button>
+      </div>
+      <div class="log-chips"></div>
+      <div class="log-toolbar-row">
+        <span class="log-count"></span>
+        <select class="log-retention" title="Entries kept">
+          ${RETENTION_OPTIONS.map(n => `<option value="${n}"${n === this.maxEntries ? ' selected' : ''}>keep ${n}</option>`).join('')}
+        </select>
+        <button class="toggle-btn" data-export="json" title="Export visible entries as JSON">JSON</button>
+        <button class="toggle-btn" data-export="csv" title="Export visible entries as CSV">CSV</button>
+      </div>
+    `;
+
+    this.searchInput = this.toolbar.querySelector('.log-search');
+    this.followBtn = this.toolbar.querySelector('.log-follow');
+    this.chipsElement = this.toolbar.querySelector('.log-chips');
+    this.countElement = this.toolbar.querySelector('.log-count');
+    this.retentionSelect = this.toolbar.querySelector('.log-retention');
+
+    this.searchInput.addEventListener('input', () => {
+      this.query = this.searchInput.value.trim().toLowerCase();
+      this.applyFilters();
+    });
+
+    this.followBtn.addEventListener('click', () => this.setFollowing(!this.following));
+
+    this.retentionSelect.addEventListener('change', () => {
+      this.maxEntries = parseInt(this.retentionSelect.value) || DEFAULT_MAX_ENTRIES;
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ maxEntries: this.maxEntries }));
+      this.trim();
+      this.updateCount();
+    });
+
+    this.toolbar.addEventListener('click', (e) => {
+      const chip = e.target.closest('.log-chip');
+      if (chip) {
+        const selected = this.filters[chip.dataset.group];
+        selected.has(chip.dataset.value) ? selected.delete(chip.dataset.value) : selected.add(chip.dataset.value);
+        this.renderChips();
+        this.applyFilters();
+      } else if (e.target.closest('.log-chip-clear')) {
+        Object.values(this.filters).forEach(selected => selected.clear());
+        this.renderChips();
+        this.applyFilters();
+      } else if (e.target.dataset.export) {
+        this.exportVisible(e.target.dataset.export);
+      }
+    });
+
+    this.renderChips();
+    this.updateCount();
+  }
+
+  addEntry(event, timestamp = Date.now()) {
+    const entry = this.createEntry(event, timestamp);
+    this.elementEntries.set(entry.element, entry);
+    entry.element.hidden = !this.matches(entry);
+
+    // Usually the top; skip past entries that happened later
+    let index = 0;
+    while (index < this.entries.length && isNewer(this.entries[index], entry)) {
+      index++;
+    }
+    const next = this.entries[index];
+    this.entries.splice(index, 0, entry);
+
+    if (this.following) {
+      this.container.insertBefore(entry.element, next ? next.element : null);
+      this.container.scrollTop = 0;
+    } else {
+      this.pendingCount++;
+      this.updateFollowButton();
+    }
+
+    this.trim();
+
+    if (FILTER_GROUPS.some(g => entry.values[g.id] && !this.chipValues[g.id].has(entry.values[g.id]))) {
+      this.renderChips();
+    }
+    this.updateCount();
+  }
+
+  // Drop the oldest entries past maxEntries (left on screen while paused)
+  trim() {
     while (this.entries.length > this.maxEntries) {
       const old = this.entries.pop();
-      if (old.element.parentNode) {
+      if (this.following && old.element.parentNode) {
         old.element.remove();
       }
     }
-
-    // Add to DOM at top
-    this.container.insertBefore(entry.element, this.container.firstChild);
   }
 
-  createEntry(event) {
-    const { session_id, hook_event_name, tool_name, tool_use_id, tool_use_blocked } = event;
-    const hookEvent = hook_event_name || event.type || 'Unknown';
+  createEntry(event, timestamp = Date.now()) {
+    const { session_id, tool_name, tool_use_id, tool_use_blocked } = event;
+    const fields = entryFields(event, timestamp);
+    const hookEvent = fields.values.type;
 
     const el = document.createElement('div');
     el.className = `log-entry ${this.getEntryClass(hookEvent, event)}`;
 
-    const time = new Date().toLocaleTimeString('en-US', {
-      hour12: false,
-      hour: '2-digit',
-      minute: '2-digit',
-      second: '2-digit'
-    });
+    const occurredAt = fields.time;
+    const time = new Date(occurredAt).toLocaleTimeString('en-US', TIME_FORMAT);
+
+    let delay = '';
+    if (event.occurred_at && event.received_at - event.occurred_at >= DELAY_BADGE_MS) {
+      delay = `<span class="log-delay">+${this.formatDelay(event.received_at - event.occurred_at)}</span>`;
+    }
 
     const sessionShort = session_id ? session_id.slice(0, 8) : 'unknown';
 
     let details = '';
     if (tool_name) {
-      details = `Tool: ${tool_name}`;
+      details = `Tool: ${escapeHtml(tool_name)}`;
       if (tool_use_id) {
         const color = this.idToColor(tool_use_id);
-        details += ` <span style="color: ${color}">(${tool_use_id})</span>`;
+        details += ` <span style="color: ${color}">(${escapeHtml(tool_use_id)})</span>`;
       }
     }
+    if (hookEvent === 'SubagentStart' && (event.subagent_type || event.description)) {
+      details = escapeHtml([event.subagent_type, event.description].filter(Boolean).join(': '));
+    }
+    if (hookEvent === 'PolicyDecision') {
+      const subject = [event.tool, event.command].filter(Boolean).join(': ');
+      details = `${escapeHtml(String(event.decision || '').toUpperCase())} ${escapeHtml(subject)} <span class="log-rule">(${escapeHtml(event.rule)})</span>`;
+    }
+    if (hookEvent === 'BudgetExceeded') {
+      details = `${escapeHtml(event.name || '')} ${escapeHtml(event.limit)}: ${escapeHtml(event.used)} / ${escapeHtml(event.max)}`;
+    }
     if (tool_use_blocked) {
       details += ' [BLOCKED]';
     }
 
     el.innerHTML = `
-      <span class="log-time">${time}</span>
-      <span class="log-event">${this.formatEventName(hookEvent)}</span>
-      <span class="log-session">${sessionShort}...</span>
+      <button class="log-expand" title="Show details">&#9656;</button>
+      <span class="log-time" title="${escapeHtml(this.describeTiming(event, occurredAt))}">${time}</span>${delay}
+      <span class="log-event">${escapeHtml(this.formatEventName(hookEvent))}</span>
+      <span class="log-session">${escapeHtml(sessionShort)}...</span>
       ${details ? `<div class="log-details">${details}</div>` : ''}
     `;
 
-    return { element: el, event };
+    return { element: el, event, ...fields };
+  }
+
+  // ===== FILTERS =====
+
+  matches(entry) {
+    return matchesFilters(entry, this.filters, this.query);
+  }
+
+  applyFilters() {
+    for (const entry of this.entries) {
+      entry.element.hidden = !this.matches(entry);
+    }
+    this.updateCount();
+  }
+
+  // One chip per value among the kept entries (selected ones stay even once trimmed away)
+  renderChips() {
+    for (const { id } of FILTER_GROUPS) {
+      this.chipValues[id] = new Set([
+        ...this.entries.map(entry => entry.values[id]).filter(Boolean),
+        ...this.filters[id]
+      ]);
+    }
+    if (!this.chipsElement) return;
+
+    const rows = FILTER_GROUPS.filter(({ id }) => this.chipValues[id].size > 0).map(({ id, label }) => {
+      const chips = Array.from(this.chipValues[id]).sort().map(value => {
+        const text = id === 'session' ? (this.getSessionLabel(value) || value.slice(0, 8)) : value;
+        const selected = this.filters[id].has(value) ? ' selected' : '';
+        return `<button class="log-chip${selected}" data-group="${id}" data-value="${escapeHtml(value)}" title="${escapeHtml(value)}">${escapeHtml(text)}</button>`;
+      }).join('');
+      return `<div class="log-chip-group"><span class="log-chip-label">${label}</span>${chips}</div>`;
+    });
+
+    const filtering = Object.values(this.filters).some(selected => selected.size > 0);
+    this.chipsElement.innerHTML = rows.join('') +
+      (filtering ? '<button class="log-chip-clear">clear filters</button>' : '');
+  }
+
+  updateCount() {
+    if (!this.countElement) return;
+    const visible = this.entries.filter(entry => !entry.element.hidden).length;
+    this.countElement.textContent = visible === this.entries.length
+      ? `${this.entries.length} / ${this.maxEntries}`
+      : `${visible} of ${this.entries.length}`;
+  }
+
+  // ===== FOLLOW / PAUSE =====
+
+  setFollowing(following) {
+    this.following = following;
+    this.pendingCount = 0;
+    if (following) {
+      // Catch up with everything that arrived (or was trimmed) while paused
+      this.container.replaceChildren(...this.entries.map(entry => entry.element));
+      this.container.scrollTop = 0;
+    }
+    this.updateFollowButton();
+  }
+
+  updateFollowButton() {
+    if (!this.followBtn) return;
+    this.followBtn.classList.toggle('active', this.following);
+    this.followBtn.textContent = this.following
+      ? 'FOLLOW'
+      : `PAUSED${this.pendingCount > 0 ? ` +${this.pendingCount}` : ''}`;
+  }
+
+  // ===== SELECTION =====
+
+  handleEntryClick(e) {
+    const element = e.target.closest('.log-entry');
+    const entry = element && this.elementEntries.get(element);
+    if (!entry) return;
+
+    if (e.target.closest('.log-expand')) {
+      this.toggleInspector(entry);
+      return;
+    }
+    if (e.target.closest('.log-inspector')) return; // Selecting text in the details
+
+    this.container.querySelector('.log-entry.selected')?.classList.remove('selected');
+    element.classList.add('selected');
+    this.onSelect(entry.event);
+  }
+
+  // The inspector is built on first expand and kept while the entry lives
+  toggleInspector(entry) {
+    const expanded = entry.element.classList.toggle('expanded');
+    if (expanded && !entry.inspector) {
+      entry.inspector = this.inspector.render(entry.event);
+      entry.element.appendChild(entry.inspector);
+    }
+    entry.element.querySelector('.log-expand').title = expanded ? 'Hide details' : 'Show details';
+  }
+
+  // ===== EXPORT =====
+
+  // Entries on screen, oldest first
+  visibleEntries() {
+    return this.entries
+      .filter(entry => entry.element.parentNode === this.container && !entry.element.hidden)
+      .reverse();
+  }
+
+  exportVisible(format) {
+    const events = this.visibleEntries().map(entry => entry.event);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    if (format === 'csv') {
+      this.download(`claudegrid-events-${stamp}.csv`, toCsv(events), 'text/csv');
+    } else {
+      this.download(`claudegrid-events-${stamp}.json`, JSON.stringify(events, null, 2), 'application/json');
+    }
+  }
+
+  download(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // Tooltip: when it happened and arrived, and its place in the journal and session
+  describeTiming(event, occurredAt) {
+    const lines = [`Occurred ${new Date(occurredAt).toLocaleString('en-US', { hour12: false })}`];
+    if (event.received_at && event.received_at !== occurredAt) {
+      lines.push(`Received ${new Date(event.received_at).toLocaleString('en-US', { hour12: false })}`);
+    }
+    const order = [];
+    if (event.seq !== undefined) order.push(`#${event.seq}`);
+    if (event.session_seq !== undefined) order.push(`session #${event.session_seq}`);
+    if (order.length > 0) lines.push(order.join(' · '));
+    return lines.join('\n');
+  }
+
+  formatDelay(ms) {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}m`;
+    return `${Math.round(seconds / 3600)}h`;
   }
 
   getEntryClass(hookEvent, event) {
     switch (hookEvent) {
       case 'SessionStart':
+      case 'SubagentStart':
         return 'session-start';
       case 'SessionEnd':
         return 'session-end';
       case 'UserPromptSubmit':
         return 'user-prompt';
+      case 'BudgetExceeded':
+        return 'tool-blocked';
+      case 'PolicyDecision':
+        return event.decision === 'deny' ? 'tool-blocked' : 'tool-use';
       case 'PreToolUse':
       case 'PostToolUse':
         if (event?.tool_use_blocked) {
@@ -99,6 +454,10 @@ export class EventLog {
 
   clear() {
     this.entries = [];
+    this.pendingCount = 0;
     this.container.innerHTML = '';
+    this.updateFollowButton();
+    this.renderChips();
+    this.updateCount();
   }
 }
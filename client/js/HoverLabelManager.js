@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { formatTokens, formatCost } from './utils.js';
 
 export class HoverLabelManager {
   constructor(canvas, camera, options = {}) {
@@ -10,6 +11,8 @@ export class HoverLabelManager {
 
     // Optional callbacks
     this.getSessionName = options.getSessionName || null;
+    this.getSessionUsage = options.getSessionUsage || null;
+    this.getSessionHost = options.getSessionHost || null;
     this.onBitClick = options.onBitClick || null;
 
     // Create label container
@@ -30,6 +33,21 @@ export class HoverLabelManager {
     this.contextLabel.style.display = 'none';
     this.container.appendChild(this.contextLabel);
 
+    this.usageLabel = document.createElement('div');
+    this.usageLabel.className = 'hover-label';
+    this.usageLabel.dataset.type = 'usage';
+    this.usageLabel.style.display = 'none';
+    this.container.appendChild(this.usageLabel);
+
+    // Host tags under Bits of sessions on other hosts (bit -> element)
+    this.hostTags = new Map();
+
+    // Ring around a highlighted Bit
+    this.highlightRing = document.createElement('div');
+    this.highlightRing.className = 'bit-highlight';
+    this.highlightRing.style.display = 'none';
+    this.container.appendChild(this.highlightRing);
+
     // Bind event handlers
     this.onMouseMove = this.onMouseMove.bind(this);
     this.onClick = this.onClick.bind(this);
@@ -50,6 +68,8 @@ export class HoverLabelManager {
   }
 
   update(sessions) {
+    this.updateHostTags(sessions);
+    this.updateHighlight(sessions);
     this.raycaster.setFromCamera(this.mouse, this.camera);
 
     // Collect all bit meshes and their parent bits
@@ -91,10 +111,8 @@ export class HoverLabelManager {
     this.hideLabels();
   }
 
-  showLabels(bit) {
-    const eventData = bit.eventData;
-
-    // Get bit world position
+  // Bit position in label container coordinates
+  screenPosition(bit) {
     const worldPos = new THREE.Vector3();
     bit.group.getWorldPosition(worldPos);
 
@@ -104,8 +122,68 @@ export class HoverLabelManager {
     const containerRect = this.container.getBoundingClientRect();
 
     // Calculate position relative to container (not canvas)
-    const x = (screenPos.x * 0.5 + 0.5) * canvasRect.width + (canvasRect.left - containerRect.left);
-    const y = (-screenPos.y * 0.5 + 0.5) * canvasRect.height + (canvasRect.top - containerRect.top);
+    return {
+      x: (screenPos.x * 0.5 + 0.5) * canvasRect.width + (canvasRect.left - containerRect.left),
+      y: (-screenPos.y * 0.5 + 0.5) * canvasRect.height + (canvasRect.top - containerRect.top)
+    };
+  }
+
+  // Keep a host tag under every Bit of a federated session (subagents share their parent's)
+  updateHostTags(sessions) {
+    if (!this.getSessionHost) return;
+    const shown = new Set();
+
+    for (const session of sessions.values()) {
+      const bit = session.bit;
+      const host = bit.isShattered ? null : this.getSessionHost(bit.sessionId);
+      if (!host) continue;
+
+      let tag = this.hostTags.get(bit);
+      if (!tag) {
+        tag = document.createElement('div');
+        tag.className = 'host-tag';
+        this.container.appendChild(tag);
+        this.hostTags.set(bit, tag);
+      }
+      const { x, y } = this.screenPosition(bit);
+      tag.textContent = host;
+      tag.style.left = `${x}px`;
+      tag.style.top = `${y + 40}px`;
+      shown.add(bit);
+    }
+
+    for (const [bit, tag] of this.hostTags) {
+      if (!shown.has(bit)) {
+        tag.remove();
+        this.hostTags.delete(bit);
+      }
+    }
+  }
+
+  // Follow the most recently highlighted Bit with the ring while it pulses
+  updateHighlight(sessions) {
+    let target = null;
+    for (const session of sessions.values()) {
+      for (const bit of [session.bit, ...session.subagents.values()]) {
+        if (bit.highlightTime > 0 && !bit.isShattered && (!target || bit.highlightTime > target.highlightTime)) {
+          target = bit;
+        }
+      }
+    }
+
+    if (!target) {
+      this.highlightRing.style.display = 'none';
+      return;
+    }
+    const { x, y } = this.screenPosition(target);
+    this.highlightRing.style.left = `${x}px`;
+    this.highlightRing.style.top = `${y}px`;
+    this.highlightRing.style.display = 'block';
+  }
+
+  showLabels(bit) {
+    const eventData = bit.eventData;
+    const { x, y } = this.screenPosition(bit);
 
     // Upper label: managed session name if available, otherwise cwd
     let upperText = null;
@@ -159,11 +237,25 @@ export class HoverLabelManager {
     } else {
       this.contextLabel.style.display = 'none';
     }
+
+    // Token meter: tokens in/out and estimated cost so far, below the file path
+    const usage = this.getSessionUsage ? this.getSessionUsage(bit.sessionId) : null;
+    if (usage && usage.turns > 0) {
+      const input = usage.inputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+      this.usageLabel.textContent = `${formatTokens(input)} in · ${formatTokens(usage.outputTokens)} out · ${formatCost(usage.costUsd)}`;
+      this.usageLabel.style.display = 'block';
+      this.usageLabel.style.left = `${x}px`;
+      this.usageLabel.style.top = `${y + (filePath ? 104 : 70)}px`;
+      this.usageLabel.style.transform = 'translateX(-50%)';
+    } else {
+      this.usageLabel.style.display = 'none';
+    }
   }
 
   hideLabels() {
     this.cwdLabel.style.display = 'none';
     this.contextLabel.style.display = 'none';
+    this.usageLabel.style.display = 'none';
   }
 
   dispose() {
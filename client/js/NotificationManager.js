@@ -0,0 +1,184 @@
+// Preferences live in localStorage so they survive reloads
+const STORAGE_KEY = 'claudegrid.notifications';
+
+// Notification kinds the user can switch on and off
+const KINDS = [
+  { id: 'PermissionRequest', label: 'Permission requests' },
+  { id: 'Stop', label: 'Claude finished (Stop)' },
+  { id: 'SessionEnd', label: 'Session ended' },
+  { id: 'Error', label: 'Errors and budget stops' }
+];
+
+const DEFAULT_PREFS = {
+  enabled: false,
+  events: { PermissionRequest: true, Stop: true, SessionEnd: false, Error: true }
+};
+
+/**
+ * NotificationManager - Desktop notifications and the title/favicon badge
+ *
+ * Notifications are opt-in: the browser asks for permission when they are
+ * switched on (a click, so the prompt isn't blocked). They only fire while the
+ * tab is hidden or unfocused; clicking one focuses the tab and selects the
+ * session. The badge counts sessions waiting on us and shows regardless.
+ */
+export class NotificationManager {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.onSelect = options.onSelect || (() => {}); // (claudeSessionId) from a clicked notification
+
+    this.prefs = this.loadPrefs();
+    this.visible = false;
+    this.baseTitle = document.title;
+    this.favicon = this.ensureFaviconLink();
+    this.badgeCount = 0;
+    this.drawFavicon(0);
+
+    this.container.addEventListener('change', (e) => this.handleChange(e));
+  }
+
+  static get supported() {
+    return typeof window.Notification === 'function';
+  }
+
+  loadPrefs() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (stored) return { ...DEFAULT_PREFS, ...stored, events: { ...DEFAULT_PREFS.events, ...stored.events } };
+    } catch {
+      // Corrupt preferences fall back to defaults
+    }
+    return { ...DEFAULT_PREFS, events: { ...DEFAULT_PREFS.events } };
+  }
+
+  savePrefs() {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(this.prefs));
+  }
+
+  // On when enabled here and allowed by the browser
+  get active() {
+    return this.prefs.enabled && NotificationManager.supported && Notification.permission === 'granted';
+  }
+
+  toggle() {
+    this.visible ? this.hide() : this.show();
+    return this.visible;
+  }
+
+  show() {
+    this.visible = true;
+    this.container.classList.add('visible');
+    this.render();
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.classList.remove('visible');
+  }
+
+  async handleChange(e) {
+    const box = e.target;
+    if (box.dataset.pref === 'enabled') {
+      this.prefs.enabled = box.checked;
+      if (box.checked && NotificationManager.supported && Notification.permission === 'default') {
+        await Notification.requestPermission();
+      }
+    } else if (box.dataset.pref) {
+      this.prefs.events[box.dataset.pref] = box.checked;
+    }
+    this.savePrefs();
+    this.render();
+  }
+
+  /**
+   * Show a notification if its kind is switched on and the tab isn't in front
+   * @param {string} kind - PermissionRequest, Stop, SessionEnd or Error
+   * @param {Object} details - { title, body, claudeSessionId, tag }
+   */
+  notify(kind, { title, body = '', claudeSessionId = null, tag = null }) {
+    if (!this.active || !this.prefs.events[kind]) return;
+    if (!document.hidden && document.hasFocus()) return;
+
+    // Same tag replaces the previous notification instead of stacking
+    const notification = new Notification(title, { body, tag: tag || undefined, icon: this.favicon.href });
+    notification.onclick = () => {
+      window.focus();
+      if (claudeSessionId) this.onSelect(claudeSessionId);
+      notification.close();
+    };
+  }
+
+  // "(2) ClaudeGrid" and a numbered favicon while sessions are waiting on us
+  setBadge(count) {
+    if (count === this.badgeCount) return;
+    this.badgeCount = count;
+    document.title = count > 0 ? `(${count}) ${this.baseTitle}` : this.baseTitle;
+    this.drawFavicon(count);
+  }
+
+  ensureFaviconLink() {
+    let link = document.querySelector('link[rel="icon"]');
+    if (!link) {
+      link = document.createElement('link');
+      link.rel = 'icon';
+      document.head.appendChild(link);
+    }
+    return link;
+  }
+
+  drawFavicon(count) {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+
+    // The Bit: a cyan diamond on the grid's dark blue
+    ctx.fillStyle = '#000f1e';
+    ctx.fillRect(0, 0, 32, 32);
+    ctx.fillStyle = '#44ddff';
+    ctx.beginPath();
+    ctx.moveTo(16, 3);
+    ctx.lineTo(29, 16);
+    ctx.lineTo(16, 29);
+    ctx.lineTo(3, 16);
+    ctx.closePath();
+    ctx.fill();
+
+    if (count > 0) {
+      ctx.fillStyle = '#ff8844';
+      ctx.beginPath();
+      ctx.arc(22, 10, 10, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#000';
+      ctx.font = 'bold 14px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(count > 9 ? '9+' : String(count), 22, 11);
+    }
+    this.favicon.href = canvas.toDataURL('image/png');
+  }
+
+  render() {
+    if (!this.visible) return;
+
+    let status = '';
+    if (!NotificationManager.supported) {
+      status = 'This browser does not support notifications';
+    } else if (Notification.permission === 'denied') {
+      status = 'Blocked in the browser\'s site settings';
+    } else if (this.prefs.enabled && Notification.permission === 'default') {
+      status = 'Waiting for the browser\'s permission';
+    }
+
+    this.container.innerHTML = `
+      <label class="notify-option notify-master">
+        <input type="checkbox" data-pref="enabled" ${this.prefs.enabled ? 'checked' : ''}> Desktop notifications
+      </label>
+      ${status ? `<div class="notify-status">${status}</div>` : ''}
+      ${KINDS.map(kind => `
+        <label class="notify-option">
+          <input type="checkbox" data-pref="${kind.id}" ${this.prefs.events[kind.id] ? 'checked' : ''} ${this.prefs.enabled ? '' : 'disabled'}> ${kind.label}
+        </label>`).join('')}
+      <div class="notify-hint">Shown only while this tab is in the background</div>
+    `;
+  }
+}
@@ -0,0 +1,156 @@
+import { escapeHtml } from './utils.js';
+
+// "12s", "3m", "1h"
+function formatAge(iso) {
+  const seconds = Math.max(0, Math.round((Date.now() - new Date(iso).getTime()) / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  return `${Math.floor(seconds / 3600)}h`;
+}
+
+/**
+ * PermissionInbox - Every permission request waiting for a decision
+ *
+ * Mirrors the server's queue (`permissions` messages). Screen prompts offer
+ * their own numbered options; hook requests offer allow/deny. Selected rows
+ * can be allowed or denied together. The panel opens by itself when a new
+ * request arrives.
+ */
+export class PermissionInbox {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.getSessionName = options.getSessionName || (() => null);
+    this.canDecide = options.canDecide || (() => false);
+    this.onDecide = options.onDecide || (() => {});   // (id, decision)
+    this.onRespond = options.onRespond || (() => {}); // (id, keys) - exact screen prompt option
+    this.onBulk = options.onBulk || (() => {});       // (ids, decision)
+    this.onChange = options.onChange || (() => {});   // (count, visible) for the header badge
+
+    this.entries = [];
+    this.selected = new Set();
+    this.visible = false;
+    this.ageTimer = null;
+
+    this.container.addEventListener('click', (e) => this.handleClick(e));
+    this.container.addEventListener('change', (e) => this.handleChange(e));
+  }
+
+  toggle() {
+    this.visible ? this.hide() : this.show();
+    return this.visible;
+  }
+
+  show() {
+    this.visible = true;
+    this.container.classList.add('visible');
+    this.render();
+    // Keep the ages current while open
+    clearInterval(this.ageTimer);
+    this.ageTimer = setInterval(() => this.render(), 5000);
+    this.onChange(this.entries.length, this.visible);
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.classList.remove('visible');
+    clearInterval(this.ageTimer);
+    this.ageTimer = null;
+    this.onChange(this.entries.length, this.visible);
+  }
+
+  // Replace the list with the server's queue
+  update(entries) {
+    const known = new Set(this.entries.map(e => e.id));
+    const arrived = entries.some(e => !known.has(e.id));
+
+    this.entries = entries;
+    const ids = new Set(entries.map(e => e.id));
+    for (const id of this.selected) {
+      if (!ids.has(id)) this.selected.delete(id);
+    }
+
+    if (arrived && this.canDecide() && !this.visible) {
+      this.show();
+    } else if (this.visible && entries.length === 0) {
+      this.hide();
+    } else {
+      this.render();
+      this.onChange(this.entries.length, this.visible);
+    }
+  }
+
+  handleClick(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const { action, id, keys } = button.dataset;
+
+    if (action === 'decide') {
+      this.onDecide(id, button.dataset.decision);
+    } else if (action === 'respond') {
+      this.onRespond(id, keys);
+    } else if (action === 'bulk' && this.selected.size > 0) {
+      this.onBulk(Array.from(this.selected), button.dataset.decision);
+      this.selected.clear();
+      this.render();
+    }
+  }
+
+  handleChange(e) {
+    const box = e.target;
+    if (box.dataset.select === 'all') {
+      this.selected = box.checked ? new Set(this.entries.map(entry => entry.id)) : new Set();
+    } else if (box.dataset.select) {
+      box.checked ? this.selected.add(box.dataset.select) : this.selected.delete(box.dataset.select);
+    }
+    this.render();
+  }
+
+  render() {
+    if (!this.visible) return;
+    if (this.entries.length === 0) {
+      this.container.innerHTML = '<div class="inbox-empty">No permission requests waiting</div>';
+      return;
+    }
+
+    const canDecide = this.canDecide();
+    const allSelected = this.selected.size === this.entries.length;
+
+    const toolbar = canDecide ? `
+      <div class="inbox-toolbar">
+        <label><input type="checkbox" data-select="all" ${allSelected ? 'checked' : ''}> ALL</label>
+        <span class="inbox-count">${this.selected.size} selected</span>
+        <button class="btn inbox-btn decision-allow" data-action="bulk" data-decision="allow" ${this.selected.size ? '' : 'disabled'}>ALLOW</button>
+        <button class="btn inbox-btn decision-deny" data-action="bulk" data-decision="deny" ${this.selected.size ? '' : 'disabled'}>DENY</button>
+      </div>` : '';
+
+    const rows = this.entries.map(entry => {
+      const session = entry.sessionName || this.getSessionName(entry.claudeSessionId) || entry.sessionId;
+      const name = entry.host ? `${entry.host} · ${session}` : session;
+      const tool = entry.tool ? `${entry.tool}${entry.command ? `: ${entry.command}` : ''}` : null;
+      const what = [tool, entry.text].filter(Boolean).join('\n\n');
+      const id = escapeHtml(entry.id);
+
+      // Screen prompts answer with their own options; hooks with allow/deny
+      const actions = entry.kind === 'prompt'
+        ? entry.options.map(opt => `
+            <button class="btn inbox-btn" data-action="respond" data-id="${id}" data-keys="${escapeHtml(opt.number)}">${escapeHtml(opt.number)}. ${escapeHtml(opt.label)}</button>`).join('')
+        : `
+            <button class="btn inbox-btn decision-allow" data-action="decide" data-id="${id}" data-decision="allow">ALLOW</button>
+            <button class="btn inbox-btn decision-deny" data-action="decide" data-id="${id}" data-decision="deny">DENY</button>`;
+
+      return `
+        <div class="inbox-item">
+          <div class="inbox-item-header">
+            ${canDecide ? `<input type="checkbox" data-select="${id}" ${this.selected.has(entry.id) ? 'checked' : ''}>` : ''}
+            <span class="inbox-session">${escapeHtml(name)}</span>
+            <span class="inbox-kind">${entry.kind === 'prompt' ? 'SCREEN' : 'HOOK'}</span>
+            <span class="inbox-age">${formatAge(entry.createdAt)}</span>
+          </div>
+          <pre class="inbox-detail">${escapeHtml(what)}</pre>
+          ${canDecide ? `<div class="inbox-actions">${actions}</div>` : ''}
+        </div>`;
+    }).join('');
+
+    this.container.innerHTML = toolbar + rows;
+  }
+}
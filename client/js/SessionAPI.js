@@ -2,8 +2,21 @@
  * SessionAPI - REST client for session management
  */
 export class SessionAPI {
+  static TOKEN_KEY = 'claudegrid.token';
+
   constructor(baseUrl = '') {
     this.baseUrl = baseUrl;
+    this.token = localStorage.getItem(SessionAPI.TOKEN_KEY);
+  }
+
+  // Store (or clear) the API token used for REST and WebSocket auth
+  setToken(token) {
+    this.token = token || null;
+    if (this.token) {
+      localStorage.setItem(SessionAPI.TOKEN_KEY, this.token);
+    } else {
+      localStorage.removeItem(SessionAPI.TOKEN_KEY);
+    }
   }
 
   async request(method, endpoint, body = null) {
@@ -14,6 +27,10 @@ export class SessionAPI {
       }
     };
 
+    if (this.token) {
+      options.headers.Authorization = `Bearer ${this.token}`;
+    }
+
     if (body) {
       options.body = JSON.stringify(body);
     }
@@ -22,19 +39,27 @@ export class SessionAPI {
     const data = await response.json();
 
     if (!response.ok || !data.ok) {
-      throw new Error(data.error || 'Request failed');
+      const err = new Error(data.error || 'Request failed');
+      err.status = response.status;
+      throw err;
     }
 
     return data;
   }
 
+  // Check whether auth is required and whether our token is accepted
+  async getAuthStatus() {
+    return this.request('GET', '/api/auth');
+  }
+
   // Create a new session
-  async createSession({ name, directory, skipPermissions, continueSession = false }) {
+  async createSession({ name, directory, skipPermissions, continueSession = false, budget = null }) {
     return this.request('POST', '/api/sessions', {
       name,
       directory,
       skipPermissions,
-      continueSession
+      continueSession,
+      ...(budget ? { budget } : {})
     });
   }
 
@@ -73,6 +98,11 @@ export class SessionAPI {
     return this.request('PATCH', `/api/sessions/${id}`, { name });
   }
 
+  // Change budget limits ({ tokens, minutes, toolCalls }; null removes a limit)
+  async setBudget(id, budget) {
+    return this.request('PATCH', `/api/sessions/${id}/budget`, budget);
+  }
+
   // Link Claude session ID
   async linkSession(id, claudeSessionId) {
     return this.request('POST', `/api/sessions/${id}/link`, { claudeSessionId });
@@ -83,8 +113,42 @@ export class SessionAPI {
     return this.request('POST', `/api/sessions/${id}/permission`, { response });
   }
 
+  // Permission requests waiting for a decision
+  async getPermissions() {
+    return this.request('GET', '/api/permissions');
+  }
+
+  // Allow or deny a queued permission request
+  async decidePermission(requestId, decision, reason = null) {
+    return this.request('POST', `/api/permissions/${requestId}`, { decision, reason });
+  }
+
+  // Same decision for several requests (all when ids is null)
+  async decidePermissions(ids, decision, reason = null) {
+    return this.request('POST', '/api/permissions/bulk', { ids: ids || undefined, decision, reason });
+  }
+
+  // Query the event journal ({ since, session, type, limit })
+  async getEvents(params = {}) {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value !== undefined && value !== null) query.set(key, value);
+    }
+    return this.request('GET', `/api/events?${query}`);
+  }
+
+  // Token usage and cost per session, directory and day
+  async getUsage(days = 30) {
+    return this.request('GET', `/api/usage?days=${days}`);
+  }
+
   // Get tmux output
   async getOutput(id, lines = 100) {
     return this.request('GET', `/api/sessions/${id}/output?lines=${lines}`);
   }
+
+  // Get parsed transcript blocks after index `since`
+  async getTranscript(id, since = -1) {
+    return this.request('GET', `/api/sessions/${id}/transcript?since=${since}`);
+  }
 }
@@ -251,6 +251,14 @@ export class SessionGrid {
     return null;
   }
 
+  // Pulse a session's Bit (and ring it on screen); false if it has none
+  highlightSession(sessionId) {
+    const bit = this.getBit(sessionId);
+    if (!bit || bit.isShattered) return false;
+    bit.highlight();
+    return true;
+  }
+
   updateGridLayout() {
     const count = this.sessions.size;
     if (count === 0) return;
@@ -362,20 +370,27 @@ export class SessionGrid {
     for (const session of sessions) {
       const key = session.claudeSessionId || session.id;
       serverIds.add(key);
+      for (const subagent of session.subagents || []) {
+        serverIds.add(subagent.id);
+      }
     }
 
-    // Remove client Bits not in server set
+    // Remove client Bits (and orbiting subagents) not in server set
     const toRemove = [];
-    for (const sessionId of this.sessions.keys()) {
+    for (const [sessionId, session] of this.sessions) {
       if (!serverIds.has(sessionId)) {
         toRemove.push(sessionId);
+        continue;
+      }
+      for (const subId of session.subagents.keys()) {
+        if (!serverIds.has(subId)) toRemove.push(subId);
       }
     }
     for (const id of toRemove) {
       this.removeSession(id);
     }
 
-    // Create Bits for server sessions not in client
+    // Create Bits for server sessions not in client, then their subagents in orbit
     for (const session of sessions) {
       const key = session.claudeSessionId || session.id;
       if (!this.sessions.has(key)) {
@@ -384,6 +399,11 @@ export class SessionGrid {
           bit.hasWorked = true;
         }
       }
+      for (const subagent of session.subagents || []) {
+        if (!this.getBit(subagent.id)) {
+          this.createSession(subagent.id, key).hasWorked = true;
+        }
+      }
     }
   }
 
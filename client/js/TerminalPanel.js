@@ -0,0 +1,129 @@
+// Decode a base64 payload into bytes for xterm
+function decodeBase64(data) {
+  const binary = atob(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * TerminalPanel - Interactive xterm.js terminal attached to a managed session's tmux pane
+ *
+ * Talks to the server over the app's WebSocket:
+ *   terminal_attach / terminal_input / terminal_resize / terminal_detach  (client -> server)
+ *   terminal_attached / terminal_output (base64) / terminal_exit          (server -> client)
+ *
+ * xterm.js is loaded on first use so the rest of the UI doesn't wait on it.
+ */
+export class TerminalPanel {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.send = options.send || (() => {});  // (message) over the WebSocket
+
+    this.term = null;
+    this.fitAddon = null;
+    this.sessionId = null;
+    this.attached = false;
+    this.resizeObserver = null;
+  }
+
+  async load() {
+    if (this.term) return;
+
+    const [{ Terminal }, { FitAddon }] = await Promise.all([
+      import('@xterm/xterm'),
+      import('@xterm/addon-fit')
+    ]);
+
+    this.term = new Terminal({
+      cursorBlink: true,
+      fontFamily: "'Courier New', monospace",
+      fontSize: 12,
+      scrollback: 2000,
+      theme: {
+        background: '#000a14',
+        foreground: '#88aacc',
+        cursor: '#44ddff',
+        selectionBackground: 'rgba(68, 221, 255, 0.3)'
+      }
+    });
+    this.fitAddon = new FitAddon();
+    this.term.loadAddon(this.fitAddon);
+    this.term.open(this.container);
+
+    this.term.onData((data) => {
+      if (this.attached) {
+        this.send({ type: 'terminal_input', sessionId: this.sessionId, data });
+      }
+    });
+    this.term.onResize(({ cols, rows }) => {
+      if (this.attached) {
+        this.send({ type: 'terminal_resize', sessionId: this.sessionId, cols, rows });
+      }
+    });
+
+    // Panel collapses/expands and window resizes all change our size
+    this.resizeObserver = new ResizeObserver(() => this.fit());
+    this.resizeObserver.observe(this.container);
+  }
+
+  fit() {
+    if (!this.term || this.container.offsetParent === null) return; // Hidden
+    this.fitAddon.fit();
+  }
+
+  async attach(sessionId) {
+    this.sessionId = sessionId;
+    this.attached = false;
+
+    try {
+      await this.load();
+    } catch (err) {
+      console.error('Error loading terminal:', err);
+      this.container.textContent = 'Terminal unavailable (could not load xterm.js)';
+      return;
+    }
+    if (this.sessionId !== sessionId) return; // Switched while loading
+
+    this.term.reset();
+    this.term.write('\x1b[2mAttaching...\x1b[0m');
+    this.fit();
+    this.send({ type: 'terminal_attach', sessionId, cols: this.term.cols, rows: this.term.rows });
+  }
+
+  detach() {
+    if (this.sessionId && this.attached) {
+      this.send({ type: 'terminal_detach' });
+    }
+    this.sessionId = null;
+    this.attached = false;
+    if (this.term) this.term.reset();
+  }
+
+  focus() {
+    if (this.term) this.term.focus();
+  }
+
+  handleMessage(data) {
+    if (data.sessionId !== this.sessionId || !this.term) return;
+
+    switch (data.type) {
+      case 'terminal_attached':
+        this.attached = true;
+        this.term.reset();
+        this.focus();
+        break;
+
+      case 'terminal_output':
+        this.term.write(decodeBase64(data.data));
+        break;
+
+      case 'terminal_exit':
+        this.attached = false;
+        this.term.write(`\r\n\x1b[2m[detached${data.error ? `: ${data.error}` : ''}]\x1b[0m\r\n`);
+        break;
+    }
+  }
+}
@@ -0,0 +1,206 @@
+import { eventTime } from './EventLog.js';
+
+// Playback speeds offered in the speed selector
+const SPEEDS = [1, 2, 4, 8, 16, 32];
+// Playback tick interval (ms of wall-clock time)
+const TICK_MS = 50;
+// Default window loaded when entering the timeline
+const DEFAULT_WINDOW_HOURS = 12;
+// Max journal records loaded for one window
+const MAX_RECORDS = 20000;
+
+function toLocalInputValue(ts) {
+  const d = new Date(ts);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+}
+
+/**
+ * Timeline - Time-travel playback of journaled hook events
+ *
+ * Loads a window of records from GET /api/events and plays them back
+ * through the supplied callbacks. Scrubbing backwards resets the view and
+ * fast-forwards from the start of the window.
+ */
+export class Timeline {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.sessionAPI = options.sessionAPI;
+
+    // Callbacks
+    this.onEvent = options.onEvent || (() => {});   // (event, ts, { instant }) during playback
+    this.onReset = options.onReset || (() => {});   // clear view before a rewind
+    this.onExit = options.onExit || (() => {});     // user returned to live
+
+    this.active = false;
+    this.playing = false;
+    this.speed = 1;
+    this.records = [];
+    this.index = 0;         // next record to apply
+    this.position = 0;      // playback cursor (epoch ms)
+    this.start = 0;
+    this.end = 0;
+    this.tickInterval = null;
+
+    this.buildDom();
+  }
+
+  buildDom() {
+    this.container.innerHTML = `
+      <button class="btn timeline-play" title="Play/Pause">&#9654;</button>
+      <select class="timeline-speed" title="Playback speed">
+        ${SPEEDS.map(s => `<option value="${s}">${s}x</option>`).join('')}
+      </select>
+      <input type="datetime-local" class="timeline-from" title="Start of window">
+      <input type="range" class="timeline-scrub" min="0" max="1000" value="0">
+      <span class="timeline-clock">--:--:--</span>
+      <span class="timeline-note"></span>
+      <button class="btn timeline-live" title="Return to live view">LIVE</button>
+    `;
+
+    this.playBtn = this.container.querySelector('.timeline-play');
+    this.speedSelect = this.container.querySelector('.timeline-speed');
+    this.fromInput = this.container.querySelector('.timeline-from');
+    this.scrubInput = this.container.querySelector('.timeline-scrub');
+    this.clock = this.container.querySelector('.timeline-clock');
+    this.note = this.container.querySelector('.timeline-note');
+    this.liveBtn = this.container.querySelector('.timeline-live');
+
+    this.playBtn.addEventListener('click', () => {
+      this.playing ? this.pause() : this.play();
+    });
+
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = parseInt(this.speedSelect.value) || 1;
+    });
+
+    this.fromInput.addEventListener('change', () => {
+      const from = new Date(this.fromInput.value).getTime();
+      if (!Number.isNaN(from)) {
+        this.load(from);
+      }
+    });
+
+    // Pause while dragging, seek on every move
+    this.scrubInput.addEventListener('input', () => {
+      this.pause();
+      const fraction = this.scrubInput.value / 1000;
+      this.seek(this.start + fraction * (this.end - this.start));
+    });
+
+    this.liveBtn.addEventListener('click', () => this.exit());
+  }
+
+  async enter() {
+    if (this.active) return;
+    this.active = true;
+    this.container.classList.add('visible');
+
+    const from = Date.now() - DEFAULT_WINDOW_HOURS * 60 * 60 * 1000;
+    await this.load(from);
+  }
+
+  exit() {
+    if (!this.active) return;
+    this.pause();
+    this.active = false;
+    this.records = [];
+    this.container.classList.remove('visible');
+    this.onExit();
+  }
+
+  // Fetch journal records from `from` until now and rewind to the start.
+  // Records play at the time their event happened; when the window holds
+  // more than MAX_RECORDS (the newest are returned), it starts at the first.
+  async load(from) {
+    this.pause();
+
+    let records = [];
+    try {
+      const result = await this.sessionAPI.getEvents({ since: from, limit: MAX_RECORDS });
+      records = result.events || [];
+    } catch (err) {
+      console.error('Error loading timeline:', err);
+    }
+
+    const truncated = records.length >= MAX_RECORDS;
+    this.records = records
+      .map(record => ({ ...record, time: eventTime(record.event, record.ts) }))
+      .sort((a, b) => a.time - b.time || a.seq - b.seq);
+
+    this.start = truncated ? Math.max(from, eventTime(records[0].event, records[0].ts)) : from;
+    this.end = Math.max(Date.now(), ...this.records.slice(-1).map(r => r.time));
+    this.fromInput.value = toLocalInputValue(this.start);
+    this.note.textContent = truncated ? `Cut to the last ${MAX_RECORDS} events` : '';
+    this.rewind(this.start);
+  }
+
+  play() {
+    if (this.playing || !this.active) return;
+    if (this.position >= this.end) {
+      this.rewind(this.start);
+    }
+
+    this.playing = true;
+    this.playBtn.innerHTML = '&#10074;&#10074;';
+    this.tickInterval = setInterval(() => this.tick(), TICK_MS);
+  }
+
+  pause() {
+    this.playing = false;
+    this.playBtn.innerHTML = '&#9654;';
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  tick() {
+    this.advanceTo(this.position + TICK_MS * this.speed, false);
+    if (this.position >= this.end) {
+      this.pause();
+    }
+  }
+
+  // Move the cursor to `ts`, rewinding if it lies in the past
+  seek(ts) {
+    if (ts < this.position) {
+      this.rewind(ts);
+    } else {
+      this.advanceTo(ts, true);
+    }
+  }
+
+  // Reset the view and apply every record up to `ts` instantly
+  rewind(ts) {
+    this.onReset();
+    this.index = 0;
+    this.position = this.start;
+    this.advanceTo(ts, true);
+  }
+
+  advanceTo(ts, instant) {
+    this.position = Math.min(ts, this.end);
+
+    while (this.index < this.records.length && this.records[this.index].time <= this.position) {
+      const { event, time } = this.records[this.index];
+      this.onEvent(event, time, { instant });
+      this.index++;
+    }
+
+    this.updateControls();
+  }
+
+  updateControls() {
+    const span = this.end - this.start;
+    this.scrubInput.value = span > 0 ? Math.round(((this.position - this.start) / span) * 1000) : 0;
+    this.clock.textContent = new Date(this.position).toLocaleString('en-US', {
+      hour12: false,
+      month: 'short',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  }
+}
@@ -0,0 +1,111 @@
+// Max blocks kept in the DOM (oldest are dropped first)
+const MAX_BLOCKS = 1000;
+// Characters of text previewed in a block's summary line
+const PREVIEW_LENGTH = 80;
+
+const BLOCK_LABELS = {
+  user: 'USER',
+  assistant: 'CLAUDE',
+  thinking: 'THINKING',
+  tool_use: 'TOOL',
+  tool_result: 'RESULT'
+};
+
+// Blocks that start expanded; tool traffic and thinking start collapsed
+const OPEN_BY_DEFAULT = new Set(['user', 'assistant']);
+
+// One-line description of a tool call from its most telling input field
+function summarizeToolInput(input) {
+  if (!input || typeof input !== 'object') return '';
+  const value = input.command || input.file_path || input.path || input.pattern ||
+    input.url || input.query || input.description || input.prompt;
+  return typeof value === 'string' ? value : '';
+}
+
+function firstLine(text) {
+  const line = (text || '').split('\n').find(l => l.trim()) || '';
+  return line.length > PREVIEW_LENGTH ? line.slice(0, PREVIEW_LENGTH) + '...' : line;
+}
+
+/**
+ * TranscriptView - Renders parsed transcript blocks as collapsible sections
+ *
+ * Blocks come from GET /api/sessions/:id/transcript or WebSocket `transcript`
+ * messages; each has a per-transcript `index` used to skip duplicates.
+ */
+export class TranscriptView {
+  constructor(containerElement) {
+    this.container = containerElement;
+    this.lastIndex = -1;
+  }
+
+  clear() {
+    this.container.innerHTML = '';
+    this.lastIndex = -1;
+  }
+
+  // Replace everything with a fresh set of blocks
+  setBlocks(blocks) {
+    this.clear();
+    this.appendBlocks(blocks);
+  }
+
+  appendBlocks(blocks) {
+    const wasAtBottom = this.container.scrollHeight - this.container.scrollTop <= this.container.clientHeight + 20;
+
+    for (const block of blocks) {
+      if (block.index <= this.lastIndex) continue;
+      this.lastIndex = block.index;
+      this.container.appendChild(this.createBlock(block));
+    }
+
+    while (this.container.childElementCount > MAX_BLOCKS) {
+      this.container.firstElementChild.remove();
+    }
+
+    if (wasAtBottom) {
+      this.container.scrollTop = this.container.scrollHeight;
+    }
+  }
+
+  createBlock(block) {
+    const el = document.createElement('details');
+    el.className = `transcript-block transcript-${block.kind.replace('_', '-')}`;
+    if (block.isError) el.classList.add('transcript-error');
+    el.open = OPEN_BY_DEFAULT.has(block.kind);
+
+    const summary = document.createElement('summary');
+    const label = document.createElement('span');
+    label.className = 'transcript-label';
+    label.textContent = BLOCK_LABELS[block.kind] || block.kind.toUpperCase();
+    summary.appendChild(label);
+
+    const preview = document.createElement('span');
+    preview.className = 'transcript-preview';
+    summary.appendChild(preview);
+
+    if (block.timestamp) {
+      const time = document.createElement('span');
+      time.className = 'transcript-time';
+      time.textContent = new Date(block.timestamp).toLocaleTimeString('en-US', { hour12: false });
+      summary.appendChild(time);
+    }
+
+    const body = document.createElement('div');
+    body.className = 'transcript-body';
+
+    if (block.kind === 'tool_use') {
+      preview.textContent = `${block.toolName} ${firstLine(summarizeToolInput(block.input))}`;
+      body.textContent = JSON.stringify(block.input, null, 2);
+    } else if (block.kind === 'tool_result') {
+      preview.textContent = block.isError ? `error: ${firstLine(block.text)}` : firstLine(block.text);
+      body.textContent = block.text || '(no output)';
+    } else {
+      preview.textContent = firstLine(block.text);
+      body.textContent = block.text;
+    }
+
+    el.append(summary, body);
+    return el;
+  }
+}
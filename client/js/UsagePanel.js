@@ -0,0 +1,109 @@
+import { formatTokens, formatCost, escapeHtml } from './utils.js';
+
+// Rows shown per table
+const MAX_ROWS = 10;
+// Days of history requested from the server
+const DAYS = 14;
+// Minimum gap between refreshes while usage updates stream in
+const REFRESH_MS = 2000;
+
+// Total input-side tokens (fresh + cache writes + cache reads)
+function inputTokens(u) {
+  return u.inputTokens + u.cacheCreationTokens + u.cacheReadTokens;
+}
+
+/**
+ * UsagePanel - Token and cost summary from GET /api/usage
+ *
+ * Shows overall totals, the most expensive sessions and directories, and
+ * per-day spend. While open it refreshes (throttled) whenever the server
+ * reports new usage.
+ */
+export class UsagePanel {
+  constructor(containerElement, options = {}) {
+    this.container = containerElement;
+    this.sessionAPI = options.sessionAPI;
+
+    this.visible = false;
+    this.refreshTimer = null;
+    this.lastRefresh = 0;
+  }
+
+  toggle() {
+    this.visible ? this.hide() : this.show();
+    return this.visible;
+  }
+
+  show() {
+    this.visible = true;
+    this.container.classList.add('visible');
+    this.refresh();
+  }
+
+  hide() {
+    this.visible = false;
+    this.container.classList.remove('visible');
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  // Called for every live `usage` message
+  onUsage() {
+    if (!this.visible || this.refreshTimer) return;
+    const wait = Math.max(0, this.lastRefresh + REFRESH_MS - Date.now());
+    this.refreshTimer = setTimeout(() => {
+      this.refreshTimer = null;
+      this.refresh();
+    }, wait);
+  }
+
+  async refresh() {
+    this.lastRefresh = Date.now();
+    try {
+      const report = await this.sessionAPI.getUsage(DAYS);
+      if (this.visible) this.render(report);
+    } catch (err) {
+      console.error('Error loading usage:', err);
+      this.container.innerHTML = `<div class="usage-empty">Usage unavailable: ${escapeHtml(err.message)}</div>`;
+    }
+  }
+
+  render(report) {
+    const { totals, sessions, directories, days } = report;
+    if (totals.turns === 0) {
+      this.container.innerHTML = '<div class="usage-empty">No token usage recorded yet</div>';
+      return;
+    }
+
+    const table = (title, rows, label) => `
+      <div class="usage-section">
+        <div class="usage-section-title">${title}</div>
+        <table class="usage-table">
+          <tr><th></th><th>IN</th><th>OUT</th><th>COST</th></tr>
+          ${rows.slice(0, MAX_ROWS).map(row => `
+            <tr>
+              <td class="usage-label" title="${escapeHtml(label(row).title)}">${escapeHtml(label(row).text)}</td>
+              <td>${formatTokens(inputTokens(row))}</td>
+              <td>${formatTokens(row.outputTokens)}</td>
+              <td class="usage-cost">${formatCost(row.costUsd)}</td>
+            </tr>`).join('')}
+        </table>
+      </div>`;
+
+    this.container.innerHTML = `
+      <div class="usage-totals">
+        <span class="usage-total-cost">${formatCost(totals.costUsd)}</span>
+        <span>${formatTokens(inputTokens(totals))} in</span>
+        <span>${formatTokens(totals.outputTokens)} out</span>
+        <span>${formatTokens(totals.cacheReadTokens)} cache read</span>
+        <span>${totals.turns} turns</span>
+      </div>
+      ${table('SESSIONS', sessions, s => ({
+        text: `${s.live ? '● ' : ''}${s.name || s.sessionId}`,
+        title: `${s.directory || ''}\n${s.model || ''}`
+      }))}
+      ${table('DIRECTORIES', directories, d => ({ text: d.directory, title: d.directory }))}
+      ${table('DAYS', days, d => ({ text: d.date, title: d.date }))}
+    `;
+  }
+}
@@ -2,6 +2,14 @@ import { SessionGrid } from './SessionGrid.js';
 import { EventLog } from './EventLog.js';
 import { AudioManager } from './AudioManager.js';
 import { SessionAPI } from './SessionAPI.js';
+import { Timeline } from './Timeline.js';
+import { TranscriptView } from './TranscriptView.js';
+import { TerminalPanel } from './TerminalPanel.js';
+import { UsagePanel } from './UsagePanel.js';
+import { PermissionInbox } from './PermissionInbox.js';
+import { NotificationManager } from './NotificationManager.js';
+import { ProtocolValidator, CLIENT_CAPABILITIES } from './protocol.js';
+import { formatTokens, escapeHtml } from './utils.js';
 
 /**
  * SimpleDebouncer - Debounces events per session
@@ -45,6 +53,14 @@ class SimpleDebouncer {
       this.pending.delete(sessionId);
     }
   }
+
+  // Drop all pending events (used when the view is reset)
+  clear() {
+    for (const e of this.pending.values()) {
+      clearTimeout(e.timeout);
+    }
+    this.pending.clear();
+  }
 }
 
 class ClaudeGridApp {
@@ -61,6 +77,14 @@ class ClaudeGridApp {
     this.soundRing = this.soundBtn.querySelector('.sound-ring');
     this.soundIcon = this.soundBtn.querySelector('.sound-icon');
 
+    // Timeline
+    this.timelineBtn = document.getElementById('timeline-btn');
+    this.timelineBar = document.getElementById('timeline-bar');
+
+    // Usage summary
+    this.usageBtn = document.getElementById('usage-btn');
+    this.usagePanelElement = document.getElementById('usage-panel');
+
     // Event log
     this.logToggle = document.getElementById('log-toggle');
     this.eventLogPanel = document.getElementById('event-log');
@@ -69,8 +93,14 @@ class ClaudeGridApp {
     this.conversationPanel = document.getElementById('conversation-panel');
     this.conversationToggle = document.getElementById('conversation-toggle');
     this.conversationOutput = document.getElementById('conversation-output');
-    this.outputPollInterval = null;
-    this._refreshTimeout = null;
+    this.transcriptOutput = document.getElementById('transcript-output');
+    this.terminalOutput = document.getElementById('terminal-output');
+    this.conversationTabs = document.querySelectorAll('.conversation-tab');
+    this.conversationTab = 'transcript';
+    this.watchedTranscriptId = null;
+    this.outputSessionId = null;  // Session whose tmux output we're subscribed to
+    this.outputLines = [];
+    this.outputTop = 0;           // Absolute line number of outputLines[0]
 
     // Session control elements
     this.sessionPanel = document.getElementById('session-panel');
@@ -88,28 +118,91 @@ class ClaudeGridApp {
     this.sessionDirInput = document.getElementById('session-directory');
     this.createSessionConfirm = document.getElementById('create-session-confirm');
     this.createSessionCancel = document.getElementById('create-session-cancel');
+    this.createBudgetInputs = {
+      tokens: document.getElementById('budget-tokens'),
+      minutes: document.getElementById('budget-minutes'),
+      toolCalls: document.getElementById('budget-tool-calls')
+    };
 
-    this.permissionModal = document.getElementById('permission-modal');
-    this.permissionText = document.getElementById('permission-text');
-    this.permissionOptions = document.getElementById('permission-options');
+    this.budgetModal = document.getElementById('budget-modal');
+    this.budgetStatus = document.getElementById('budget-status');
+    this.budgetConfirm = document.getElementById('budget-confirm');
+    this.budgetCancel = document.getElementById('budget-cancel');
+    this.budgetInputs = {
+      tokens: document.getElementById('edit-budget-tokens'),
+      minutes: document.getElementById('edit-budget-minutes'),
+      toolCalls: document.getElementById('edit-budget-tool-calls')
+    };
+    this.budgetSessionId = null;
+
+    this.tokenModal = document.getElementById('token-modal');
+    this.tokenInput = document.getElementById('token-input');
+    this.tokenConfirm = document.getElementById('token-confirm');
+
+    this.inboxBtn = document.getElementById('inbox-btn');
+    this.inboxCount = document.getElementById('inbox-count');
+    this.inboxPanelElement = document.getElementById('inbox-panel');
+    this.notifyBtn = document.getElementById('notify-btn');
+    this.notifyPanelElement = document.getElementById('notify-panel');
 
     this.sessionGrid = new SessionGrid(this.canvas, {
       getSessionName: (claudeSessionId) => this.getSessionNameByClaudeId(claudeSessionId),
+      getSessionUsage: (claudeSessionId) => this.getSessionUsageByClaudeId(claudeSessionId),
+      getSessionHost: (claudeSessionId) => this.getSessionHostByClaudeId(claudeSessionId),
       onBitClick: (claudeSessionId) => this.selectSessionByClaudeId(claudeSessionId)
     });
     this.debouncer = new SimpleDebouncer((event) => this.sessionGrid.handleEvent(event));
-    this.eventLog = new EventLog(this.logContainer);
+    this.eventLog = new EventLog(this.logContainer, {
+      toolbar: document.getElementById('log-toolbar'),
+      getSessionLabel: (claudeSessionId) => this.getSessionNameByClaudeId(claudeSessionId),
+      onSelect: (event) => this.highlightEventSession(event)
+    });
+    this.transcriptView = new TranscriptView(this.transcriptOutput);
+    this.terminalPanel = new TerminalPanel(this.terminalOutput, {
+      send: (message) => this.send(message)
+    });
+    this.terminalSessionId = null; // Session the interactive terminal is attached to
     this.audioManager = new AudioManager();
     this.sessionAPI = new SessionAPI();
+    this.timeline = new Timeline(this.timelineBar, {
+      sessionAPI: this.sessionAPI,
+      onEvent: (event, ts, { instant }) => this.handleTimelineEvent(event, ts, instant),
+      onReset: () => this.resetView(),
+      onExit: () => this.resumeLive()
+    });
+    this.usagePanel = new UsagePanel(this.usagePanelElement, { sessionAPI: this.sessionAPI });
+    this.permissionInbox = new PermissionInbox(this.inboxPanelElement, {
+      getSessionName: (claudeSessionId) => this.getSessionNameByClaudeId(claudeSessionId),
+      canDecide: () => this.can('sessions:permission'),
+      onDecide: (id, decision) => this.send({ type: 'decision_response', id, decision }),
+      onRespond: (id, response) => this.send({ type: 'decision_response', id, response }),
+      onBulk: (ids, decision) => this.send({ type: 'bulk_decision', ids, decision }),
+      onChange: (count, visible) => this.updateInboxButton(count, visible)
+    });
+    this.notifications = new NotificationManager(this.notifyPanelElement, {
+      onSelect: (claudeSessionId) => this.selectSessionByClaudeId(claudeSessionId)
+    });
 
     // Skip permissions checkbox
     this.skipPermissionsCheckbox = document.getElementById('skip-permissions');
 
+    // Actions our token's role allows (from /api/auth)
+    this.permissions = new Set();
+
     // Managed sessions
     this.managedSessions = [];
     this.selectedSessionId = null;
+    // Revision of the session list we hold; patches must follow it without gaps
+    this.sessionRevision = null;
+    this.sessionResyncPending = false;
+
+    // Event journal replay state
+    this.lastEventSeq = null;
+    this.replayPending = false;
+    this.replayBuffer = [];
 
     this.ws = null;
+    this.protocol = null; // ProtocolValidator once the schema is loaded
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 1000;
@@ -118,10 +211,17 @@ class ClaudeGridApp {
     this.updateSoundButtonState();
 
     this.setupEventListeners();
-    this.connect();
+    this.start();
     this.startRenderLoop();
   }
 
+  async start() {
+    this.readTokenFromUrl();
+    await this.ensureAuthenticated();
+    this.protocol = await ProtocolValidator.load();
+    this.connect();
+  }
+
   updateSoundButtonState() {
     const modeIcons = { off: '\u2716', response: '\u26A0', on: '\u266A' };
     const modeTitles = {
@@ -165,6 +265,32 @@ class ClaudeGridApp {
       this.soundRing.style.setProperty('--volume', Math.round(newVol * 100));
     }, { passive: false });
 
+    // Timeline toggle
+    this.timelineBtn.addEventListener('click', () => {
+      if (this.timeline.active) {
+        this.timeline.exit();
+      } else {
+        this.timelineBtn.classList.add('active');
+        this.timeline.enter();
+      }
+    });
+
+    // Usage summary toggle
+    this.usageBtn.addEventListener('click', () => {
+      this.closeHeaderPanels(this.usagePanel);
+      this.usageBtn.classList.toggle('active', this.usagePanel.toggle());
+    });
+
+    this.inboxBtn.addEventListener('click', () => {
+      this.closeHeaderPanels(this.permissionInbox);
+      this.permissionInbox.toggle();
+    });
+
+    this.notifyBtn.addEventListener('click', () => {
+      this.closeHeaderPanels(this.notifications);
+      this.notifyBtn.classList.toggle('active', this.notifications.toggle());
+    });
+
     // Event log toggle
     this.logToggle.addEventListener('click', () => {
       const isCollapsed = this.eventLogPanel.classList.toggle('collapsed');
@@ -181,6 +307,11 @@ class ClaudeGridApp {
       setTimeout(() => this.sessionGrid.onResize(), 300);
     });
 
+    // Conversation tabs (parsed transcript vs raw tmux pane)
+    this.conversationTabs.forEach(tab => {
+      tab.addEventListener('click', () => this.setConversationTab(tab.dataset.tab));
+    });
+
     // Session panel toggle
     this.sessionPanelToggle?.addEventListener('click', () => {
       const isCollapsed = this.sessionPanel.classList.toggle('collapsed');
@@ -203,6 +334,15 @@ class ClaudeGridApp {
       this.hideCreateSessionModal();
     });
 
+    // Budget modal
+    this.budgetConfirm?.addEventListener('click', () => {
+      this.saveBudget();
+    });
+
+    this.budgetCancel?.addEventListener('click', () => {
+      this.hideBudgetModal();
+    });
+
     // Prompt bar
     this.promptSendBtn?.addEventListener('click', () => {
       this.sendPrompt();
@@ -222,13 +362,11 @@ class ClaudeGridApp {
 
     // Session selector
     this.sessionSelector?.addEventListener('change', () => {
-      this.selectedSessionId = this.sessionSelector.value || null;
-      this.updatePromptBarState();
-      if (this.selectedSessionId) {
-        this.startOutputPolling();
+      if (this.sessionSelector.value) {
+        this.selectSession(this.sessionSelector.value);
       } else {
-        this.stopOutputPolling();
-        this.conversationOutput.textContent = '';
+        this.selectedSessionId = null;
+        this.updatePromptBarState();
       }
     });
 
@@ -238,11 +376,85 @@ class ClaudeGridApp {
         this.hideCreateSessionModal();
       }
     });
+  }
+
+  // ===== AUTHENTICATION =====
+
+  // Accept ?token=... once, then drop it from the address bar
+  readTokenFromUrl() {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get('token');
+    if (!token) return;
 
-    this.permissionModal?.addEventListener('click', (e) => {
-      if (e.target === this.permissionModal) {
-        // Don't allow closing permission modal by clicking backdrop
+    this.sessionAPI.setToken(token);
+    url.searchParams.delete('token');
+    window.history.replaceState(null, '', url.toString());
+  }
+
+  // Resolve once the server accepts our token (or doesn't need one)
+  async ensureAuthenticated() {
+    while (true) {
+      let status;
+      try {
+        status = await this.sessionAPI.getAuthStatus();
+      } catch (err) {
+        // Server unreachable - let the WebSocket reconnect loop handle it
+        return;
       }
+      if (!status.required || status.authenticated) {
+        this.applyPermissions(status.permissions || []);
+        return;
+      }
+
+      this.sessionAPI.setToken(null);
+      const token = await this.promptForToken();
+      this.sessionAPI.setToken(token);
+    }
+  }
+
+  can(action) {
+    return this.permissions.has(action);
+  }
+
+  // Hide controls the current role cannot use
+  applyPermissions(permissions) {
+    this.permissions = new Set(permissions);
+
+    if (this.newSessionBtn) this.newSessionBtn.hidden = !this.can('sessions:create');
+    if (this.promptInput) this.promptInput.hidden = !this.can('sessions:prompt');
+    if (this.promptSendBtn) this.promptSendBtn.hidden = !this.can('sessions:prompt');
+    if (this.cancelBtn) this.cancelBtn.hidden = !this.can('sessions:cancel');
+    this.conversationTabs.forEach(tab => {
+      if (tab.dataset.tab === 'terminal') tab.hidden = !this.can('sessions:terminal');
+    });
+    if (this.conversationTab === 'terminal' && !this.can('sessions:terminal')) {
+      this.setConversationTab('transcript');
+    }
+    this.permissionInbox.render(); // Decision buttons depend on the role
+
+    this.renderSessionList();
+  }
+
+  promptForToken() {
+    return new Promise((resolve) => {
+      this.tokenInput.value = '';
+      this.tokenModal.classList.add('visible');
+      this.tokenInput.focus();
+
+      const submit = () => {
+        const token = this.tokenInput.value.trim();
+        if (!token) return;
+        this.tokenConfirm.removeEventListener('click', submit);
+        this.tokenInput.removeEventListener('keydown', onKey);
+        this.tokenModal.classList.remove('visible');
+        resolve(token);
+      };
+      const onKey = (e) => {
+        if (e.key === 'Enter') submit();
+      };
+
+      this.tokenConfirm.addEventListener('click', submit);
+      this.tokenInput.addEventListener('keydown', onKey);
     });
   }
 
@@ -250,7 +462,11 @@ class ClaudeGridApp {
     const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
     const wsUrl = `${protocol}//${window.location.host}/ws`;
 
-    this.ws = new WebSocket(wsUrl);
+    // Browsers can't set headers on WebSocket, so the token rides in a subprotocol
+    const token = this.sessionAPI.token;
+    this.ws = token
+      ? new WebSocket(wsUrl, ['claudegrid', `token.${token}`])
+      : new WebSocket(wsUrl);
 
     this.ws.onopen = () => {
       console.log('WebSocket connected');
@@ -273,6 +489,11 @@ class ClaudeGridApp {
     this.ws.onmessage = (event) => {
       try {
         const data = JSON.parse(event.data);
+        const problems = this.protocol ? this.protocol.validate(data, 'server') : [];
+        if (problems.length > 0) {
+          console.error('Ignoring invalid server message:', problems.join('; '), data);
+          return;
+        }
         this.handleMessage(data);
       } catch (err) {
         console.error('Error parsing message:', err);
@@ -291,35 +512,132 @@ class ClaudeGridApp {
 
     console.log(`Reconnecting in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts})`);
 
-    setTimeout(() => this.connect(), delay);
+    setTimeout(async () => {
+      // Token may have been revoked while we were away
+      await this.ensureAuthenticated();
+      this.connect();
+    }, delay);
   }
 
   handleMessage(data) {
-    const msgType = data.messageType || data.type;
-    switch (msgType) {
+    switch (data.type) {
+      case 'hello':
+        // Server handshake; answer with the version (of the schema loaded with
+        // this page) and features we speak. Without the schema we can't tell.
+        if (!this.protocol) break;
+        if (data.protocol !== this.protocol.version) {
+          console.error(`Server speaks protocol ${data.protocol}, this page speaks ${this.protocol.version}; reload the page`);
+        }
+        this.send({ type: 'hello', protocol: this.protocol.version, client: 'claudegrid-web', capabilities: CLIENT_CAPABILITIES });
+        break;
+
       case 'init':
         // Initialize with existing sessions
+        this.setSessionSnapshot(data);
+        this.permissionInbox.update(data.permissions || []);
+        this.updateWaitingBadge();
+        // New connection has no subscriptions registered
+        this.watchTranscript(true);
+        this.subscribeOutput(true);
+        this.updateTerminalAttachment(true);
+        if (this.timeline.active) break; // Grid is rebuilt when returning to live
         this.sessionGrid.initFromSessions(data.sessions || []);
-        this.updateManagedSessions(data.sessions || []);
         this.updateSessionCount();
+        this.requestReplay();
+        break;
+
+      case 'event': {
+        // A journal record; the hook event carries its seq from here on
+        const event = { ...data.event, seq: data.seq };
+        // Notify even while the timeline has live updates paused
+        this.notifyEvent(event);
+        if (this.timeline.active) {
+          // Live updates are paused; resumeLive() replays what we skipped
+          break;
+        }
+        if (this.replayPending) {
+          // Hold live events until the replay has been applied
+          this.replayBuffer.push(event);
+        } else {
+          this.handleEvent(event);
+        }
+        break;
+      }
+
+      case 'replay':
+        if (this.timeline.active) {
+          this.replayPending = false;
+          break;
+        }
+        this.applyReplay(data.events || []);
+        break;
+
+      case 'transcript':
+        // Parsed transcript blocks for the watched session
+        if (data.sessionId !== this.watchedTranscriptId) break;
+        if (data.reset) {
+          this.transcriptView.setBlocks(data.blocks || []);
+        } else {
+          this.transcriptView.appendBlocks(data.blocks || []);
+        }
+        break;
+
+      case 'output':
+        // Incremental tmux output for the subscribed session
+        this.applyOutput(data);
+        break;
+
+      case 'terminal_attached':
+      case 'terminal_output':
+      case 'terminal_exit':
+        this.terminalPanel.handleMessage(data);
+        break;
+
+      case 'usage': {
+        // Token totals changed for one session
+        const session = this.managedSessions.find(s => s.id === data.sessionId);
+        if (session) session.usage = data.usage;
+        this.usagePanel.onUsage();
+        break;
+      }
+
+      case 'permissions':
+        // Outstanding permission requests changed (new, answered, expired or the session moved on)
+        this.notifyNewPermissions(data.permissions || []);
+        this.permissionInbox.update(data.permissions || []);
+        this.updateWaitingBadge();
         break;
 
-      case 'event':
-        this.handleEvent(data);
+      case 'permission_decision':
+        // A policy rule answered a permission prompt without asking
+        this.eventLog.addEntry({ ...data, type: 'PolicyDecision', session_id: data.sessionId });
+        break;
+
+      case 'budget_exceeded':
+        // A managed session was cancelled for crossing a limit
+        this.eventLog.addEntry({ ...data, type: 'BudgetExceeded', session_id: data.sessionId });
+        this.notifications.notify('Error', {
+          title: `${data.name} stopped: over ${data.scope === 'global' ? 'the global budget' : 'budget'}`,
+          body: `${data.scope === 'global' ? 'all sessions, ' : ''}${data.limit}: ${data.used} / ${data.max}`,
+          claudeSessionId: this.managedSessions.find(s => s.id === data.sessionId)?.claudeSessionId,
+          tag: `budget:${data.sessionId}`
+        });
         break;
 
       case 'sessions':
-        // Session list update
-        this.updateManagedSessions(data.sessions || []);
+        // Full session list (our get_sessions after a gap)
+        this.setSessionSnapshot(data);
         break;
 
-      case 'permission_prompt':
-        // Permission prompt from a session
-        this.showPermissionModal(data.sessionId, data.options);
+      case 'session_added':
+      case 'session_updated':
+      case 'session_removed':
+        this.applySessionPatch(data);
         break;
 
       case 'error':
         console.error('Server error:', data.error);
+        this.notifications.notify('Error', { title: 'ClaudeGrid error', body: data.error });
         break;
 
       case 'prompt_sent':
@@ -336,7 +654,94 @@ class ClaudeGridApp {
     }
   }
 
+  // Send a message if the socket is open (dropped otherwise; state is re-sent on reconnect)
+  send(message) {
+    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify(this.protocol ? { v: this.protocol.version, ...message } : message));
+    }
+  }
+
+  // Ask the server for journaled events we missed (or recent history on first load)
+  requestReplay() {
+    if (!this.ws || this.ws.readyState !== WebSocket.OPEN) return;
+
+    this.replayPending = true;
+    this.replayBuffer = [];
+
+    const message = { type: 'replay' };
+    if (this.lastEventSeq !== null) {
+      message.sinceSeq = this.lastEventSeq;
+    } else {
+      message.limit = this.eventLog.maxEntries;
+    }
+    this.send(message);
+  }
+
+  // Rebuild EventLog and Bits from journal records, then drain buffered live events
+  applyReplay(records) {
+    const liveIds = new Set();
+    for (const session of this.managedSessions) {
+      liveIds.add(session.claudeSessionId || session.id);
+      for (const subagent of session.subagents || []) liveIds.add(subagent.id);
+    }
+
+    for (const { seq, ts, event } of records) {
+      if (this.lastEventSeq !== null && seq <= this.lastEventSeq) continue;
+      this.lastEventSeq = seq;
+
+      this.eventLog.addEntry({ ...event, seq }, ts);
+      // Only replay visuals for sessions that still exist, so ended sessions don't respawn
+      if (liveIds.has(event.session_id)) {
+        this.sessionGrid.handleEvent(event);
+      }
+    }
+
+    this.replayPending = false;
+    const buffered = this.replayBuffer;
+    this.replayBuffer = [];
+    for (const data of buffered) {
+      if (this.lastEventSeq !== null && data.seq <= this.lastEventSeq) continue;
+      this.handleEvent(data);
+    }
+
+    this.updateSessionCount();
+  }
+
+  // ===== TIMELINE =====
+
+  // Feed a historical event into the grid (instant when scrubbing, debounced when playing)
+  handleTimelineEvent(event, ts, instant) {
+    this.eventLog.addEntry(event, ts);
+    if (instant) {
+      this.sessionGrid.handleEvent(event);
+    } else {
+      this.debouncer.enqueue(event);
+    }
+    this.updateSessionCount();
+  }
+
+  // Remove every Bit and log entry
+  resetView() {
+    this.debouncer.clear();
+    this.sessionGrid.initFromSessions([]);
+    this.eventLog.clear();
+  }
+
+  // Leave the timeline and rebuild the live view from the journal
+  resumeLive() {
+    this.timelineBtn.classList.remove('active');
+    this.resetView();
+    this.sessionGrid.initFromSessions(this.managedSessions);
+    this.lastEventSeq = null;
+    this.requestReplay();
+    this.updateSessionCount();
+  }
+
   handleEvent(eventData) {
+    if (eventData.seq !== undefined) {
+      this.lastEventSeq = eventData.seq;
+    }
+
     try {
       // Route visualization through debouncer
       this.debouncer.enqueue(eventData);
@@ -352,14 +757,6 @@ class ClaudeGridApp {
 
     // Always update UI (even if event processing failed)
     this.updateSessionCount();
-
-    // Refresh conversation output if event is for the selected session
-    if (eventData.session_id && this.selectedSessionId) {
-      const selectedSession = this.managedSessions.find(s => s.id === this.selectedSessionId);
-      if (selectedSession && selectedSession.claudeSessionId === eventData.session_id) {
-        this.refreshConversationOutput();
-      }
-    }
   }
 
   playEventSound(eventData) {
@@ -399,64 +796,130 @@ class ClaudeGridApp {
 
   // ===== CONVERSATION OUTPUT =====
 
-  startOutputPolling() {
-    this.stopOutputPolling();
-    if (!this.selectedSessionId) return;
+  // Switch between the parsed transcript and the raw terminal pane
+  setConversationTab(tab) {
+    this.conversationTab = tab;
+    this.conversationTabs.forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+    this.transcriptOutput.hidden = tab !== 'transcript';
+    this.conversationOutput.hidden = tab !== 'output';
+    this.terminalOutput.hidden = tab !== 'terminal';
+    this.subscribeOutput();
+    this.updateTerminalAttachment();
+  }
+
+  // Attach the interactive terminal while its tab is open on a managed session
+  updateTerminalAttachment(force = false) {
+    const session = this.managedSessions.find(s => s.id === this.selectedSessionId);
+    const sessionId = (this.conversationTab === 'terminal' && this.can('sessions:terminal') &&
+      session && !session.observed && !session.host && session.state !== 'offline')
+      ? session.id
+      : null;
+    if (sessionId === this.terminalSessionId && !force) return;
+
+    this.terminalSessionId = sessionId;
+    if (sessionId) {
+      this.terminalPanel.attach(sessionId);
+    } else {
+      this.terminalPanel.detach();
+    }
+  }
 
-    const poll = async () => {
-      if (!this.selectedSessionId) return;
-      const session = this.managedSessions.find(s => s.id === this.selectedSessionId && !s.observed);
-      if (!session) return;
+  // Ask the server to stream transcript blocks for the selected session
+  watchTranscript(force = false) {
+    const sessionId = this.selectedSessionId || null;
+    if (sessionId === this.watchedTranscriptId && !force) return;
 
-      try {
-        const result = await this.sessionAPI.getOutput(this.selectedSessionId, 200);
-        if (result.output !== undefined) {
-          const wasAtBottom = this.conversationOutput.scrollHeight - this.conversationOutput.scrollTop <= this.conversationOutput.clientHeight + 20;
-          this.conversationOutput.textContent = result.output;
-          if (wasAtBottom) {
-            this.conversationOutput.scrollTop = this.conversationOutput.scrollHeight;
-          }
-        }
-      } catch (err) {
-        // Silently fail -- session may be offline
-      }
-    };
+    if (sessionId !== this.watchedTranscriptId) {
+      this.transcriptView.clear();
+    }
+    this.watchedTranscriptId = sessionId;
 
-    poll();
-    this.outputPollInterval = setInterval(poll, 3000);
+    this.send({ type: 'watch_transcript', sessionId });
   }
 
-  stopOutputPolling() {
-    if (this.outputPollInterval) {
-      clearInterval(this.outputPollInterval);
-      this.outputPollInterval = null;
+  // Stream tmux output for the selected managed session while the output tab is open
+  subscribeOutput(force = false) {
+    const session = this.managedSessions.find(s => s.id === this.selectedSessionId);
+    const sessionId = (this.conversationTab === 'output' && session && !session.observed && !session.host && session.state !== 'offline')
+      ? session.id
+      : null;
+    if (sessionId === this.outputSessionId && !force) return;
+
+    if (sessionId !== this.outputSessionId) {
+      this.outputLines = [];
+      this.outputTop = 0;
+      this.conversationOutput.textContent = '';
     }
+    this.outputSessionId = sessionId;
+
+    this.send({ type: 'subscribe_output', sessionId });
   }
 
-  refreshConversationOutput() {
-    if (this._refreshTimeout) clearTimeout(this._refreshTimeout);
-    this._refreshTimeout = setTimeout(async () => {
-      if (!this.selectedSessionId) return;
-      try {
-        const result = await this.sessionAPI.getOutput(this.selectedSessionId, 200);
-        if (result.output !== undefined) {
-          const wasAtBottom = this.conversationOutput.scrollHeight - this.conversationOutput.scrollTop <= this.conversationOutput.clientHeight + 20;
-          this.conversationOutput.textContent = result.output;
-          if (wasAtBottom) {
-            this.conversationOutput.scrollTop = this.conversationOutput.scrollHeight;
-          }
-        }
-      } catch (err) { /* ignore */ }
-    }, 500);
+  // Apply an output patch: lines from `start` on are replaced, lines before `top` dropped
+  applyOutput(data) {
+    if (data.sessionId !== this.outputSessionId) return;
+
+    if (data.reset) {
+      this.outputLines = data.lines;
+    } else {
+      this.outputLines = this.outputLines
+        .slice(0, data.start - this.outputTop)
+        .concat(data.lines)
+        .slice(data.top - this.outputTop);
+    }
+    this.outputTop = data.top;
+
+    const wasAtBottom = this.conversationOutput.scrollHeight - this.conversationOutput.scrollTop <= this.conversationOutput.clientHeight + 20;
+    this.conversationOutput.textContent = this.outputLines.join('\n');
+    if (wasAtBottom) {
+      this.conversationOutput.scrollTop = this.conversationOutput.scrollHeight;
+    }
   }
 
   // ===== SESSION MANAGEMENT =====
 
+  // Replace the session list with a full snapshot and its revision
+  setSessionSnapshot(data) {
+    this.sessionRevision = data.revision ?? null;
+    this.sessionResyncPending = false;
+    this.updateManagedSessions(data.sessions || []);
+  }
+
+  // Apply one revisioned patch; a skipped revision means we missed one, so
+  // fetch the whole list instead of guessing
+  applySessionPatch(patch) {
+    if (this.sessionResyncPending || this.sessionRevision === null) return;
+    if (patch.revision <= this.sessionRevision) return; // Already in our snapshot
+    if (patch.revision !== this.sessionRevision + 1) {
+      console.warn(`Session revision gap (have ${this.sessionRevision}, got ${patch.revision}); resyncing`);
+      this.sessionResyncPending = true;
+      this.send({ type: 'get_sessions' });
+      return;
+    }
+    this.sessionRevision = patch.revision;
+
+    let sessions = this.managedSessions;
+    if (patch.type === 'session_added') {
+      sessions = [...sessions.filter(s => s.id !== patch.session.id), patch.session];
+    } else if (patch.type === 'session_updated') {
+      sessions = sessions.map((s) => {
+        if (s.id !== patch.id) return s;
+        const updated = { ...s, ...patch.changes };
+        for (const key of patch.removed || []) delete updated[key];
+        return updated;
+      });
+    } else {
+      sessions = sessions.filter(s => s.id !== patch.id);
+    }
+    this.updateManagedSessions(sessions);
+  }
+
   updateManagedSessions(sessions) {
     this.managedSessions = sessions;
     this.renderSessionList();
     this.updateSessionSelector();
     this.updatePromptBarState();
+    this.updateWaitingBadge();
   }
 
   renderSessionList() {
@@ -507,6 +970,7 @@ class ClaudeGridApp {
       idle: '#44ff88',
       working: '#ffdd44',
       waiting: '#ff8844',
+      over_budget: '#ff4466',
       offline: '#666688'
     };
 
@@ -517,25 +981,38 @@ class ClaudeGridApp {
       item.innerHTML = `
         <div class="session-info">
           <span class="session-state" style="color: ${stateColors[session.state] || '#446688'}">●</span>
-          <span class="session-name">${this.escapeHtml(session.name)} <span class="session-id">(${this.escapeHtml(session.id.slice(0, 8))})</span></span>
+          <span class="session-name">${this.hostBadge(session)}${escapeHtml(session.name)} <span class="session-id">(${escapeHtml(this.shortId(session))})</span></span>
         </div>
-        ${session.directory ? `<div class="session-dir">${this.escapeHtml(this.truncatePath(session.directory))}</div>` : ''}
+        ${session.directory ? `<div class="session-dir">${escapeHtml(this.truncatePath(session.directory))}</div>` : ''}
       `;
+
+      // Select to view the transcript (read-only)
+      item.addEventListener('click', () => {
+        this.selectSession(session.id);
+      });
     } else {
       // Managed session - full actions
       item.innerHTML = `
         <div class="session-info">
           <span class="session-state" style="color: ${stateColors[session.state] || '#446688'}">●</span>
-          <span class="session-name">${this.escapeHtml(session.name)} <span class="session-id">(${this.escapeHtml(session.id.slice(0, 8))})</span></span>
-        </div>
-        <div class="session-dir">${this.escapeHtml(this.truncatePath(session.directory))}</div>
-        <div class="session-actions">
-          <button class="action-btn delete-btn" title="Delete session">×</button>
+          <span class="session-name">${this.hostBadge(session)}${escapeHtml(session.name)} <span class="session-id">(${escapeHtml(this.shortId(session))})</span></span>
         </div>
+        <div class="session-dir">${escapeHtml(this.truncatePath(session.directory))}</div>
+        ${session.budget ? `<div class="session-budget">${escapeHtml(this.describeBudget(session))}</div>` : ''}
+        ${this.can('sessions:delete') || this.can('sessions:budget') ? `<div class="session-actions">
+          ${this.can('sessions:budget') ? '<button class="action-btn budget-btn" title="Edit budget">$</button>' : ''}
+          ${this.can('sessions:delete') ? '<button class="action-btn delete-btn" title="Delete session">×</button>' : ''}
+        </div>` : ''}
       `;
 
       // Action button handlers (managed sessions only)
       const deleteBtn = item.querySelector('.delete-btn');
+      const budgetBtn = item.querySelector('.budget-btn');
+
+      budgetBtn?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.showBudgetModal(session.id);
+      });
 
       deleteBtn?.addEventListener('click', (e) => {
         e.stopPropagation();
@@ -548,6 +1025,19 @@ class ClaudeGridApp {
       });
     }
 
+    // Running subagents, nested under their parent
+    if (session.subagents && session.subagents.length > 0) {
+      const list = document.createElement('div');
+      list.className = 'session-subagents';
+      for (const subagent of session.subagents) {
+        const row = document.createElement('div');
+        row.className = `session-subagent state-${subagent.state}`;
+        row.textContent = `↳ ${subagent.subagentType || 'subagent'}${subagent.description ? `: ${subagent.description}` : ''}`;
+        list.appendChild(row);
+      }
+      item.appendChild(list);
+    }
+
     return item;
   }
 
@@ -557,18 +1047,21 @@ class ClaudeGridApp {
     const currentValue = this.sessionSelector.value;
     this.sessionSelector.innerHTML = '<option value="">Select session...</option>';
 
-    // Only show managed sessions (not observed) in the selector
+    // Observed sessions are listed too: their transcript is viewable, but they can't take prompts
     for (const session of this.managedSessions) {
-      if (!session.observed && session.state !== 'offline') {
+      if (session.state !== 'offline') {
         const option = document.createElement('option');
         option.value = session.id;
-        option.textContent = `${session.name} (${session.state})`;
+        const name = session.host ? `${session.host} · ${session.name}` : session.name;
+        option.textContent = session.observed
+          ? `${name} (observed)`
+          : `${name} (${session.state})`;
         this.sessionSelector.appendChild(option);
       }
     }
 
-    // Restore selection if still valid (must be managed and not offline)
-    const validSession = this.managedSessions.find(s => s.id === currentValue && !s.observed && s.state !== 'offline');
+    // Restore selection if still valid (must not be offline)
+    const validSession = this.managedSessions.find(s => s.id === currentValue && s.state !== 'offline');
     if (currentValue && validSession) {
       this.sessionSelector.value = currentValue;
       this.selectedSessionId = currentValue;
@@ -582,25 +1075,37 @@ class ClaudeGridApp {
 
     const hasSelection = !!this.selectedSessionId;
     const session = this.managedSessions.find(s => s.id === this.selectedSessionId);
-    const canSend = hasSelection && session && session.state !== 'offline';
+    const online = hasSelection && session && !session.observed && session.state !== 'offline';
+    const canSend = online && session.state !== 'over_budget';
 
     this.promptInput.disabled = !canSend;
     this.promptSendBtn.disabled = !canSend;
-    this.cancelBtn.disabled = !canSend;
+    this.cancelBtn.disabled = !online;
+
+    // Observed sessions have no tmux pane to show, and other hosts' panes aren't streamed here
+    const noPane = !!(session && (session.observed || session.host));
+    this.conversationTabs.forEach(tab => {
+      if (tab.dataset.tab !== 'transcript') tab.disabled = noPane;
+    });
+    if (noPane && this.conversationTab !== 'transcript') {
+      this.setConversationTab('transcript');
+    }
 
     if (canSend) {
       this.promptInput.placeholder = `Send prompt to ${session.name}...`;
+    } else if (session && session.observed) {
+      this.promptInput.placeholder = 'Observed session (read-only)';
+    } else if (online) {
+      this.promptInput.placeholder = 'Over budget - raise the limit to continue';
     } else if (hasSelection) {
       this.promptInput.placeholder = 'Session is offline';
     } else {
       this.promptInput.placeholder = 'Select a session first...';
     }
 
-    // Stop polling if no valid session
-    if (!this.selectedSessionId) {
-      this.stopOutputPolling();
-      this.conversationOutput.textContent = '';
-    }
+    this.subscribeOutput();
+    this.updateTerminalAttachment();
+    this.watchTranscript();
   }
 
   selectSession(id) {
@@ -609,7 +1114,6 @@ class ClaudeGridApp {
       this.sessionSelector.value = id;
     }
     this.updatePromptBarState();
-    this.startOutputPolling();
 
     // Highlight selected in list
     document.querySelectorAll('.session-item').forEach(item => {
@@ -623,6 +1127,9 @@ class ClaudeGridApp {
     if (!this.createSessionModal) return;
     this.sessionNameInput.value = '';
     this.sessionDirInput.value = '';
+    for (const input of Object.values(this.createBudgetInputs)) {
+      input.value = '';
+    }
     this.createSessionModal.classList.add('visible');
     this.sessionNameInput.focus();
   }
@@ -644,7 +1151,8 @@ class ClaudeGridApp {
     btn.disabled = true;
 
     try {
-      const result = await this.sessionAPI.createSession({ name, directory, skipPermissions });
+      const budget = this.readBudgetInputs(this.createBudgetInputs);
+      const result = await this.sessionAPI.createSession({ name, directory, skipPermissions, budget });
       this.hideCreateSessionModal();
       // Session list will be updated via WebSocket
       if (result.session) {
@@ -705,8 +1213,6 @@ class ClaudeGridApp {
       await this.sessionAPI.deleteSession(id);
       if (this.selectedSessionId === id) {
         this.selectedSessionId = null;
-        this.stopOutputPolling();
-        this.conversationOutput.textContent = '';
         this.updatePromptBarState();
       }
     } catch (err) {
@@ -714,49 +1220,166 @@ class ClaudeGridApp {
     }
   }
 
-  // ===== PERMISSION HANDLING =====
-
-  showPermissionModal(sessionId, options) {
-    if (!this.permissionModal) return;
+  // ===== BUDGETS =====
 
-    const session = this.managedSessions.find(s => s.id === sessionId);
-    const sessionName = session ? session.name : sessionId;
+  // { tokens, minutes, toolCalls } from a set of inputs (empty = no limit), or null if all empty
+  readBudgetInputs(inputs) {
+    const budget = {};
+    let any = false;
+    for (const [limit, input] of Object.entries(inputs)) {
+      const value = parseFloat(input.value);
+      budget[limit] = value > 0 ? value : null;
+      any = any || budget[limit] !== null;
+    }
+    return any ? budget : null;
+  }
 
-    this.permissionText.textContent = `${sessionName} is requesting permission:`;
-    if (options.text) {
-      this.permissionText.textContent += '\n\n' + options.text;
+  // Consumption against each limit, e.g. "tokens 1.2M/2M · tools 40/100"
+  describeBudget(session) {
+    const { budget } = session;
+    const usage = session.usage || {};
+    const parts = [];
+    if (budget.tokens) {
+      const used = (usage.inputTokens || 0) + (usage.outputTokens || 0) + (usage.cacheCreationTokens || 0);
+      parts.push(`tokens ${formatTokens(used)}/${formatTokens(budget.tokens)}`);
+    }
+    if (budget.minutes) {
+      const minutes = Math.floor((Date.now() - new Date(session.createdAt).getTime()) / 60000);
+      parts.push(`${minutes}/${budget.minutes} min`);
+    }
+    if (budget.toolCalls) {
+      parts.push(`tools ${session.toolCalls || 0}/${budget.toolCalls}`);
     }
+    const prefix = session.state === 'over_budget' ? 'OVER BUDGET · ' : '';
+    return prefix + (parts.length > 0 ? parts.join(' · ') : 'no limits');
+  }
 
-    this.permissionOptions.innerHTML = '';
+  showBudgetModal(sessionId) {
+    const session = this.managedSessions.find(s => s.id === sessionId);
+    if (!this.budgetModal || !session) return;
 
-    for (const opt of options.options || []) {
-      const btn = document.createElement('button');
-      btn.className = 'btn permission-btn';
-      btn.textContent = `${opt.number}. ${opt.label}`;
-      btn.addEventListener('click', () => {
-        this.sendPermissionResponse(sessionId, opt.number);
-      });
-      this.permissionOptions.appendChild(btn);
+    this.budgetSessionId = sessionId;
+    const budget = session.budget || {};
+    for (const [limit, input] of Object.entries(this.budgetInputs)) {
+      input.value = budget[limit] || '';
     }
 
-    this.permissionModal.dataset.sessionId = sessionId;
-    this.permissionModal.classList.add('visible');
+    const breach = session.state === 'over_budget' ? session.budgetExceeded : null;
+    this.budgetStatus.innerHTML = `
+      <div>${escapeHtml(session.name)}: ${escapeHtml(session.budget ? this.describeBudget(session) : 'no budget')}</div>
+      ${breach ? `<div class="over">Cancelled at ${breach.scope === 'global' ? 'global ' : ''}${escapeHtml(breach.limit)} ${escapeHtml(breach.used)} / ${escapeHtml(breach.max)}. ${breach.scope === 'global' ? 'An admin must raise the global limit to resume.' : 'Raise that limit to resume.'}</div>` : ''}
+    `;
+    this.budgetModal.classList.add('visible');
   }
 
-  hidePermissionModal() {
-    if (!this.permissionModal) return;
-    this.permissionModal.classList.remove('visible');
+  hideBudgetModal() {
+    if (!this.budgetModal) return;
+    this.budgetModal.classList.remove('visible');
+    this.budgetSessionId = null;
   }
 
-  async sendPermissionResponse(sessionId, response) {
+  async saveBudget() {
+    if (!this.budgetSessionId) return;
+
+    const budget = this.readBudgetInputs(this.budgetInputs) || { tokens: null, minutes: null, toolCalls: null };
     try {
-      await this.sessionAPI.sendPermission(sessionId, response);
-      this.hidePermissionModal();
+      const result = await this.sessionAPI.setBudget(this.budgetSessionId, budget);
+      if (result.stillOverBudget) {
+        // Still over a limit: show the new numbers (the session list update may not be here yet)
+        const session = this.managedSessions.find(s => s.id === this.budgetSessionId);
+        if (session) Object.assign(session, result.session);
+        this.showBudgetModal(this.budgetSessionId);
+        return;
+      }
+      this.hideBudgetModal();
     } catch (err) {
-      console.error('Error sending permission response:', err);
+      console.error('Error updating budget:', err);
+    }
+  }
+
+  // Header dropdowns share one spot; opening one closes the others
+  closeHeaderPanels(except) {
+    if (except !== this.usagePanel && this.usagePanel.visible) {
+      this.usagePanel.hide();
+      this.usageBtn.classList.remove('active');
+    }
+    if (except !== this.permissionInbox && this.permissionInbox.visible) {
+      this.permissionInbox.hide();
+    }
+    if (except !== this.notifications && this.notifications.visible) {
+      this.notifications.hide();
+      this.notifyBtn.classList.remove('active');
+    }
+  }
+
+  // ===== PERMISSION HANDLING =====
+
+  // Header button shows how many requests are waiting
+  updateInboxButton(count, visible) {
+    this.inboxBtn.classList.toggle('active', visible);
+    this.inboxBtn.classList.toggle('pending', count > 0);
+    this.inboxCount.textContent = count > 0 ? count : '';
+  }
+
+  // ===== NOTIFICATIONS =====
+
+  // Desktop notifications for live hook events (subagents stay quiet)
+  notifyEvent(event) {
+    const hookEvent = event.hook_event_name;
+    const claudeSessionId = event.session_id;
+    if (!claudeSessionId || event.parent_session_id) return;
+
+    const name = this.getSessionNameByClaudeId(claudeSessionId) ||
+      (event.cwd ? event.cwd.split('/').pop() : claudeSessionId.slice(0, 8));
+
+    if (hookEvent === 'PermissionRequest') {
+      const input = event.tool_input || {};
+      this.notifications.notify('PermissionRequest', {
+        title: `${name} needs permission`,
+        body: [event.tool_name, input.command || input.file_path || input.url].filter(Boolean).join(': '),
+        claudeSessionId,
+        tag: `permission:${claudeSessionId}`
+      });
+    } else if (hookEvent === 'Stop') {
+      this.notifications.notify('Stop', {
+        title: `${name} finished`,
+        body: 'Waiting for your next prompt',
+        claudeSessionId,
+        tag: `stop:${claudeSessionId}`
+      });
+    } else if (hookEvent === 'SessionEnd') {
+      this.notifications.notify('SessionEnd', {
+        title: `${name} ended`,
+        claudeSessionId,
+        tag: `end:${claudeSessionId}`
+      });
+    }
+  }
+
+  // Screen prompts reach the queue without a hook event; same tag as the hook's notification
+  notifyNewPermissions(entries) {
+    const known = new Set(this.permissionInbox.entries.map(e => e.id));
+    for (const entry of entries) {
+      if (known.has(entry.id)) continue;
+      const key = entry.claudeSessionId || entry.sessionId;
+      this.notifications.notify('PermissionRequest', {
+        title: `${entry.sessionName || this.getSessionNameByClaudeId(entry.claudeSessionId) || entry.sessionId} needs permission`,
+        body: [entry.tool, entry.command].filter(Boolean).join(': ') || entry.text || '',
+        claudeSessionId: entry.claudeSessionId,
+        tag: `permission:${key}`
+      });
     }
   }
 
+  // Title/favicon badge: sessions waiting on a permission answer
+  updateWaitingBadge() {
+    const waiting = new Set(this.managedSessions.filter(s => s.state === 'waiting').map(s => s.id));
+    for (const entry of this.permissionInbox.entries) {
+      waiting.add(entry.sessionId);
+    }
+    this.notifications.setBadge(waiting.size);
+  }
+
   // ===== BIT INTERACTION =====
 
   getSessionNameByClaudeId(claudeSessionId) {
@@ -765,20 +1388,31 @@ class ClaudeGridApp {
     if (session && session.name && !session.observed) {
       return session.name;
     }
+
+    // Subagents are labelled by their type and task description
+    for (const parent of this.managedSessions) {
+      const subagent = (parent.subagents || []).find(s => s.id === claudeSessionId);
+      if (subagent) {
+        return [subagent.subagentType || 'subagent', subagent.description].filter(Boolean).join(': ');
+      }
+    }
     return null;
   }
 
-  selectSessionByClaudeId(claudeSessionId) {
-    // Check if this is an observed session (no tmux, can't interact)
-    const observedSession = this.managedSessions.find(s => s.claudeSessionId === claudeSessionId && s.observed);
-    if (observedSession) {
-      // Play a short error beep to indicate this bit isn't interactive
-      this.audioManager.playErrorBeep();
-      return;
-    }
+  // Host of a federated session behind a Bit (null for this server's own)
+  getSessionHostByClaudeId(claudeSessionId) {
+    const session = this.managedSessions.find(s => (s.claudeSessionId || s.id) === claudeSessionId);
+    return session ? session.host || null : null;
+  }
+
+  // Token totals for the session behind a Bit (subagents are counted in their parent)
+  getSessionUsageByClaudeId(claudeSessionId) {
+    const session = this.managedSessions.find(s => (s.claudeSessionId || s.id) === claudeSessionId);
+    return session ? session.usage : null;
+  }
 
-    // Find managed session with matching claudeSessionId
-    const session = this.managedSessions.find(s => s.claudeSessionId === claudeSessionId && !s.observed);
+  selectSessionByClaudeId(claudeSessionId) {
+    const session = this.managedSessions.find(s => s.claudeSessionId === claudeSessionId);
     if (session && session.state !== 'offline') {
       this.selectSession(session.id);
       // Open the conversation panel
@@ -788,19 +1422,31 @@ class ClaudeGridApp {
         this.conversationToggle.innerHTML = '&#8744;';
         setTimeout(() => this.sessionGrid.onResize(), 300);
       }
-      // Focus prompt input
-      if (this.promptInput) {
+      // Focus prompt input (observed sessions are read-only)
+      if (this.promptInput && !session.observed) {
         this.promptInput.focus();
       }
     }
   }
 
+  // Pulse the Bit of the session behind a log entry (policy and budget entries carry the managed id)
+  highlightEventSession(event) {
+    if (!event.session_id) return;
+    const session = this.managedSessions.find(s => s.id === event.session_id);
+    this.sessionGrid.highlightSession(session?.claudeSessionId || event.session_id);
+  }
+
   // ===== UTILITIES =====
 
-  escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  // Session ID without its host prefix, shortened
+  shortId(session) {
+    const id = session.host ? session.id.slice(session.host.length + 1) : session.id;
+    return id.slice(0, 8);
+  }
+
+  // Tag naming the host of a federated session
+  hostBadge(session) {
+    return session.host ? `<span class="session-host">${escapeHtml(session.host)}</span>` : '';
   }
 
   truncatePath(path, maxLen = 30) {
@@ -0,0 +1,46 @@
+// Schema checks shared with the server (sets globalThis.ClaudeGridProtocol)
+import '../protocol/validate.js';
+
+// What this client understands, sent in its `hello`
+export const CLIENT_CAPABILITIES = ['session_patches', 'request_ids'];
+
+const SCHEMA_URL = '/protocol/messages.schema.json';
+
+/**
+ * ProtocolValidator - Checks messages against the shared message schema
+ *
+ * Both the schema and the checks (protocol/validate.js) are the files the
+ * server itself uses, so both ends agree on the version and on what a valid
+ * message is.
+ */
+export class ProtocolValidator {
+  constructor(schema) {
+    this.schema = schema;
+  }
+
+  // Fetch the schema the server ships; null if it can't be loaded
+  static async load() {
+    try {
+      const response = await fetch(SCHEMA_URL);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return new ProtocolValidator(await response.json());
+    } catch (err) {
+      console.warn('Protocol schema unavailable; messages are not validated:', err.message);
+      return null;
+    }
+  }
+
+  // Protocol version of the schema (the `v` of every message)
+  get version() {
+    return this.schema.version;
+  }
+
+  /**
+   * Problems with a message; empty when it is valid
+   * @param {Object} message - Parsed message
+   * @param {string} direction - 'server' (received here) or 'client'
+   */
+  validate(message, direction) {
+    return globalThis.ClaudeGridProtocol.validateMessage(this.schema, message, direction);
+  }
+}
@@ -11,3 +11,29 @@ export function hashCode(str) {
   }
   return hash;
 }
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape text for HTML, safe both as element content and inside a quoted
+ * attribute value (null and undefined become '')
+ */
+export function escapeHtml(str) {
+  return (str == null ? '' : String(str)).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+}
+
+/**
+ * Compact token count (e.g. 950, 12.3k, 4.1M)
+ */
+export function formatTokens(n) {
+  if (n < 1000) return String(n);
+  if (n < 1e6) return `${(n / 1000).toFixed(n < 1e4 ? 1 : 0)}k`;
+  return `${(n / 1e6).toFixed(1)}M`;
+}
+
+/**
+ * US dollar amount with cents (sub-cent amounts keep more precision)
+ */
+export function formatCost(usd) {
+  return usd > 0 && usd < 0.01 ? `$${usd.toFixed(4)}` : `$${usd.toFixed(2)}`;
+}
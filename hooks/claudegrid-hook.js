@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+// ClaudeGrid hook client - sends Claude Code lifecycle events to the visualizer
+//
+// Each event is stamped with an event_id and the time it happened
+// (occurred_at, epoch ms) and appended to a local queue file. A detached
+// flusher then POSTs the queue to /api/events in order, so Claude Code is never
+// held up. While the server can't be reached the events stay queued; the next
+// hook run after it is back sends them, oldest first. The server ignores
+// event_ids it has already recorded, so an event that arrived but whose reply
+// was lost is not counted twice. Events the server refuses (other than for a
+// bad token) or that overflow the queue are dropped and noted in hook.log next
+// to the queue.
+//
+// Run with --flush to send whatever is queued now.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const SERVER_URL = (process.env.CLAUDEGRID_URL || 'http://localhost:3333').replace(/\/+$/, '');
+const SPOOL_FILE = process.env.CLAUDEGRID_SPOOL || path.join(os.homedir(), '.claudegrid', 'spool', 'events.jsonl');
+// Held briefly while the queue file is read or rewritten
+const QUEUE_LOCK = `${SPOOL_FILE}.lock`;
+// Held by the one process delivering the queue
+const FLUSH_LOCK = `${SPOOL_FILE}.flush`;
+// Dropped events are noted here
+const LOG_FILE = path.join(path.dirname(SPOOL_FILE), 'hook.log');
+
+const REQUEST_TIMEOUT_MS = 2000;
+// A lock file older than this was left behind by a process that died
+const LOCK_STALE_MS = 30000;
+// How long to wait for the queue lock before giving up on the event
+const QUEUE_LOCK_WAIT_MS = 1000;
+// The oldest events are dropped once the queue grows past this size
+const MAX_SPOOL_BYTES = 10 * 1024 * 1024;
+// hook.log is started over past this size (the previous one is kept as hook.log.1)
+const MAX_LOG_BYTES = 1024 * 1024;
+// Events carry prompts and tool input: only the user may read the queue
+const DIR_MODE = 0o700;
+const FILE_MODE = 0o600;
+
+// Delivery outcomes
+const DELIVERED = 'delivered';
+const REJECTED = 'rejected'; // The server refused it; retrying won't help
+const RETRY = 'retry'; // Server down or busy, or the token was refused (it may be fixed)
+
+// API token: CLAUDEGRID_TOKEN, or the default token written by the server on first start
+function readToken() {
+  if (process.env.CLAUDEGRID_TOKEN) return process.env.CLAUDEGRID_TOKEN;
+  try {
+    return fs.readFileSync(path.join(os.homedir(), '.claudegrid', 'data', 'token'), 'utf8').trim();
+  } catch {
+    return null;
+  }
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// Note dropped events in hook.log; hooks have no other place to report to
+function logDropped(events, reason) {
+  try {
+    if (fs.statSync(LOG_FILE).size > MAX_LOG_BYTES) fs.renameSync(LOG_FILE, `${LOG_FILE}.1`);
+  } catch {
+    // No log yet
+  }
+  const at = new Date().toISOString();
+  const lines = events.map(event => `${at} dropped ${event.hook_event_name || 'event'} ${event.event_id || ''}: ${reason}\n`);
+  try {
+    fs.appendFileSync(LOG_FILE, lines.join(''), { mode: FILE_MODE });
+  } catch {
+    // Nowhere left to report
+  }
+}
+
+function parseLines(lines) {
+  return lines.flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// Create a lock file; a stale one (its owner died) is taken over
+function tryLock(file) {
+  try {
+    fs.closeSync(fs.openSync(file, 'wx', FILE_MODE));
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  }
+  try {
+    if (Date.now() - fs.statSync(file).mtimeMs > LOCK_STALE_MS) {
+      fs.rmSync(file, { force: true });
+      return tryLock(file);
+    }
+  } catch {
+    // Released meanwhile
+  }
+  return false;
+}
+
+function isLocked(file) {
+  try {
+    return Date.now() - fs.statSync(file).mtimeMs <= LOCK_STALE_MS;
+  } catch {
+    return false;
+  }
+}
+
+// Run fn with the queue file to ourselves
+function withQueueLock(fn) {
+  const deadline = Date.now() + QUEUE_LOCK_WAIT_MS;
+  while (!tryLock(QUEUE_LOCK)) {
+    if (Date.now() > deadline) throw new Error(`${QUEUE_LOCK} is held by another process`);
+    sleepSync(5);
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(QUEUE_LOCK, { force: true });
+  }
+}
+
+function readLines() {
+  try {
+    return fs.readFileSync(SPOOL_FILE, 'utf8').split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+function writeLines(lines) {
+  if (lines.length === 0) {
+    fs.rmSync(SPOOL_FILE, { force: true });
+  } else {
+    fs.writeFileSync(SPOOL_FILE, lines.join('\n') + '\n', { mode: FILE_MODE });
+  }
+}
+
+// Append an event; past MAX_SPOOL_BYTES the oldest half of the queue goes
+function enqueue(event) {
+  fs.mkdirSync(path.dirname(SPOOL_FILE), { recursive: true, mode: DIR_MODE });
+  withQueueLock(() => {
+    fs.appendFileSync(SPOOL_FILE, JSON.stringify(event) + '\n', { mode: FILE_MODE });
+    if (fs.statSync(SPOOL_FILE).size > MAX_SPOOL_BYTES) {
+      const lines = readLines();
+      const cut = Math.floor(lines.length / 2);
+      writeLines(lines.slice(cut));
+      logDropped(parseLines(lines.slice(0, cut)), `queue over ${MAX_SPOOL_BYTES} bytes`);
+    }
+  });
+}
+
+// Queued events, oldest first (unreadable lines are skipped)
+function readQueue() {
+  return parseLines(withQueueLock(() => readLines()));
+}
+
+// Drop delivered events (by event_id: the queue may have been trimmed meanwhile)
+function removeFromQueue(eventIds) {
+  if (eventIds.size === 0) return;
+  withQueueLock(() => {
+    writeLines(readLines().filter(line => {
+      try {
+        return !eventIds.has(JSON.parse(line).event_id);
+      } catch {
+        return false;
+      }
+    }));
+  });
+}
+
+async function post(event, token) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  try {
+    const res = await fetch(`${SERVER_URL}/api/events`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(event),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (res.ok) return { outcome: DELIVERED };
+    // Rate limited, server trouble or a token that can be fixed: later.
+    // Anything else is wrong with the event itself and won't get better.
+    if (res.status === 401 || res.status === 403 || res.status === 429 || res.status >= 500) {
+      return { outcome: RETRY };
+    }
+    return { outcome: REJECTED, reason: `HTTP ${res.status}` };
+  } catch {
+    return { outcome: RETRY }; // Server down or unreachable
+  }
+}
+
+// Deliver the queue in order, stopping at the first event that has to wait.
+// Only one process flushes at a time; events queued while it was finishing
+// are picked up by the check after the lock is released.
+async function flush() {
+  if (!tryLock(FLUSH_LOCK)) return;
+
+  const token = readToken();
+  let stalled = false;
+  try {
+    for (;;) {
+      const pending = readQueue();
+      if (pending.length === 0) break;
+
+      const done = new Set();
+      for (const event of pending) {
+        const { outcome, reason } = await post(event, token);
+        if (outcome === RETRY) {
+          stalled = true;
+          break;
+        }
+        if (outcome === REJECTED) logDropped([event], `server answered ${reason}`);
+        done.add(event.event_id);
+        const now = new Date();
+        fs.utimesSync(FLUSH_LOCK, now, now); // Still alive
+      }
+      removeFromQueue(done);
+      if (stalled) break;
+    }
+  } finally {
+    fs.rmSync(FLUSH_LOCK, { force: true });
+  }
+
+  if (!stalled && readQueue().length > 0) {
+    await flush();
+  }
+}
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    process.stdin.setEncoding('utf8');
+    process.stdin.on('data', chunk => { data += chunk; });
+    process.stdin.on('end', () => resolve(data));
+    process.stdin.on('error', reject);
+  });
+}
+
+async function main() {
+  if (process.argv.includes('--flush')) {
+    await flush();
+    return;
+  }
+
+  let event;
+  try {
+    event = JSON.parse(await readStdin());
+  } catch {
+    return; // Not an event
+  }
+  if (!event || typeof event !== 'object' || Array.isArray(event)) return;
+
+  event.event_id = event.event_id || crypto.randomUUID();
+  event.occurred_at = event.occurred_at || Date.now();
+  enqueue(event);
+
+  // Deliver in the background; a running flusher will get to this event anyway
+  if (!isLocked(FLUSH_LOCK)) {
+    spawn(process.execPath, [__filename, '--flush'], { detached: true, stdio: 'ignore' }).unref();
+  }
+}
+
+// A hook must never fail Claude Code: errors are swallowed and we exit 0
+main().catch(() => {});
@@ -1,9 +1,38 @@
 #!/bin/bash
 # ClaudeGrid hook - sends Claude Code lifecycle events to the visualizer
 # Fire-and-forget POST to avoid blocking Claude Code
+#
+# With --decide (PreToolUse/PermissionRequest only) it blocks instead: the server
+# answers from its policy rules or waits for a decision in the browser, and the
+# hook prints Claude Code's JSON decision. Any failure prints nothing, so Claude
+# falls back to asking as usual.
+
+# API token: CLAUDEGRID_TOKEN, or the default token written by the server on first start
+TOKEN="${CLAUDEGRID_TOKEN:-$(cat "${HOME}/.claudegrid/data/token" 2>/dev/null)}"
+URL="${CLAUDEGRID_URL:-http://localhost:3333}"
+
+if [ "$1" = "--decide" ]; then
+  # Seconds to wait for a browser decision (keep below the hook's timeout in settings.json)
+  WAIT="${CLAUDEGRID_DECISION_TIMEOUT:-120}"
+  curl -s -f -X POST -H "Content-Type: application/json" \
+    ${TOKEN:+-H "Authorization: Bearer ${TOKEN}"} \
+    -d "$(cat)" --connect-timeout 1 --max-time "$((WAIT + 5))" \
+    "${URL}/api/permissions/request?timeout=${WAIT}"
+  exit 0
+fi
+
+# Stamp when the event happened (epoch ms); the server records when it arrived
+NOW="$(date +%s%3N)"
+case "$NOW" in *[!0-9]*) NOW="$(date +%s)000" ;; esac
+BODY="$(cat)"
+case "$BODY" in
+  "{}") BODY="{\"occurred_at\":${NOW}}" ;;
+  "{"*) BODY="{\"occurred_at\":${NOW},${BODY#\{}" ;;
+esac
 
 curl -s -X POST -H "Content-Type: application/json" \
-  -d "$(cat)" --connect-timeout 1 --max-time 2 \
-  "${CLAUDEGRID_URL:-http://localhost:3333}/api/events" &
+  ${TOKEN:+-H "Authorization: Bearer ${TOKEN}"} \
+  -d "$BODY" --connect-timeout 1 --max-time 2 \
+  "${URL}/api/events" &
 
 exit 0
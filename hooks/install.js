@@ -16,15 +16,25 @@ const HOOK_EVENTS = [
   'PermissionRequest'
 ];
 
+// Blocking decision hook (--decide): Claude Code's timeout for it, in seconds.
+// The script waits CLAUDEGRID_DECISION_TIMEOUT (120s) for a browser decision.
+const DECIDE_HOOK_TIMEOUT = 150;
+
 function getClaudeConfigPath() {
   const home = os.homedir();
   return path.join(home, '.claude', 'settings.json');
 }
 
+// Blocking decision hook (--decide)
 function getHookScriptPath() {
   return path.resolve(__dirname, 'claudegrid-hook.sh');
 }
 
+// Event hook: the Node client that queues events while the server is down
+function getEventHookPath() {
+  return path.resolve(__dirname, 'claudegrid-hook.js');
+}
+
 function readSettings() {
   const configPath = getClaudeConfigPath();
   if (fs.existsSync(configPath)) {
@@ -45,28 +55,60 @@ function writeSettings(settings) {
   fs.writeFileSync(configPath, JSON.stringify(settings, null, 2));
 }
 
-function hookContainsClaudeGrid(hookEntry, hookPath) {
-  // Handle nested hooks structure: { hooks: [{ type, command }] }
+function isClaudeGridCommand(command, hookPath) {
+  return command.startsWith(hookPath) || /claudegrid-hook\.(sh|js)\b/.test(command);
+}
+
+function isDecideCommand(command) {
+  return /\s--decide\b/.test(command);
+}
+
+// Commands of a hook entry, nested ({ hooks: [{ type, command }] }) or flat ({ type, command })
+function hookCommands(hookEntry) {
   if (hookEntry.hooks && Array.isArray(hookEntry.hooks)) {
-    return hookEntry.hooks.some(h =>
-      h.command && (h.command === hookPath || h.command.includes('claudegrid-hook.sh'))
-    );
-  }
-  // Handle flat structure: { type, command }
-  if (hookEntry.command) {
-    return hookEntry.command === hookPath || hookEntry.command.includes('claudegrid-hook.sh');
+    return hookEntry.hooks.map(h => h.command).filter(Boolean);
   }
-  return false;
+  return hookEntry.command ? [hookEntry.command] : [];
 }
 
-function installHooks() {
-  const hookPath = getHookScriptPath();
+// Does the entry run our hook? `decide` picks the blocking variant, undefined matches either
+function hookContainsClaudeGrid(hookEntry, hookPath, decide) {
+  return hookCommands(hookEntry).some(command =>
+    isClaudeGridCommand(command, hookPath) &&
+    (decide === undefined || isDecideCommand(command) === decide)
+  );
+}
 
-  // Make hook script executable
-  try {
-    fs.chmodSync(hookPath, '755');
-  } catch (err) {
-    console.error('Warning: Could not make hook script executable:', err.message);
+// Add the blocking decision hook for one event (optionally limited by a tool matcher)
+function installDecideHook(settings, event, hookPath, matcher) {
+  settings.hooks[event] = (settings.hooks[event] || [])
+    .filter(entry => !hookContainsClaudeGrid(entry, hookPath, true));
+  settings.hooks[event].push({
+    ...(matcher ? { matcher } : {}),
+    hooks: [{
+      type: 'command',
+      command: `${hookPath} --decide`,
+      timeout: DECIDE_HOOK_TIMEOUT
+    }]
+  });
+}
+
+/**
+ * Install the event hooks, plus the blocking decision hooks when asked:
+ * decideOptions.permissions - PermissionRequest decisions from ClaudeGrid
+ * decideOptions.tools       - PreToolUse decisions for tools matching this matcher (e.g. "Bash|Write")
+ */
+function installHooks(decideOptions = {}) {
+  const hookPath = getHookScriptPath();
+  const eventHookPath = getEventHookPath();
+
+  // Make hook scripts executable
+  for (const script of [hookPath, eventHookPath]) {
+    try {
+      fs.chmodSync(script, '755');
+    } catch (err) {
+      console.error('Warning: Could not make hook script executable:', err.message);
+    }
   }
 
   const settings = readSettings();
@@ -77,15 +119,23 @@ function installHooks() {
 
   let installed = 0;
   let skipped = 0;
+  let replaced = 0;
 
   for (const event of HOOK_EVENTS) {
     if (!settings.hooks[event]) {
       settings.hooks[event] = [];
     }
 
+    // Event hooks of older installs (the curl script) give way to the Node client
+    const before = settings.hooks[event].length;
+    settings.hooks[event] = settings.hooks[event].filter(entry =>
+      !hookContainsClaudeGrid(entry, eventHookPath, false) || hookCommands(entry).includes(eventHookPath)
+    );
+    replaced += before - settings.hooks[event].length;
+
     // Check if hook already exists (handle both nested and flat structures)
     const alreadyExists = settings.hooks[event].some(entry =>
-      hookContainsClaudeGrid(entry, hookPath)
+      hookCommands(entry).includes(eventHookPath)
     );
 
     if (alreadyExists) {
@@ -97,26 +147,40 @@ function installHooks() {
     settings.hooks[event].push({
       hooks: [{
         type: 'command',
-        command: hookPath
+        command: eventHookPath
       }]
     });
     installed++;
   }
 
+  const decideEvents = [];
+  if (decideOptions.permissions) {
+    installDecideHook(settings, 'PermissionRequest', hookPath);
+    decideEvents.push('PermissionRequest');
+  }
+  if (decideOptions.tools) {
+    installDecideHook(settings, 'PreToolUse', hookPath, decideOptions.tools);
+    decideEvents.push(`PreToolUse (${decideOptions.tools})`);
+  }
+
   writeSettings(settings);
 
   console.log(`
 ClaudeGrid Hooks Installation
 =============================
-Hook script: ${hookPath}
+Hook client: ${eventHookPath}
 Config file: ${getClaudeConfigPath()}
 
 Installed: ${installed} hooks
-Skipped:   ${skipped} hooks (already installed)
+Skipped:   ${skipped} hooks (already installed)${replaced > 0 ? `
+Replaced:  ${replaced} hooks (previous hook script)` : ''}
 
 Events hooked:
 ${HOOK_EVENTS.map(e => `  - ${e}`).join('\n')}
-
+${decideEvents.length > 0 ? `
+Blocking decision hooks (answered from ClaudeGrid):
+${decideEvents.map(e => `  - ${e}`).join('\n')}
+` : ''}
 You may need to restart Claude Code for hooks to take effect.
 `);
 }
@@ -169,5 +233,9 @@ const args = process.argv.slice(2);
 if (args.includes('--uninstall') || args.includes('-u')) {
   uninstallHooks();
 } else {
-  installHooks();
+  const toolsArg = args.find(a => a.startsWith('--decide-tools='));
+  installHooks({
+    permissions: args.includes('--decide'),
+    tools: toolsArg ? toolsArg.slice('--decide-tools='.length) : null
+  });
 }
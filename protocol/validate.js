@@ -0,0 +1,76 @@
+/**
+ * Message validation against messages.schema.json, shared by the server
+ * (require('../protocol/validate')) and the browser (imported for its side
+ * effect, it sets globalThis.ClaudeGridProtocol).
+ *
+ * Covers the JSON Schema subset the schema uses: type, enum, required,
+ * properties, items, minimum, minLength and $ref.
+ */
+(function (exports) {
+  function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  // Resolve "#/definitions/name"
+  function resolveRef(schema, ref) {
+    const name = ref.replace(/^#\/definitions\//, '');
+    if (!schema.definitions[name]) throw new Error(`Unknown schema reference ${ref}`);
+    return schema.definitions[name];
+  }
+
+  // Check a value against a rule; problems go to `errors`
+  function check(schema, value, rule, at, errors) {
+    if (rule.$ref) rule = resolveRef(schema, rule.$ref);
+
+    if (rule.type) {
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      const actual = typeOf(value);
+      const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+      if (!ok) {
+        errors.push(`${at} must be ${types.join(' or ')}`);
+        return;
+      }
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${at} must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+    if (rule.minimum !== undefined && typeof value === 'number' && value < rule.minimum) {
+      errors.push(`${at} must be at least ${rule.minimum}`);
+    }
+    if (rule.minLength !== undefined && typeof value === 'string' && value.length < rule.minLength) {
+      errors.push(`${at} must not be empty`);
+    }
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      for (const key of rule.required || []) {
+        if (value[key] === undefined) errors.push(`${at}.${key} is required`);
+      }
+      for (const [key, sub] of Object.entries(rule.properties || {})) {
+        if (value[key] !== undefined) check(schema, value[key], sub, `${at}.${key}`, errors);
+      }
+    }
+    if (Array.isArray(value) && rule.items) {
+      value.forEach((item, i) => check(schema, item, rule.items, `${at}[${i}]`, errors));
+    }
+  }
+
+  /**
+   * Validate a message against the protocol schema
+   * @param {Object} schema - Parsed messages.schema.json
+   * @param {Object} message - Parsed message
+   * @param {string} direction - 'client' (sent by browsers) or 'server'
+   * @returns {string[]} Problems; empty when the message is valid
+   */
+  exports.validateMessage = function validateMessage(schema, message, direction) {
+    const errors = [];
+    check(schema, message, schema.envelope, 'message', errors);
+    if (errors.length > 0) return errors;
+
+    const rule = schema[direction][message.type];
+    if (!rule) return [`Unknown message type: ${message.type}`];
+    check(schema, message, rule, message.type, errors);
+    return errors;
+  };
+})(typeof module === 'object' ? module.exports : (globalThis.ClaudeGridProtocol = {}));
@@ -91,8 +91,8 @@ function sleep(ms) {
 }
 
 async function main() {
-  // 1. Start the server
-  const server = createServer();
+  // 1. Start the server (no auth - the demo never leaves this process)
+  const server = createServer({ auth: false });
   await new Promise((resolve) => server.listen(PORT, '127.0.0.1', resolve));
   const addr = server.address();
   const baseUrl = `http://127.0.0.1:${addr.port}`;
@@ -0,0 +1,156 @@
+const { SessionState } = require('./SessionStore');
+
+// Limits a budget can set (null = unlimited)
+const BUDGET_LIMITS = ['tokens', 'minutes', 'toolCalls'];
+
+// Validate a budget from a request body: each limit is a positive number or null
+function normalizeBudget(input = {}) {
+  if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+    throw new Error('Budget must be an object');
+  }
+  const budget = {};
+  for (const limit of BUDGET_LIMITS) {
+    const value = input[limit];
+    if (value === undefined || value === null || value === '') {
+      budget[limit] = null;
+      continue;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+      throw new Error(`Invalid budget ${limit}: ${value}`);
+    }
+    budget[limit] = number;
+  }
+  return budget;
+}
+
+// Budget from <prefix>TOKENS, <prefix>MINUTES and <prefix>TOOL_CALLS: the
+// default for sessions created without one (CLAUDEGRID_BUDGET_*) or the
+// global budget (CLAUDEGRID_GLOBAL_BUDGET_*)
+function budgetFromEnv(env = process.env, prefix = 'CLAUDEGRID_BUDGET_') {
+  return normalizeBudget({
+    tokens: env[`${prefix}TOKENS`],
+    minutes: env[`${prefix}MINUTES`],
+    toolCalls: env[`${prefix}TOOL_CALLS`]
+  });
+}
+
+/**
+ * BudgetMonitor - Enforces limits on tokens, wall-clock minutes and tool calls,
+ * per session and for all sessions together
+ *
+ * Tokens are input + output + cache-write tokens from the session's transcript
+ * usage (cache reads re-count the same context every turn, so they're left out).
+ * Minutes run from the session's creation. Tool calls count PreToolUse events,
+ * including those of subagents.
+ *
+ * The global budget caps the sum of those over the managed sessions that are
+ * still running (not offline); when it is reached, every one of them goes over
+ * budget.
+ *
+ * A session that crosses a limit moves to OVER_BUDGET and stays there, whatever
+ * hook events arrive, until the budget it crossed is raised or removed.
+ */
+class BudgetMonitor {
+  constructor(sessionStore, { globalBudget = null, onExceeded } = {}) {
+    this.sessionStore = sessionStore;
+    this.globalBudget = globalBudget;
+    this.onExceeded = onExceeded || (() => {});  // (session, breach) after the state change
+  }
+
+  // Current consumption for each limit
+  usage(session) {
+    const usage = this.sessionStore.getUsage(session.id);
+    return {
+      tokens: usage.inputTokens + usage.outputTokens + usage.cacheCreationTokens,
+      minutes: (Date.now() - new Date(session.createdAt).getTime()) / 60000,
+      toolCalls: session.toolCalls || 0
+    };
+  }
+
+  // Managed sessions the global budget counts
+  liveSessions() {
+    return this.sessionStore.getAllManaged().filter(s => !s.observed && s.state !== SessionState.OFFLINE);
+  }
+
+  // Consumption of all live sessions together
+  globalUsage() {
+    const total = { tokens: 0, minutes: 0, toolCalls: 0 };
+    for (const session of this.liveSessions()) {
+      const used = this.usage(session);
+      for (const limit of BUDGET_LIMITS) total[limit] += used[limit];
+    }
+    return total;
+  }
+
+  // First limit the session has reached: { limit, used, max, scope }, or null.
+  // scope is 'session', or 'global' for the global budget.
+  check(session) {
+    return this.firstBreach(session.budget, () => this.usage(session), 'session') ||
+      this.firstBreach(this.globalBudget, () => this.globalUsage(), 'global');
+  }
+
+  firstBreach(budget, getUsage, scope) {
+    if (!budget || BUDGET_LIMITS.every(limit => budget[limit] == null)) return null;
+    const used = getUsage();
+    for (const limit of BUDGET_LIMITS) {
+      const max = budget[limit];
+      if (max !== null && max !== undefined && used[limit] >= max) {
+        return { limit, used: Math.floor(used[limit]), max, scope };
+      }
+    }
+    return null;
+  }
+
+  // Move a managed session to OVER_BUDGET if it crossed a limit; returns the breach
+  enforce(session) {
+    if (!session || session.observed) return null;
+    if (session.state === SessionState.OFFLINE || session.state === SessionState.OVER_BUDGET) return null;
+
+    const breach = this.check(session);
+    if (!breach) return null;
+
+    this.sessionStore.update(session.id, {
+      state: SessionState.OVER_BUDGET,
+      budgetExceeded: { ...breach, at: new Date().toISOString() }
+    });
+    console.log(`[Budget] ${session.name} exceeded ${breach.scope === 'global' ? 'global ' : ''}${breach.limit}: ${breach.used} / ${breach.max}`);
+    this.onExceeded(session, breach);
+    return breach;
+  }
+
+  // Check every live managed session (minutes run out without any event arriving)
+  enforceAll() {
+    for (const session of this.sessionStore.getAllManaged()) {
+      this.enforce(session);
+    }
+  }
+
+  countToolCall(session) {
+    this.sessionStore.update(session.id, { toolCalls: (session.toolCalls || 0) + 1 });
+    return this.enforce(session);
+  }
+
+  // Change some limits (null removes one); an over-budget session that is back
+  // under every limit returns to IDLE
+  setBudget(session, updates) {
+    const budget = normalizeBudget({ ...session.budget, ...updates });
+    this.sessionStore.update(session.id, { budget });
+    this.lift(session);
+    return session;
+  }
+
+  // Change some global limits; returns the sessions that are back under budget
+  setGlobalBudget(updates) {
+    this.globalBudget = normalizeBudget({ ...this.globalBudget, ...updates });
+    return this.liveSessions().filter(session => this.lift(session));
+  }
+
+  lift(session) {
+    if (session.state !== SessionState.OVER_BUDGET || this.check(session)) return false;
+    this.sessionStore.update(session.id, { state: SessionState.IDLE, budgetExceeded: null });
+    return true;
+  }
+}
+
+module.exports = { BudgetMonitor, normalizeBudget, budgetFromEnv, BUDGET_LIMITS };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+
+// How long a blocking hook waits for a decision by default, and at most
+const DEFAULT_TIMEOUT_MS = 120000;
+const MAX_TIMEOUT_MS = 600000;
+
+// Hook events that can carry a permission decision back to Claude Code
+const DECIDABLE_EVENTS = new Set(['PreToolUse', 'PermissionRequest']);
+
+/**
+ * Claude Code hook output for a decision
+ * @param {string} hookEvent - PreToolUse or PermissionRequest
+ * @param {string|null} decision - allow, deny, or null to let Claude ask as usual
+ * @param {string} [reason] - Shown to Claude (deny) or the user
+ */
+function formatHookOutput(hookEvent, decision, reason) {
+  if (!decision) return {};
+
+  if (hookEvent === 'PermissionRequest') {
+    const result = { behavior: decision };
+    if (decision === 'deny' && reason) result.message = reason;
+    return { hookSpecificOutput: { hookEventName: 'PermissionRequest', decision: result } };
+  }
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: decision,
+      ...(reason ? { permissionDecisionReason: reason } : {})
+    }
+  };
+}
+
+/**
+ * DecisionBroker - Holds blocking hook requests until someone decides them
+ *
+ * request() parks a hook event; its `decided` promise resolves with
+ * { decision, reason, by } once resolve() is called for it, or with decision
+ * null on timeout or cancel.
+ */
+class DecisionBroker {
+  constructor({ onRequest, onResolved } = {}) {
+    this.onRequest = onRequest || (() => {});    // (pending) new request waiting
+    this.onResolved = onResolved || (() => {});  // (pending, outcome) decided, timed out or cancelled
+    this.pending = new Map(); // id -> pending request
+  }
+
+  // Park a hook event; returns { id, decided }
+  request(event, { timeoutMs = DEFAULT_TIMEOUT_MS, sessionId = null } = {}) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const wait = Math.min(MAX_TIMEOUT_MS, Math.max(1000, timeoutMs));
+
+    const decided = new Promise((resolve) => {
+      const pending = {
+        id,
+        sessionId: sessionId || event.session_id, // ClaudeGrid session ID when known
+        claudeSessionId: event.session_id,
+        hookEvent: event.hook_event_name,
+        toolName: event.tool_name || null,
+        toolInput: event.tool_input || null,
+        cwd: event.cwd || null,
+        createdAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + wait).toISOString(),
+        finish: resolve,
+        timer: setTimeout(() => this.settle(id, { decision: null, reason: 'timeout', by: null }), wait)
+      };
+      this.pending.set(id, pending);
+    });
+    this.onRequest(this.describe(this.pending.get(id)));
+    return { id, decided };
+  }
+
+  // Decide a waiting request; false if it is already gone
+  resolve(id, decision, { reason = null, by = null } = {}) {
+    if (decision !== 'allow' && decision !== 'deny') {
+      throw new Error(`Invalid decision: ${decision}`);
+    }
+    return this.settle(id, { decision, reason, by });
+  }
+
+  // Give up on a request (hook disconnected); Claude falls back to asking
+  cancel(id) {
+    return this.settle(id, { decision: null, reason: 'cancelled', by: null });
+  }
+
+  settle(id, outcome) {
+    const pending = this.pending.get(id);
+    if (!pending) return false;
+    this.pending.delete(id);
+    clearTimeout(pending.timer);
+    pending.finish(outcome);
+    this.onResolved(this.describe(pending), outcome);
+    return true;
+  }
+
+  // Waiting requests, oldest first
+  list() {
+    return Array.from(this.pending.values()).map(p => this.describe(p));
+  }
+
+  // Public view of a pending request (no timer or callback)
+  describe(pending) {
+    const { finish, timer, ...rest } = pending;
+    return rest;
+  }
+}
+
+module.exports = { DecisionBroker, formatHookOutput, DECIDABLE_EVENTS, DEFAULT_TIMEOUT_MS };
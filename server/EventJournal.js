@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const { JsonlLog } = require('./dataFiles');
+
+// Rotate the active journal once it grows past this size
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+// Number of rotated files to keep (events.jsonl.1 ... events.jsonl.N)
+const DEFAULT_MAX_FILES = 3;
+// Default cap on records returned by a query
+const DEFAULT_QUERY_LIMIT = 1000;
+// Hook event_ids remembered for dedupe (the most recent ones)
+const MAX_EVENT_IDS = 10000;
+// Sessions whose session_seq is kept in the index (the most recently active)
+const MAX_INDEXED_SESSIONS = 10000;
+
+/**
+ * EventJournal - Append-only JSONL log of hook events
+ *
+ * Each line is a record of the form { seq, ts, event } where seq is a
+ * monotonically increasing sequence number (preserved across restarts)
+ * and ts is the time it was journaled in epoch milliseconds. Events are
+ * stamped with received_at (kept if the caller already set it) and a
+ * session_seq counting the events of their session_id. The event_ids of
+ * recent records (set by the Node hook client) are remembered, also across
+ * restarts, so a re-sent event can be recognised.
+ *
+ * Each rotation saves these counters to events.index.json, so start-up only
+ * reads the active file on top of it.
+ */
+class EventJournal {
+  constructor(dataDir, options = {}) {
+    this.dataDir = dataDir;
+    this.file = path.join(dataDir, 'events.jsonl');
+    this.indexFile = path.join(dataDir, 'events.index.json');
+    this.seq = 0;
+    this.eventIds = new Set(); // Insertion order = oldest first
+    this.sessionSeqs = new Map(); // session_id -> last session_seq
+    this.load(options);
+  }
+
+  // Restore the sequence counters and remembered event_ids from disk
+  load({ maxBytes = DEFAULT_MAX_BYTES, maxFiles = DEFAULT_MAX_FILES }) {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true, mode: 0o755 });
+    } catch (err) {
+      console.error(`Failed to create journal directory ${this.dataDir}:`, err.message);
+    }
+    this.log = new JsonlLog(this.file, { name: 'event journal', maxBytes, maxFiles, onRotate: () => this.saveIndex() });
+
+    try {
+      // Without an index matching the last rotation, every file is read once
+      const index = this.readIndex();
+      const files = index ? [this.file] : this.log.getFiles();
+      if (index) {
+        this.seq = index.seq;
+        this.sessionSeqs = new Map(Object.entries(index.sessionSeqs));
+      }
+
+      const eventIds = [];
+      let newestSeq = 0;
+      this.log.eachRecordBackward((record) => {
+        const { event_id, session_id, session_seq } = record.event;
+        if (newestSeq === 0) newestSeq = record.seq;
+        if (event_id && eventIds.length < MAX_EVENT_IDS) eventIds.push(event_id);
+        if (session_id && session_seq > (this.sessionSeqs.get(session_id) || 0)) {
+          this.sessionSeqs.set(session_id, session_seq);
+        }
+      }, files);
+      this.seq = Math.max(this.seq, newestSeq);
+      if (index) index.eventIds.forEach(id => this.rememberEventId(id));
+      eventIds.reverse().forEach(id => this.rememberEventId(id));
+      console.log(`Event journal at ${this.file} (seq ${this.seq})`);
+    } catch (err) {
+      console.error('Error loading event journal:', err.message);
+    }
+  }
+
+  // The index saved at the last rotation, or null if it's missing or older
+  // than the newest rotated file
+  readIndex() {
+    let index;
+    try {
+      index = JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+    } catch {
+      return null;
+    }
+    if (!Number.isInteger(index.seq) || !index.sessionSeqs || !Array.isArray(index.eventIds)) return null;
+
+    let rotatedSeq = 0;
+    this.log.eachRecordBackward((record) => {
+      rotatedSeq = record.seq;
+      return false;
+    }, this.log.getFiles().filter(file => file !== this.file).slice(0, 1));
+    return rotatedSeq === index.seq ? index : null;
+  }
+
+  // Save the counters covering every rotated file (called after a rotation)
+  saveIndex() {
+    const sessionSeqs = Object.fromEntries([...this.sessionSeqs].slice(-MAX_INDEXED_SESSIONS));
+    try {
+      fs.writeFileSync(this.indexFile, JSON.stringify({ seq: this.seq, sessionSeqs, eventIds: [...this.eventIds] }));
+    } catch (err) {
+      console.error('Error saving event journal index:', err.message);
+    }
+  }
+
+  rememberEventId(eventId) {
+    if (!eventId) return;
+    this.eventIds.add(eventId);
+    if (this.eventIds.size > MAX_EVENT_IDS) {
+      this.eventIds.delete(this.eventIds.values().next().value);
+    }
+  }
+
+  // Has an event with this event_id been recorded recently?
+  hasEventId(eventId) {
+    return !!eventId && this.eventIds.has(eventId);
+  }
+
+  // Append an event, returning the stored record
+  append(event) {
+    this.rememberEventId(event.event_id);
+    const ts = Date.now();
+    const stamped = { ...event, received_at: event.received_at || ts };
+    if (event.session_id) {
+      const sessionSeq = (this.sessionSeqs.get(event.session_id) || 0) + 1;
+      this.sessionSeqs.delete(event.session_id); // Keep the most recently active last
+      this.sessionSeqs.set(event.session_id, sessionSeq);
+      stamped.session_seq = sessionSeq;
+    }
+    const record = {
+      seq: ++this.seq,
+      ts,
+      event: stamped
+    };
+    this.log.append(record);
+    return record;
+  }
+
+  /**
+   * Read records matching the given filters, oldest first. The journal is
+   * read from the newest record backwards, stopping once `limit` records are
+   * found or `since`/`sinceSeq` is reached.
+   * @param {Object} filters
+   * @param {number|string} [filters.since] - Journaled after this time (epoch ms or ISO date)
+   * @param {number|string} [filters.sinceSeq] - Sequence numbers after this one
+   * @param {string} [filters.session] - Claude session_id
+   * @param {string} [filters.type] - hook_event_name
+   * @param {number} [filters.limit] - Max records (most recent are kept)
+   * @returns {Promise<Object[]>}
+   */
+  async query({ since, sinceSeq, session, type, limit = DEFAULT_QUERY_LIMIT } = {}) {
+    const time = parseSince(since);
+    const seq = parseSinceSeq(sinceSeq);
+    const results = [];
+    if (limit <= 0) return results;
+
+    for await (const record of this.log.recordsBackward()) {
+      // Records are in append order, so everything older is before `since` too
+      if (record.seq <= seq || record.ts <= time) break;
+      if (session && record.event.session_id !== session) continue;
+      if (type && record.event.hook_event_name !== type) continue;
+
+      results.push(record);
+      if (results.length >= limit) break;
+    }
+
+    return results.reverse();
+  }
+}
+
+// `since` as epoch ms (-Infinity when not given)
+function parseSince(since) {
+  if (since === undefined || since === null || since === '') return -Infinity;
+  const time = /^\d+$/.test(String(since)) ? Number(since) : Date.parse(since);
+  if (Number.isNaN(time)) {
+    throw new Error('Invalid since parameter');
+  }
+  return time;
+}
+
+function parseSinceSeq(sinceSeq) {
+  if (sinceSeq === undefined || sinceSeq === null || sinceSeq === '') return 0;
+  if (!/^\d+$/.test(String(sinceSeq))) {
+    throw new Error('Invalid since_seq parameter');
+  }
+  return Number(sinceSeq);
+}
+
+module.exports = { EventJournal };
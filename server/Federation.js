@@ -0,0 +1,490 @@
+const path = require('path');
+const WebSocket = require('ws');
+const protocol = require('./protocol');
+const auth = require('./auth');
+const { ConfigFile } = require('./dataFiles');
+
+// Reconnect delay after an upstream connection drops; doubles up to the max
+const BASE_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Host names become session ID prefixes ("build-1:<id>"), so no colons
+const HOST_NAME = /^[A-Za-z0-9][\w.-]*$/;
+
+// Upstream broadcasts passed on as they are (with namespaced IDs)
+const FORWARDED_TYPES = new Set([
+  'usage',
+  'budget_exceeded',
+  'permission_prompt',
+  'permission_decision',
+  'decision_request',
+  'decision_resolved'
+]);
+
+// "<host>:<id>"; null and undefined stay as they are
+function qualify(host, id) {
+  return id ? `${host}:${id}` : id;
+}
+
+function qualifySession(host, session) {
+  return {
+    ...session,
+    id: qualify(host, session.id),
+    claudeSessionId: qualify(host, session.claudeSessionId),
+    host,
+    subagents: (session.subagents || []).map(subagent => ({
+      ...subagent,
+      id: qualify(host, subagent.id),
+      parentSessionId: qualify(host, subagent.parentSessionId)
+    }))
+  };
+}
+
+function qualifyPermission(host, entry) {
+  return {
+    ...entry,
+    id: qualify(host, entry.id),
+    sessionId: qualify(host, entry.sessionId),
+    claudeSessionId: qualify(host, entry.claudeSessionId),
+    host
+  };
+}
+
+function qualifyEvent(host, event) {
+  const qualified = { ...event, session_id: qualify(host, event.session_id), host };
+  if (event.parent_session_id) {
+    qualified.parent_session_id = qualify(host, event.parent_session_id);
+  }
+  return qualified;
+}
+
+function qualifyMessage(host, message) {
+  const { v, ...rest } = message;
+  const qualified = { ...rest, host };
+  if (message.sessionId) qualified.sessionId = qualify(host, message.sessionId);
+  if (message.type === 'decision_resolved') qualified.id = qualify(host, message.id);
+  if (message.request) {
+    qualified.request = {
+      ...message.request,
+      id: qualify(host, message.request.id),
+      sessionId: qualify(host, message.request.sessionId),
+      claudeSessionId: qualify(host, message.request.claudeSessionId)
+    };
+  }
+  return qualified;
+}
+
+// Validate one entry of federation.json
+function compileHost(entry, index) {
+  const name = entry && entry.name ? String(entry.name) : '';
+  if (!HOST_NAME.test(name)) {
+    throw new Error(`host ${index + 1}: name must be letters, digits, ".", "_" or "-"`);
+  }
+  let url;
+  try {
+    url = new URL(entry.url);
+  } catch {
+    throw new Error(`${name}: invalid url`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${name}: url must be http or https`);
+  }
+  if (!entry.token) {
+    throw new Error(`${name}: token is required`);
+  }
+  return { name, url: url.toString().replace(/\/+$/, ''), token: String(entry.token) };
+}
+
+/**
+ * Federation - Mirrors the sessions of upstream ClaudeGrid servers
+ *
+ * Upstreams live in federation.json ({ "hosts": [{ name, url, token }] }) next
+ * to sessions.json and are re-read whenever the file changes. Each host gets
+ * one WebSocket client on its /ws feed; its sessions, permission requests and
+ * hook events are kept here with IDs namespaced as "<host>:<id>", and actions
+ * on them are sent back to the owning host's REST API. Only an upstream's own
+ * sessions are mirrored (anything already carrying a host is skipped), so two
+ * servers federating each other don't echo.
+ */
+class Federation {
+  /**
+   * @param {string} dataDir - Where federation.json lives
+   * @param {Object} options
+   * @param {string} options.file - Config file (default: <dataDir>/federation.json)
+   * @param {Function} options.onSessions - A host's session list changed
+   * @param {Function} options.onPermissions - A host's permission queue changed
+   * @param {Function} options.onEvent - Hook event from a host (namespaced)
+   * @param {Function} options.onMessage - Other broadcast from a host (namespaced)
+   */
+  constructor(dataDir, { file, onSessions, onPermissions, onEvent, onMessage } = {}) {
+    this.file = file || path.join(dataDir, 'federation.json');
+    this.onSessions = onSessions || (() => {});
+    this.onPermissions = onPermissions || (() => {});
+    this.onEvent = onEvent || (() => {});
+    this.onMessage = onMessage || (() => {});
+    this.hosts = new Map(); // name -> connection state
+    this.config = new ConfigFile(this.file, {
+      name: 'Federation',
+      apply: (data) => {
+        const configs = ((data && data.hosts) || []).map(compileHost);
+        const names = configs.map(c => c.name);
+        const duplicate = names.find((name, i) => names.indexOf(name) !== i);
+        if (duplicate) throw new Error(`${duplicate}: duplicate host name`);
+        this.apply(configs);
+        return `${configs.length} upstream hosts`;
+      }
+    });
+    this.reload();
+  }
+
+  // Re-read the config if it changed; hosts that were added, removed or
+  // edited are (re)connected. A broken file keeps the current hosts.
+  reload() {
+    this.config.reload();
+  }
+
+  get error() {
+    return this.config.error;
+  }
+
+  // Connect new hosts, drop removed ones, reconnect changed ones
+  apply(configs) {
+    const wanted = new Map(configs.map(c => [c.name, c]));
+    for (const [name, host] of this.hosts) {
+      const config = wanted.get(name);
+      if (!config || config.url !== host.url || config.token !== host.token) {
+        this.disconnect(host);
+        this.hosts.delete(name);
+      }
+    }
+    for (const config of configs) {
+      if (this.hosts.has(config.name)) continue;
+      const host = {
+        ...config,
+        ws: null,
+        connected: false,
+        error: null,
+        retryMs: BASE_RECONNECT_MS,
+        timer: null,
+        sessions: new Map(), // upstream id -> session
+        revision: null,
+        permissions: [],
+        lastSeq: null,
+        replaying: false,
+        pendingEvents: []
+      };
+      this.hosts.set(config.name, host);
+      this.connect(host);
+    }
+  }
+
+  connect(host) {
+    const url = host.url.replace(/^http/, 'ws') + '/ws';
+    const ws = new WebSocket(url, [auth.WS_PROTOCOL, auth.WS_TOKEN_PROTOCOL_PREFIX + host.token]);
+    host.ws = ws;
+    let rejection = null;
+
+    ws.on('open', () => {
+      host.connected = true;
+      host.error = null;
+      host.retryMs = BASE_RECONNECT_MS;
+      console.log(`[Federation] Connected to ${host.name} (${host.url})`);
+    });
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        return;
+      }
+      try {
+        this.handleMessage(host, message);
+      } catch (err) {
+        console.error(`Error handling message from ${host.name}:`, err.message);
+      }
+    });
+    ws.on('unexpected-response', (req, res) => {
+      rejection = `Upgrade refused: HTTP ${res.statusCode}`;
+      ws.terminate();
+    });
+    ws.on('error', (err) => {
+      host.error = rejection || err.message;
+    });
+    ws.on('close', () => {
+      if (host.ws !== ws) return; // Replaced or removed
+      const wasConnected = host.connected;
+      host.ws = null;
+      host.connected = false;
+      this.clear(host);
+      if (wasConnected) console.log(`[Federation] Lost connection to ${host.name}`);
+      host.timer = setTimeout(() => {
+        host.timer = null;
+        this.connect(host);
+      }, host.retryMs);
+      host.timer.unref();
+      host.retryMs = Math.min(host.retryMs * 2, MAX_RECONNECT_MS);
+    });
+  }
+
+  disconnect(host) {
+    clearTimeout(host.timer);
+    host.timer = null;
+    const { ws } = host;
+    host.ws = null;
+    host.connected = false;
+    if (ws) ws.terminate();
+    this.clear(host);
+  }
+
+  // Forget what a host had; it is fetched again on reconnect
+  clear(host) {
+    const hadSessions = host.sessions.size > 0;
+    const hadPermissions = host.permissions.length > 0;
+    host.sessions = new Map();
+    host.revision = null;
+    host.permissions = [];
+    host.replaying = false;
+    host.pendingEvents = [];
+    if (hadSessions) this.onSessions(host.name);
+    if (hadPermissions) this.onPermissions(host.name);
+  }
+
+  send(host, message) {
+    if (host.ws && host.ws.readyState === WebSocket.OPEN) host.ws.send(protocol.encode(message));
+  }
+
+  handleMessage(host, message) {
+    switch (message.type) {
+      case 'hello':
+        if (message.protocol !== protocol.PROTOCOL_VERSION) {
+          host.error = `Upstream speaks protocol ${message.protocol}`;
+          host.ws.close();
+          return;
+        }
+        this.send(host, {
+          type: 'hello',
+          protocol: protocol.PROTOCOL_VERSION,
+          client: 'claudegrid-federation',
+          capabilities: ['session_patches', 'request_ids']
+        });
+        // A journal that is behind what we saw was reset (data dir wiped or
+        // reinstalled): its sequence numbers start over
+        if (host.lastSeq !== null && message.journalSeq < host.lastSeq) {
+          console.log(`[Federation] ${host.name}: event journal was reset (seq ${message.journalSeq} < ${host.lastSeq})`);
+          host.lastSeq = 0;
+        }
+        // Catch up on events missed while disconnected; live ones wait until then
+        if (host.lastSeq !== null) {
+          host.replaying = true;
+          this.send(host, { type: 'replay', requestId: 'federation-replay', sinceSeq: host.lastSeq });
+        }
+        break;
+
+      case 'init':
+        this.setSessions(host, message);
+        this.setPermissions(host, message.permissions);
+        break;
+
+      case 'sessions':
+        this.setSessions(host, message);
+        break;
+
+      case 'session_added':
+      case 'session_updated':
+      case 'session_removed':
+        this.applyPatch(host, message);
+        break;
+
+      case 'permissions':
+        this.setPermissions(host, message.permissions);
+        break;
+
+      case 'event':
+        if (host.replaying) {
+          host.pendingEvents.push(message);
+        } else {
+          this.receiveEvent(host, message);
+        }
+        break;
+
+      case 'replay':
+        if (message.requestId !== 'federation-replay') break;
+        for (const record of [...message.events, ...host.pendingEvents]) {
+          this.receiveEvent(host, record);
+        }
+        host.replaying = false;
+        host.pendingEvents = [];
+        break;
+
+      case 'error':
+        console.error(`[Federation] ${host.name}: ${message.error}`);
+        if (message.requestId === 'federation-replay') {
+          host.pendingEvents.forEach(record => this.receiveEvent(host, record));
+          host.replaying = false;
+          host.pendingEvents = [];
+        }
+        break;
+
+      default:
+        if (FORWARDED_TYPES.has(message.type) && !message.host) {
+          this.onMessage(qualifyMessage(host.name, message));
+        }
+    }
+  }
+
+  // Journal record from a host; seq keeps replayed and live copies apart
+  receiveEvent(host, record) {
+    if (host.lastSeq !== null && record.seq <= host.lastSeq) return;
+    host.lastSeq = record.seq;
+    if (!record.event || record.event.host) return;
+    this.onEvent(qualifyEvent(host.name, record.event));
+  }
+
+  setSessions(host, { sessions, revision }) {
+    host.sessions = new Map(sessions.filter(s => !s.host).map(s => [s.id, s]));
+    host.revision = revision;
+    this.onSessions(host.name);
+  }
+
+  // Apply one upstream patch; a revision gap means we missed one, so the
+  // full list is fetched again
+  applyPatch(host, patch) {
+    if (host.revision === null) return; // Waiting for a full list
+    if (patch.revision !== host.revision + 1) {
+      host.revision = null;
+      this.send(host, { type: 'get_sessions' });
+      return;
+    }
+    host.revision = patch.revision;
+
+    if (patch.type === 'session_added') {
+      if (patch.session.host) return;
+      host.sessions.set(patch.session.id, patch.session);
+    } else if (patch.type === 'session_updated') {
+      const session = host.sessions.get(patch.id);
+      if (!session) return;
+      const updated = { ...session, ...patch.changes };
+      for (const key of patch.removed || []) delete updated[key];
+      host.sessions.set(patch.id, updated);
+    } else {
+      if (!host.sessions.delete(patch.id)) return;
+    }
+    this.onSessions(host.name);
+  }
+
+  setPermissions(host, permissions) {
+    host.permissions = (permissions || []).filter(entry => !entry.host);
+    this.onPermissions(host.name);
+  }
+
+  // Split "<host>:<id>" when the host is configured
+  split(qualifiedId) {
+    if (typeof qualifiedId !== 'string') return null;
+    const colon = qualifiedId.indexOf(':');
+    if (colon < 1) return null;
+    const host = qualifiedId.slice(0, colon);
+    if (!this.hosts.has(host)) return null;
+    return { host, id: qualifiedId.slice(colon + 1) };
+  }
+
+  /**
+   * The host owning a namespaced session or permission request ID. Local IDs
+   * can look namespaced too (observed sessions are named by their hooks), so
+   * only IDs the host has reported are routed to it.
+   * @returns {Object|null} { host, id }
+   */
+  resolve(qualifiedId) {
+    const target = this.split(qualifiedId);
+    if (!target) return null;
+    const host = this.hosts.get(target.host);
+    const known = host.sessions.has(target.id) || host.permissions.some(entry => entry.id === target.id);
+    return known ? target : null;
+  }
+
+  // Sessions of every connected host, namespaced
+  getSessions() {
+    const sessions = [];
+    for (const host of this.hosts.values()) {
+      for (const session of host.sessions.values()) {
+        sessions.push(qualifySession(host.name, session));
+      }
+    }
+    return sessions;
+  }
+
+  // Permission requests waiting on every connected host, namespaced
+  getPermissions() {
+    const permissions = [];
+    for (const host of this.hosts.values()) {
+      permissions.push(...host.permissions.map(entry => qualifyPermission(host.name, entry)));
+    }
+    return permissions;
+  }
+
+  findById(qualifiedId) {
+    const target = this.split(qualifiedId);
+    if (!target) return null;
+    const session = this.hosts.get(target.host).sessions.get(target.id);
+    return session ? qualifySession(target.host, session) : null;
+  }
+
+  findByClaudeSessionId(qualifiedId) {
+    const target = this.split(qualifiedId);
+    if (!target) return null;
+    for (const session of this.hosts.get(target.host).sessions.values()) {
+      if (session.claudeSessionId === target.id) return qualifySession(target.host, session);
+    }
+    return null;
+  }
+
+  getPermission(qualifiedId) {
+    return this.getPermissions().find(entry => entry.id === qualifiedId) || null;
+  }
+
+  /**
+   * Call a host's REST API with its token
+   * @param {string} hostName
+   * @param {string} method
+   * @param {string} pathname - e.g. /api/sessions/<upstream id>/prompt (may carry a query)
+   * @param {Object} body - JSON body, if any
+   * @returns {Promise<Object>} { status, body }; session objects in the body are namespaced
+   */
+  async request(hostName, method, pathname, body) {
+    const host = this.hosts.get(hostName);
+    if (!host) throw new Error(`Unknown host: ${hostName}`);
+
+    const headers = { Authorization: `Bearer ${host.token}` };
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+    const res = await fetch(host.url + pathname, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    let data;
+    try {
+      data = await res.json();
+    } catch {
+      data = { ok: false, error: `${host.name} answered HTTP ${res.status}` };
+    }
+    if (data && data.session) data.session = qualifySession(hostName, data.session);
+    return { status: res.status, body: data };
+  }
+
+  // Connection state per host (GET /api/federation)
+  status() {
+    return Array.from(this.hosts.values()).map(host => ({
+      name: host.name,
+      url: host.url,
+      connected: host.connected,
+      error: host.error,
+      sessions: host.sessions.size,
+      permissions: host.permissions.length,
+      lastSeq: host.lastSeq
+    }));
+  }
+}
+
+module.exports = { Federation };
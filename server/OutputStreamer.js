@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const tmux = require('./tmux');
+const { encode } = require('./protocol');
+
+// Lines of history (plus the visible screen) kept per stream
+const DEFAULT_LINES = 200;
+// Minimum gap between captures of one pane while output is flowing
+const DEFAULT_THROTTLE_MS = 100;
+// The pipe file only signals activity; truncate it once it grows past this
+const MAX_PIPE_FILE_BYTES = 1024 * 1024;
+
+/**
+ * OutputStreamer - Pushes tmux pane output to subscribed WebSocket clients
+ *
+ * Each watched pane gets one `tmux pipe-pane` writing into a temp file. File
+ * changes trigger a single throttled capture-pane shared by every subscriber,
+ * and only lines that changed since the previous capture are sent:
+ *
+ *   { type: 'output', sessionId, top, start, lines }
+ *
+ * `top` is the absolute line number of the first retained line, `start` the
+ * first line being replaced; everything from `start` on is `lines`. A message
+ * with `reset: true` replaces the whole buffer.
+ */
+class OutputStreamer {
+  constructor({ lines = DEFAULT_LINES, throttleMs = DEFAULT_THROTTLE_MS } = {}) {
+    this.lines = lines;
+    this.throttleMs = throttleMs;
+    this.streams = new Map(); // tmuxSession -> stream state
+  }
+
+  // Subscribe a client to one session's output (replacing any previous subscription)
+  async subscribe(ws, session) {
+    this.unsubscribe(ws);
+
+    let stream = this.streams.get(session.tmuxSession);
+    if (!stream) {
+      stream = await this.start(session);
+    }
+    stream.subscribers.add(ws);
+    ws.outputSessionId = session.id;
+
+    if (stream.snapshot) {
+      this.send(ws, { type: 'output', sessionId: session.id, reset: true, ...stream.snapshot });
+    } else {
+      this.scheduleCapture(stream);
+    }
+  }
+
+  // Drop a client's subscription, stopping the pipe when nobody is left watching
+  unsubscribe(ws) {
+    for (const [tmuxSession, stream] of this.streams) {
+      if (stream.subscribers.delete(ws) && stream.subscribers.size === 0) {
+        this.stop(tmuxSession);
+      }
+    }
+    ws.outputSessionId = null;
+  }
+
+  async start(session) {
+    const suffix = crypto.randomBytes(6).toString('hex');
+    const file = path.join(os.tmpdir(), `claudegrid-pipe-${session.tmuxSession}-${suffix}.log`);
+    fs.writeFileSync(file, '', { flag: 'wx', mode: 0o600 });
+
+    const stream = {
+      sessionId: session.id,
+      tmuxSession: session.tmuxSession,
+      file,
+      subscribers: new Set(),
+      snapshot: null,   // Last { top, lines } sent to subscribers
+      timer: null,
+      capturing: false,
+      dirty: false,
+      watcher: null
+    };
+    this.streams.set(session.tmuxSession, stream);
+
+    try {
+      stream.watcher = fs.watch(file, () => this.onPipeActivity(stream));
+      // `file` is built from a validated tmux name and hex suffix, so it needs no escaping
+      await tmux.pipePane(session.tmuxSession, `cat >> '${file}'`);
+    } catch (err) {
+      this.stop(session.tmuxSession);
+      throw err;
+    }
+
+    return stream;
+  }
+
+  stop(tmuxSession) {
+    const stream = this.streams.get(tmuxSession);
+    if (!stream) return;
+    this.streams.delete(tmuxSession);
+
+    if (stream.timer) clearTimeout(stream.timer);
+    if (stream.watcher) stream.watcher.close();
+    for (const ws of stream.subscribers) {
+      ws.outputSessionId = null;
+    }
+
+    tmux.stopPipePane(tmuxSession).catch(() => {
+      // Session already gone
+    });
+    fs.unlink(stream.file, () => {});
+  }
+
+  onPipeActivity(stream) {
+    try {
+      if (fs.statSync(stream.file).size > MAX_PIPE_FILE_BYTES) {
+        fs.truncateSync(stream.file, 0);
+      }
+    } catch {
+      // File removed by stop()
+    }
+    this.scheduleCapture(stream);
+  }
+
+  scheduleCapture(stream) {
+    if (stream.capturing) {
+      stream.dirty = true;
+      return;
+    }
+    if (stream.timer) return;
+    stream.timer = setTimeout(() => {
+      stream.timer = null;
+      this.capture(stream);
+    }, this.throttleMs);
+  }
+
+  async capture(stream) {
+    stream.capturing = true;
+    stream.dirty = false;
+
+    let next;
+    try {
+      next = await tmux.capturePaneLines(stream.tmuxSession, this.lines);
+    } catch {
+      // Pane is gone - subscribers see the session go offline via the session list
+      stream.capturing = false;
+      this.stop(stream.tmuxSession);
+      return;
+    }
+    stream.capturing = false;
+
+    if (this.streams.get(stream.tmuxSession) === stream) {
+      const patch = this.diff(stream.snapshot, next);
+      stream.snapshot = next;
+      if (patch) {
+        for (const ws of stream.subscribers) {
+          this.send(ws, { type: 'output', sessionId: stream.sessionId, ...patch });
+        }
+      }
+      if (stream.dirty) this.scheduleCapture(stream);
+    }
+  }
+
+  // Lines from the first changed one onward, or a reset when the window jumped
+  // (history cleared, or scrolled past everything the client has)
+  diff(prev, next) {
+    const prevEnd = prev ? prev.top + prev.lines.length : 0;
+    if (!prev || next.top < prev.top || next.top > prevEnd) {
+      return { reset: true, top: next.top, lines: next.lines };
+    }
+
+    let start = next.top;
+    const nextEnd = next.top + next.lines.length;
+    while (start < prevEnd && start < nextEnd &&
+           prev.lines[start - prev.top] === next.lines[start - next.top]) {
+      start++;
+    }
+
+    if (start === prevEnd && start === nextEnd && next.top === prev.top) {
+      return null; // Nothing changed
+    }
+    return { top: next.top, start, lines: next.lines.slice(start - next.top) };
+  }
+
+  send(ws, message) {
+    if (ws.readyState === 1) { // WebSocket.OPEN
+      ws.send(encode(message));
+    }
+  }
+}
+
+module.exports = { OutputStreamer };
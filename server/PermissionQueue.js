@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+// Where an outstanding request is answered
+const RequestKind = {
+  PROMPT: 'prompt', // Dialog on a managed session's screen, answered with tmux keys
+  HOOK: 'hook'      // Blocking hook (DecisionBroker), answered through the hook's output
+};
+
+/**
+ * PermissionQueue - Every permission request still waiting for a human
+ *
+ * Screen prompts are kept one per session (a new prompt replaces the old one);
+ * hook requests use their DecisionBroker ID. Entries leave the queue when they
+ * are answered, or when their session resumes or ends. onChange gets the full
+ * list after every change.
+ */
+class PermissionQueue {
+  constructor({ onChange } = {}) {
+    this.onChange = onChange || (() => {});
+    this.entries = new Map(); // id -> entry, in arrival order
+  }
+
+  /**
+   * Queue a request
+   * @param {Object} entry - { kind, sessionId, claudeSessionId, sessionName, tool, command, text, options, id? }
+   * @returns {Object} The stored entry
+   */
+  add(entry) {
+    if (entry.kind === RequestKind.PROMPT) {
+      this.removeWhere(e => e.kind === RequestKind.PROMPT && e.sessionId === entry.sessionId, { notify: false });
+    }
+    const stored = {
+      id: entry.id || crypto.randomBytes(6).toString('hex'),
+      kind: entry.kind,
+      sessionId: entry.sessionId || null,
+      claudeSessionId: entry.claudeSessionId || null,
+      sessionName: entry.sessionName || null,
+      tool: entry.tool || null,
+      command: entry.command || null,
+      text: entry.text || null,
+      options: entry.options || [],
+      createdAt: new Date().toISOString(),
+      expiresAt: entry.expiresAt || null
+    };
+    this.entries.set(stored.id, stored);
+    this.onChange(this.list());
+    return stored;
+  }
+
+  get(id) {
+    return this.entries.get(id) || null;
+  }
+
+  remove(id) {
+    if (!this.entries.delete(id)) return false;
+    this.onChange(this.list());
+    return true;
+  }
+
+  // Drop matching entries; returns the removed ones
+  removeWhere(predicate, { notify = true } = {}) {
+    const removed = [];
+    for (const entry of this.entries.values()) {
+      if (predicate(entry)) {
+        this.entries.delete(entry.id);
+        removed.push(entry);
+      }
+    }
+    if (removed.length > 0 && notify) this.onChange(this.list());
+    return removed;
+  }
+
+  // A session's entries (all kinds unless one is given)
+  forSession(sessionId, kind = null) {
+    return this.list().filter(e => e.sessionId === sessionId && (!kind || e.kind === kind));
+  }
+
+  // Outstanding requests, oldest first
+  list() {
+    return Array.from(this.entries.values());
+  }
+}
+
+module.exports = { PermissionQueue, RequestKind };
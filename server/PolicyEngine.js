@@ -0,0 +1,172 @@
+const path = require('path');
+const { ConfigFile, JsonlLog } = require('./dataFiles');
+
+const Decision = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  ASK: 'ask' // Explicitly escalate to a human
+};
+
+// Rotate the decision log once it grows past this size (one archive is kept)
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+// Decisions kept in memory for GET /api/policy/decisions
+const MAX_RECENT_DECISIONS = 500;
+
+// Glob -> RegExp: `**` matches across `/`, `*` within one segment, `?` one character
+function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+      if (glob[i + 1] === '/') i++; // "**/" also matches zero directories
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+// File the tool acts on, if any (absolute, resolved against the session's cwd)
+function toolPath(request) {
+  const input = request.toolInput || {};
+  const file = input.file_path || input.notebook_path || input.path;
+  if (typeof file !== 'string' || !file) return null;
+  return path.resolve(request.directory || '/', file);
+}
+
+// Text a `command` rule is matched against: the Bash command, or the dialog text
+function toolCommand(request) {
+  const input = request.toolInput || {};
+  if (typeof input.command === 'string') return input.command;
+  return request.promptText || null;
+}
+
+/**
+ * Compile one rule from policies.json. Every condition present must match:
+ *   tool       tool name glob(s), e.g. "Bash", ["Read", "Grep"], "mcp__github__*"
+ *   command    regex tested against the Bash command (or the dialog text when it shows none)
+ *   paths      glob(s) for the file the tool touches
+ *   session    glob(s) for the session name or ID
+ *   directory  glob(s) for the session's working directory
+ */
+function compileRule(rule, index) {
+  if (!rule || !Object.values(Decision).includes(rule.decision)) {
+    throw new Error(`Rule ${index + 1}: decision must be one of ${Object.values(Decision).join(', ')}`);
+  }
+  const globs = (value) => {
+    const list = toList(value);
+    return list ? list.map(g => globToRegExp(String(g))) : null;
+  };
+  return {
+    name: rule.name || `rule ${index + 1}`,
+    decision: rule.decision,
+    tool: globs(rule.tool),
+    command: rule.command ? new RegExp(rule.command) : null,
+    paths: globs(rule.paths),
+    session: globs(rule.session),
+    directory: globs(rule.directory)
+  };
+}
+
+function ruleMatches(rule, request) {
+  const any = (patterns, ...values) => values.some(v => v && patterns.some(p => p.test(v)));
+
+  if (rule.tool && !any(rule.tool, request.toolName)) return false;
+  if (rule.command) {
+    const command = toolCommand(request);
+    if (!command || !rule.command.test(command)) return false;
+  }
+  if (rule.paths && !any(rule.paths, toolPath(request))) return false;
+  if (rule.session && !any(rule.session, request.sessionName, request.sessionId, request.claudeSessionId)) return false;
+  if (rule.directory && !any(rule.directory, request.directory)) return false;
+  return true;
+}
+
+// Keys that pick `decision` in a detected prompt (numbered options or y/n).
+// Allowing picks the one-time "Yes", never a "don't ask again" variant.
+function answerKeys(decision, options = []) {
+  const find = (kind, pattern) => options.find(o => o.kind === kind) || options.find(o => !o.kind && pattern.test(o.label));
+  if (decision === Decision.ALLOW) {
+    const yes = find('yes', /^yes\b/i) || options[0];
+    return yes ? yes.number : 'y';
+  }
+  const no = find('no', /^no\b/i);
+  if (no) return no.number;
+  // Numbered menus without a "No" entry are dismissed with Esc
+  return options.some(o => /^\d+$/.test(o.number)) ? 'Escape' : 'n';
+}
+
+/**
+ * PolicyEngine - Rules that answer permission prompts without a human
+ *
+ * Rules live in policies.json ({ "rules": [...] }) next to sessions.json and
+ * are re-read whenever the file changes. The first matching rule wins; when
+ * none matches (or the match says "ask") the prompt goes to the browser as
+ * before. Every decision is appended to decisions.jsonl.
+ */
+class PolicyEngine {
+  constructor(dataDir, { file } = {}) {
+    this.file = file || path.join(dataDir, 'policies.json');
+    this.rules = [];
+    this.source = [];   // Rules as written in the file
+    this.config = new ConfigFile(this.file, {
+      name: 'Policy',
+      apply: (data) => {
+        const source = (data && data.rules) || [];
+        this.rules = source.map(compileRule);
+        this.source = source;
+        return `${this.rules.length} rules`;
+      }
+    });
+    this.log = new JsonlLog(path.join(dataDir, 'decisions.jsonl'), { name: 'decision log', maxBytes: MAX_LOG_BYTES });
+    this.recent = this.log.readRecent(MAX_RECENT_DECISIONS);
+    this.reload();
+  }
+
+  // Re-read the rules file if it changed; a broken file keeps the previous rules
+  reload() {
+    this.config.reload();
+  }
+
+  get error() {
+    return this.config.error;
+  }
+
+  /**
+   * Find the decision for a permission request
+   * @param {Object} request - { toolName, toolInput, promptText, sessionId, claudeSessionId, sessionName, directory }
+   * @returns {{ decision: string, rule: string } | null} null when no rule matches
+   */
+  evaluate(request) {
+    this.reload();
+    const rule = this.rules.find(r => ruleMatches(r, request));
+    return rule ? { decision: rule.decision, rule: rule.name } : null;
+  }
+
+  // Append a decision to the log (and the in-memory recent list); returns the record
+  logDecision(record) {
+    const entry = { ts: new Date().toISOString(), ...record };
+    this.recent.push(entry);
+    if (this.recent.length > MAX_RECENT_DECISIONS) this.recent.shift();
+    this.log.append(entry);
+    return entry;
+  }
+
+  // Most recent decisions, newest first
+  getDecisions(limit = 100) {
+    return this.recent.slice(-limit).reverse();
+  }
+}
+
+module.exports = { PolicyEngine, Decision, answerKeys, globToRegExp };
@@ -0,0 +1,74 @@
+/**
+ * SessionPatcher - Turns session list snapshots into revisioned patches
+ *
+ * Keeps the last list it was given (as JSON per top-level field) and, for the
+ * next one, produces session_added / session_updated / session_removed
+ * messages. Every patch gets the next revision, so a client that applied
+ * revision n and then sees anything but n + 1 knows it missed one and must
+ * fetch the full list again.
+ */
+class SessionPatcher {
+  constructor() {
+    this.revision = 0;
+    this.last = new Map(); // id -> { fields: { key: json }, claudeSessionId, directory }
+  }
+
+  /**
+   * Patches that turn the previous list into `sessions`
+   * @param {Object[]} sessions - sessionStore.getAll()
+   * @returns {Object[]} Patch messages, in revision order
+   */
+  diff(sessions) {
+    const patches = [];
+    const next = new Map();
+
+    for (const session of sessions) {
+      const fields = {};
+      for (const [key, value] of Object.entries(session)) {
+        fields[key] = JSON.stringify(value);
+      }
+      next.set(session.id, {
+        fields,
+        claudeSessionId: session.claudeSessionId || null,
+        directory: session.directory || session.cwd || null
+      });
+
+      const previous = this.last.get(session.id);
+      if (!previous) {
+        patches.push({ type: 'session_added', revision: ++this.revision, session });
+        continue;
+      }
+
+      // Top-level fields that changed, and those that are gone
+      const changes = {};
+      const removed = [];
+      for (const key of new Set([...Object.keys(fields), ...Object.keys(previous.fields)])) {
+        if (fields[key] === previous.fields[key]) continue;
+        if (fields[key] === undefined) removed.push(key);
+        else changes[key] = session[key];
+      }
+      if (Object.keys(changes).length > 0 || removed.length > 0) {
+        const patch = { type: 'session_updated', revision: ++this.revision, id: session.id, changes };
+        if (removed.length > 0) patch.removed = removed;
+        patches.push(patch);
+      }
+    }
+
+    for (const [id, previous] of this.last) {
+      if (!next.has(id)) {
+        patches.push({
+          type: 'session_removed',
+          revision: ++this.revision,
+          id,
+          claudeSessionId: previous.claudeSessionId,
+          directory: previous.directory
+        });
+      }
+    }
+
+    this.last = next;
+    return patches;
+  }
+}
+
+module.exports = { SessionPatcher };
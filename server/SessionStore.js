@@ -1,15 +1,53 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { costOf } = require('./pricing');
 
 // Session states
 const SessionState = {
   IDLE: 'idle',
   WORKING: 'working',
   WAITING: 'waiting',
+  OVER_BUDGET: 'over_budget', // Cancelled after crossing a budget limit; prompts refused
   OFFLINE: 'offline'
 };
 
+// Counters kept for every usage bucket (session, directory, day)
+const USAGE_FIELDS = ['inputTokens', 'outputTokens', 'cacheCreationTokens', 'cacheReadTokens'];
+// Message IDs remembered per session to de-duplicate repeated usage entries
+const MAX_RECENT_MESSAGES = 50;
+// usage.json is written at most this often (transcripts are polled every few seconds)
+const USAGE_SAVE_MS = 5000;
+// Day buckets kept in usage.json; older days still count in the session and directory totals
+const MAX_USAGE_DAYS = 90;
+// Sessions kept in usage.json; the longest idle deleted ones beyond this are archived
+const MAX_USAGE_SESSIONS = 500;
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, costUsd: 0, turns: 0 };
+}
+
+// Totals of the sessions pruned from usage.json
+function emptyArchive() {
+  return { sessions: 0, ...emptyUsage() };
+}
+
+function addUsage(totals, delta) {
+  for (const field of USAGE_FIELDS) {
+    totals[field] += delta[field];
+  }
+  totals.costUsd += delta.costUsd;
+  totals.turns += delta.turns;
+}
+
+// Copy of a bucket's counters (cost rounded to hide float noise)
+function pickUsage(bucket) {
+  const totals = emptyUsage();
+  addUsage(totals, bucket);
+  totals.costUsd = Math.round(totals.costUsd * 1e6) / 1e6;
+  return totals;
+}
+
 class SessionStore {
   constructor(dataDir = null) {
     // Determine home directory with fallbacks
@@ -19,7 +57,14 @@ class SessionStore {
     this.sessions = new Map();
     // Observed sessions: hook events only, no tmux backing (ephemeral, not persisted)
     this.observedSessions = new Map();
+    // Subagents spawned by Task tool calls, keyed by subagent ID (ephemeral, not persisted)
+    this.subagents = new Map();
     this.load();
+    // Token usage read from transcripts, aggregated per session, directory and day
+    this.usageFile = path.join(this.dataDir, 'usage.json');
+    this.usage = { sessions: {}, directories: {}, days: {}, archived: emptyArchive() };
+    this.usageSaveTimer = null;
+    this.loadUsage();
   }
 
   // Ensure data directory exists
@@ -74,7 +119,7 @@ class SessionStore {
   }
 
   // Create a new session
-  create({ name, directory, tmuxSession }) {
+  create({ name, directory, tmuxSession, budget = null }) {
     const id = this.generateId();
     const session = {
       id,
@@ -84,6 +129,9 @@ class SessionStore {
       state: SessionState.IDLE,
       claudeSessionId: null,
       offlineSince: null,
+      budget,
+      budgetExceeded: null,
+      toolCalls: 0,
       createdAt: new Date().toISOString(),
       lastActivity: new Date().toISOString()
     };
@@ -97,12 +145,22 @@ class SessionStore {
     return this.sessions.get(id) || null;
   }
 
-  // Get all sessions (excludes offline managed sessions, includes observed)
+  // Get a managed or observed session by its ID
+  findById(id) {
+    return this.sessions.get(id) || this.observedSessions.get(id) || null;
+  }
+
+  // Get all sessions (excludes offline managed sessions, includes observed),
+  // each with the subagents it is currently running
   getAll() {
     const managed = Array.from(this.sessions.values())
       .filter(s => s.state !== SessionState.OFFLINE);
     const observed = Array.from(this.observedSessions.values());
-    return [...managed, ...observed];
+    return [...managed, ...observed].map(s => ({
+      ...s,
+      subagents: s.claudeSessionId ? this.getSubagents(s.claudeSessionId) : [],
+      usage: this.getUsage(s.id)
+    }));
   }
 
   // Get all managed sessions (including offline, for internal use)
@@ -230,6 +288,194 @@ class SessionStore {
     return this.observedSessions.get(claudeSessionId) || null;
   }
 
+  // Record a subagent started by a parent Claude session
+  addSubagent(subagent) {
+    const record = {
+      state: SessionState.WORKING,
+      startedAt: new Date().toISOString(),
+      lastActivity: new Date().toISOString(),
+      ...subagent
+    };
+    this.subagents.set(record.id, record);
+    return record;
+  }
+
+  updateSubagent(id, updates) {
+    const subagent = this.subagents.get(id);
+    if (!subagent) return null;
+    Object.assign(subagent, updates, { lastActivity: new Date().toISOString() });
+    return subagent;
+  }
+
+  removeSubagent(id) {
+    return this.subagents.delete(id);
+  }
+
+  // Subagents of a parent Claude session, oldest first
+  getSubagents(parentSessionId) {
+    return Array.from(this.subagents.values())
+      .filter(s => s.parentSessionId === parentSessionId);
+  }
+
+  findSubagent(id) {
+    return this.subagents.get(id) || null;
+  }
+
+  loadUsage() {
+    try {
+      if (fs.existsSync(this.usageFile)) {
+        const data = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+        this.usage = {
+          sessions: data.sessions || {},
+          directories: data.directories || {},
+          days: data.days || {},
+          archived: data.archived || emptyArchive()
+        };
+      }
+    } catch (err) {
+      console.error('Error loading usage:', err.message);
+    }
+  }
+
+  // Write usage.json soon; changes within USAGE_SAVE_MS go out in one write
+  saveUsage() {
+    if (this.usageSaveTimer) return;
+    this.usageSaveTimer = setTimeout(() => this.flushUsage(), USAGE_SAVE_MS);
+    this.usageSaveTimer.unref();
+  }
+
+  flushUsage() {
+    clearTimeout(this.usageSaveTimer);
+    this.usageSaveTimer = null;
+    this.pruneUsage();
+    this.ensureDataDir();
+    try {
+      fs.writeFileSync(this.usageFile, JSON.stringify(this.usage));
+    } catch (err) {
+      console.error('Error saving usage:', err.message);
+    }
+  }
+
+  // Keep usage.json bounded: drop day buckets older than MAX_USAGE_DAYS and
+  // fold the longest idle sessions that no longer exist into `archived`
+  pruneUsage() {
+    const cutoff = new Date(Date.now() - MAX_USAGE_DAYS * 86400000).toISOString().slice(0, 10);
+    for (const day of Object.keys(this.usage.days)) {
+      if (day < cutoff) delete this.usage.days[day];
+    }
+
+    const ids = Object.keys(this.usage.sessions);
+    if (ids.length <= MAX_USAGE_SESSIONS) return;
+    const lastSeen = id => this.usage.sessions[id].lastTimestamp || '';
+    const gone = ids
+      .filter(id => this.findById(id) === null)
+      .sort((a, b) => lastSeen(a).localeCompare(lastSeen(b)));
+    for (const id of gone.slice(0, ids.length - MAX_USAGE_SESSIONS)) {
+      addUsage(this.usage.archived, this.usage.sessions[id]);
+      this.usage.archived.sessions += 1;
+      delete this.usage.sessions[id];
+    }
+  }
+
+  // Add transcript usage records (from TranscriptTailer.poll) to a session's totals.
+  // Records already counted - the same message seen again, or a transcript re-read
+  // after a restart - only add what grew. Returns the session's totals, or null if unchanged.
+  recordUsage(session, records) {
+    let entry = this.usage.sessions[session.id];
+    if (!entry) {
+      entry = this.usage.sessions[session.id] = {
+        name: session.name,
+        directory: session.directory || session.cwd || null,
+        model: null,
+        lastTimestamp: null,
+        recent: {},
+        ...emptyUsage()
+      };
+    }
+    entry.name = session.name;
+
+    let changed = false;
+    for (const record of records) {
+      if (record.timestamp && entry.lastTimestamp && record.timestamp < entry.lastTimestamp) continue;
+
+      const counted = record.messageId ? entry.recent[record.messageId] : null;
+      const delta = { turns: counted ? 0 : 1 };
+      for (const field of USAGE_FIELDS) {
+        delta[field] = Math.max(0, record[field] - (counted ? counted[field] : 0));
+      }
+      if (counted && USAGE_FIELDS.every(field => delta[field] === 0)) continue;
+      delta.costUsd = costOf(record.model, delta);
+
+      if (record.messageId) {
+        const seen = {};
+        for (const field of USAGE_FIELDS) {
+          seen[field] = Math.max(record[field], counted ? counted[field] : 0);
+        }
+        delete entry.recent[record.messageId]; // Re-insert as newest
+        entry.recent[record.messageId] = seen;
+        const ids = Object.keys(entry.recent);
+        for (const id of ids.slice(0, Math.max(0, ids.length - MAX_RECENT_MESSAGES))) {
+          delete entry.recent[id];
+        }
+      }
+
+      const day = (record.timestamp || new Date().toISOString()).slice(0, 10);
+      const directory = entry.directory || 'unknown';
+      this.usage.directories[directory] = this.usage.directories[directory] || emptyUsage();
+      this.usage.days[day] = this.usage.days[day] || emptyUsage();
+
+      addUsage(entry, delta);
+      addUsage(this.usage.directories[directory], delta);
+      addUsage(this.usage.days[day], delta);
+      if (record.model) entry.model = record.model;
+      if (record.timestamp) entry.lastTimestamp = record.timestamp;
+      changed = true;
+    }
+
+    if (!changed) return null;
+    this.saveUsage();
+    return this.getUsage(session.id);
+  }
+
+  // Usage totals for one session (zeros if nothing was recorded)
+  getUsage(sessionId) {
+    const entry = this.usage.sessions[sessionId];
+    return entry ? pickUsage(entry) : emptyUsage();
+  }
+
+  // Usage report: overall totals plus per-session, per-directory (by cost) and per-day (newest first)
+  getUsageReport({ days = 30 } = {}) {
+    const totals = emptyUsage();
+    addUsage(totals, this.usage.archived);
+    const sessions = Object.entries(this.usage.sessions).map(([sessionId, entry]) => {
+      addUsage(totals, entry);
+      return {
+        sessionId,
+        name: entry.name,
+        directory: entry.directory,
+        model: entry.model,
+        lastTimestamp: entry.lastTimestamp,
+        live: this.findById(sessionId) !== null,
+        ...pickUsage(entry)
+      };
+    });
+    const directories = Object.entries(this.usage.directories)
+      .map(([directory, bucket]) => ({ directory, ...pickUsage(bucket) }));
+    const byDay = Object.entries(this.usage.days)
+      .map(([date, bucket]) => ({ date, ...pickUsage(bucket) }))
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, days);
+
+    const byCost = (a, b) => b.costUsd - a.costUsd;
+    return {
+      totals,
+      sessions: sessions.sort(byCost),
+      directories: directories.sort(byCost),
+      days: byDay,
+      archivedSessions: this.usage.archived.sessions // Counted in totals only
+    };
+  }
+
   // Delete session
   delete(id) {
     const deleted = this.sessions.delete(id);
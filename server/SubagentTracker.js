@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const { SessionState } = require('./SessionStore');
+
+// Tools that launch a subagent ("Agent" is the newer name for "Task")
+const TASK_TOOLS = new Set(['Task', 'Agent']);
+// Events a running subagent fires under its parent's session_id
+const SUBAGENT_EVENTS = new Set(['PreToolUse', 'PostToolUse', 'PostToolUseFailure', 'PermissionRequest', 'SubagentStop']);
+
+// Stable subagent session ID derived from the Task tool_use_id
+function subagentId(toolUseId) {
+  return 'sub' + crypto.createHash('sha1').update(toolUseId).digest('hex').slice(0, 13);
+}
+
+/**
+ * SubagentTracker - Derives the subagent hierarchy from hook events
+ *
+ * Claude Code reports subagent activity under the parent's session_id, so:
+ * - PreToolUse of Task starts a subagent (keyed by the Task's tool_use_id)
+ *   and emits a synthetic SubagentStart for it
+ * - while subagents run, their tool events and SubagentStop are rewritten to
+ *   the subagent's ID with parent_session_id set. Events carrying agent_id
+ *   go to the matching subagent; otherwise the newest running one is used
+ *   (the parent waits on Task, so this is exact unless Tasks run in parallel)
+ * - PostToolUse of the Task (or the parent stopping) ends the subagent with
+ *   a synthetic SessionEnd
+ *
+ * Subagent records live in the SessionStore so getAll() can expose the tree.
+ */
+class SubagentTracker {
+  constructor(sessionStore) {
+    this.sessionStore = sessionStore;
+  }
+
+  // Returns the events to journal and broadcast in place of `event` (in order)
+  process(event) {
+    const parentId = event.session_id;
+    if (!parentId) return [event];
+
+    const hookEvent = event.hook_event_name;
+    const isTask = TASK_TOOLS.has(event.tool_name) && event.tool_use_id;
+
+    if (isTask && hookEvent === 'PreToolUse') {
+      return [event, this.start(parentId, event)];
+    }
+
+    if (isTask && (hookEvent === 'PostToolUse' || hookEvent === 'PostToolUseFailure')) {
+      const subagent = this.sessionStore.getSubagents(parentId)
+        .find(s => s.toolUseId === event.tool_use_id);
+      return subagent ? [this.end(subagent), event] : [event];
+    }
+
+    const running = this.sessionStore.getSubagents(parentId);
+    if (running.length === 0) return [event];
+
+    // Parent finished its turn or exited: anything still open is done
+    if (hookEvent === 'Stop' || hookEvent === 'SessionEnd') {
+      return [...running.map(s => this.end(s)), event];
+    }
+
+    // Newer Claude Code versions report SubagentStart with an agent_id we can pin
+    if (hookEvent === 'SubagentStart' && event.agent_id) {
+      const subagent = running.find(s => !s.agentId);
+      if (!subagent) return [event];
+      this.sessionStore.updateSubagent(subagent.id, { agentId: event.agent_id });
+      return [{ ...event, session_id: subagent.id, parent_session_id: parentId }];
+    }
+
+    if (!SUBAGENT_EVENTS.has(hookEvent)) return [event];
+
+    const subagent = this.resolve(running, event);
+    if (!subagent) return [event];
+
+    this.sessionStore.updateSubagent(subagent.id, {
+      state: hookEvent === 'SubagentStop' ? SessionState.IDLE : SessionState.WORKING
+    });
+    return [{ ...event, session_id: subagent.id, parent_session_id: parentId }];
+  }
+
+  start(parentId, event) {
+    const input = event.tool_input || {};
+    const subagent = this.sessionStore.addSubagent({
+      id: subagentId(event.tool_use_id),
+      parentSessionId: parentId,
+      toolUseId: event.tool_use_id,
+      agentId: null,
+      description: input.description || null,
+      subagentType: input.subagent_type || null
+    });
+
+    return {
+      session_id: subagent.id,
+      parent_session_id: parentId,
+      hook_event_name: 'SubagentStart',
+      tool_use_id: event.tool_use_id,
+      description: subagent.description,
+      subagent_type: subagent.subagentType,
+      cwd: event.cwd
+    };
+  }
+
+  end(subagent) {
+    this.sessionStore.removeSubagent(subagent.id);
+    return {
+      session_id: subagent.id,
+      parent_session_id: subagent.parentSessionId,
+      hook_event_name: 'SessionEnd'
+    };
+  }
+
+  // Pick the subagent an event belongs to (null = the parent itself)
+  resolve(running, event) {
+    const active = running.filter(s => s.state !== SessionState.IDLE);
+    const newest = (list) => (list.length > 0 ? list[list.length - 1] : null);
+
+    if (event.agent_id) {
+      const pinned = running.find(s => s.agentId === event.agent_id);
+      if (pinned) return pinned;
+      // First sighting of this agent_id: pin it to the newest unpinned subagent
+      const unpinned = newest(active.filter(s => !s.agentId));
+      if (unpinned) this.sessionStore.updateSubagent(unpinned.id, { agentId: event.agent_id });
+      return unpinned;
+    }
+    return newest(active);
+  }
+
+  // Forget a parent's subagents without emitting events (session deleted)
+  forget(parentId) {
+    for (const subagent of this.sessionStore.getSubagents(parentId)) {
+      this.sessionStore.removeSubagent(subagent.id);
+    }
+  }
+}
+
+module.exports = { SubagentTracker };
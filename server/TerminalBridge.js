@@ -0,0 +1,200 @@
+const tmux = require('./tmux');
+
+// Bytes of keyboard input per send-keys command
+const INPUT_CHUNK_BYTES = 256;
+// Terminal size limits accepted from clients
+const MIN_COLS = 20, MAX_COLS = 500;
+const MIN_ROWS = 5, MAX_ROWS = 200;
+
+const BACKSLASH = 0x5c;
+const NEWLINE = 0x0a;
+
+// Control mode escapes bytes below 0x20 and backslash as \ooo; undo that
+function decodeControlOutput(buf) {
+  const out = Buffer.alloc(buf.length);
+  let length = 0;
+  for (let i = 0; i < buf.length; i++) {
+    if (buf[i] === BACKSLASH && i + 3 < buf.length) {
+      const octal = buf.toString('latin1', i + 1, i + 4);
+      if (/^[0-7]{3}$/.test(octal)) {
+        out[length++] = parseInt(octal, 8);
+        i += 3;
+        continue;
+      }
+    }
+    out[length++] = buf[i];
+  }
+  return out.subarray(0, length);
+}
+
+/**
+ * TerminalBridge - Interactive access to a tmux pane via a control-mode client
+ *
+ * Spawns `tmux -C attach-session` for the session and:
+ * - forwards the pane's %output notifications as raw terminal bytes
+ * - sends keystrokes with `send-keys -H` (hex, so any byte sequence works)
+ * - resizes the client with `refresh-client -C`
+ *
+ * Command replies (%begin ... %end blocks) are matched to the commands this
+ * bridge sent, in order.
+ */
+class TerminalBridge {
+  constructor(tmuxSession, { onOutput, onExit } = {}) {
+    this.tmuxSession = tmux.validateTmuxName(tmuxSession);
+    this.target = `${this.tmuxSession}:0.0`;
+    this.onOutput = onOutput || (() => {});  // (Buffer) raw bytes for the terminal
+    this.onExit = onExit || (() => {});      // control client ended
+
+    this.proc = null;
+    this.paneId = null;
+    this.pending = [];    // Callbacks for commands awaiting %end/%error
+    this.reply = null;    // Lines of the reply block being read
+    this.buffer = Buffer.alloc(0);
+    this.backlog = [];    // Output held back until the screen snapshot is sent
+    this.closed = false;
+    this.onAttached = null;
+    this.onAttachFailed = null;
+  }
+
+  // Attach and return the current screen (with colours and cursor position) as terminal bytes
+  async attach(cols, rows) {
+    this.proc = tmux.spawnControlClient(this.tmuxSession);
+    this.proc.stdout.on('data', (chunk) => this.onData(chunk));
+    this.proc.stderr.on('data', (chunk) => console.error(`[Terminal] ${this.tmuxSession}: ${chunk.toString().trim()}`));
+    this.proc.on('error', (err) => {
+      console.error('Terminal client error:', err.message);
+      this.close();
+    });
+    this.proc.on('exit', () => this.close());
+
+    // Client-scoped commands (refresh-client) fail until the attach completes
+    await new Promise((resolve, reject) => {
+      this.onAttached = resolve;
+      this.onAttachFailed = reject;
+    });
+
+    // %output notifications name panes by id
+    const [paneId] = await this.command(`display-message -p -t ${this.target} '#{pane_id}'`);
+    this.paneId = paneId;
+    if (cols && rows) {
+      this.resize(cols, rows);
+    }
+
+    // Written together so tmux runs them back to back. Output before the capture
+    // reply is already in the snapshot; output after it is replayed on top.
+    const capture = this.command(`capture-pane -p -e -t ${this.target}`, () => { this.backlog = []; });
+    const cursorQuery = this.command(`display-message -p -t ${this.target} '#{cursor_x} #{cursor_y}'`);
+    const [screen, [cursor]] = await Promise.all([capture, cursorQuery]);
+    const [x, y] = (cursor || '0 0').split(' ').map(n => parseInt(n) || 0);
+
+    const snapshot = Buffer.from(`\x1b[2J\x1b[H${screen.join('\r\n')}\x1b[${y + 1};${x + 1}H`, 'utf8');
+    const backlog = this.backlog;
+    this.backlog = null;
+    return Buffer.concat([snapshot, ...backlog]);
+  }
+
+  // Send a command on the control connection; resolves with its output lines.
+  // `onReply` runs synchronously when the reply ends, before any later output is handled.
+  command(line, onReply = null) {
+    return new Promise((resolve, reject) => {
+      if (this.closed || !this.proc) {
+        return reject(new Error('Terminal is not attached'));
+      }
+      this.pending.push({ resolve, reject, onReply });
+      this.proc.stdin.write(line + '\n');
+    });
+  }
+
+  // Type raw input (a string from the browser terminal) into the pane
+  write(data) {
+    if (this.closed || !this.paneId) return;
+    const bytes = Buffer.from(data, 'utf8');
+    for (let i = 0; i < bytes.length; i += INPUT_CHUNK_BYTES) {
+      const hex = Array.from(bytes.subarray(i, i + INPUT_CHUNK_BYTES), b => b.toString(16).padStart(2, '0'));
+      this.command(`send-keys -t ${this.paneId} -H ${hex.join(' ')}`).catch(() => {});
+    }
+  }
+
+  resize(cols, rows) {
+    const c = Math.min(MAX_COLS, Math.max(MIN_COLS, parseInt(cols) || 0));
+    const r = Math.min(MAX_ROWS, Math.max(MIN_ROWS, parseInt(rows) || 0));
+    this.command(`refresh-client -C ${c}x${r}`).catch(() => {});
+  }
+
+  detach() {
+    if (this.proc && !this.closed) {
+      this.proc.stdin.end(); // EOF detaches the control client
+    }
+    this.close();
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    for (const { reject } of this.pending) {
+      reject(new Error('Terminal detached'));
+    }
+    this.pending = [];
+    if (this.onAttachFailed) {
+      this.onAttachFailed(new Error(`Could not attach to ${this.tmuxSession}`));
+      this.onAttachFailed = null;
+    }
+    if (this.proc) {
+      this.proc.kill();
+    }
+    this.onExit();
+  }
+
+  onData(chunk) {
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    let newline;
+    while ((newline = this.buffer.indexOf(NEWLINE)) !== -1) {
+      const line = this.buffer.subarray(0, newline);
+      this.buffer = this.buffer.subarray(newline + 1);
+      this.onLine(line);
+    }
+  }
+
+  onLine(line) {
+    if (this.reply) {
+      const text = line.toString('utf8');
+      if (text.startsWith('%end ') || text.startsWith('%error ')) {
+        const { lines, ours } = this.reply;
+        this.reply = null;
+        if (ours) {
+          const waiter = this.pending.shift();
+          if (waiter && waiter.onReply) waiter.onReply();
+          if (waiter && text.startsWith('%end ')) waiter.resolve(lines);
+          else if (waiter) waiter.reject(new Error(lines.join('\n') || 'tmux command failed'));
+        }
+      } else {
+        this.reply.lines.push(text);
+      }
+      return;
+    }
+
+    const text = line.toString('latin1', 0, Math.min(line.length, 64));
+    if (text.startsWith('%begin ')) {
+      // Flags field is 1 for commands sent by this client (0 for the attach itself)
+      this.reply = { lines: [], ours: text.trim().endsWith(' 1') };
+    } else if (text.startsWith('%output ')) {
+      const prefixEnd = line.indexOf(' ', '%output '.length);
+      const paneId = line.toString('latin1', '%output '.length, prefixEnd);
+      if (paneId !== this.paneId) return;
+      const data = decodeControlOutput(line.subarray(prefixEnd + 1));
+      if (this.backlog) {
+        this.backlog.push(data); // Still attaching
+      } else {
+        this.onOutput(data);
+      }
+    } else if (text.startsWith('%session-changed') && this.onAttached) {
+      this.onAttached();
+      this.onAttached = null;
+      this.onAttachFailed = null;
+    } else if (text.startsWith('%exit')) {
+      this.close();
+    }
+  }
+}
+
+module.exports = { TerminalBridge, decodeControlOutput };
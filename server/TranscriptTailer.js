@@ -0,0 +1,223 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { StringDecoder } = require('string_decoder');
+
+// Keep at most this many parsed blocks per transcript in memory
+const DEFAULT_MAX_BLOCKS = 1000;
+// Truncate individual text/tool payloads beyond this many characters
+const MAX_TEXT_LENGTH = 20000;
+// Max bytes read from a transcript in one poll (large files catch up over several polls)
+const MAX_READ_BYTES = 4 * 1024 * 1024;
+
+// Claude Code keeps transcripts under its config dir; never read anything else
+function getTranscriptRoots() {
+  const roots = [path.join(os.homedir(), '.claude')];
+  if (process.env.CLAUDE_CONFIG_DIR) {
+    roots.push(path.resolve(process.env.CLAUDE_CONFIG_DIR));
+  }
+  return roots;
+}
+
+// Expand ~ and validate that a hook-supplied transcript path is safe to read
+function resolveTranscriptPath(transcriptPath) {
+  if (!transcriptPath || typeof transcriptPath !== 'string') return null;
+
+  const expanded = transcriptPath.startsWith('~/')
+    ? path.join(os.homedir(), transcriptPath.slice(2))
+    : transcriptPath;
+  const resolved = path.resolve(expanded);
+
+  if (path.extname(resolved) !== '.jsonl') return null;
+  const allowed = getTranscriptRoots().some(root => resolved.startsWith(root + path.sep));
+  return allowed ? resolved : null;
+}
+
+function truncate(text) {
+  if (typeof text !== 'string') return text;
+  if (text.length <= MAX_TEXT_LENGTH) return text;
+  return text.slice(0, MAX_TEXT_LENGTH) + `\n... [${text.length - MAX_TEXT_LENGTH} more characters]`;
+}
+
+// Flatten tool_result content (string or [{ type: 'text', text }]) to a string
+function contentToText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (part.type === 'text' ? part.text : `[${part.type}]`))
+      .join('\n');
+  }
+  return content === undefined ? '' : JSON.stringify(content);
+}
+
+/**
+ * Convert one transcript JSONL entry into display blocks
+ * Block kinds: user, assistant, thinking, tool_use, tool_result
+ */
+function parseTranscriptEntry(entry) {
+  if (!entry || !entry.message || entry.isMeta) return [];
+  if (entry.type !== 'user' && entry.type !== 'assistant') return [];
+
+  const base = { uuid: entry.uuid || null, timestamp: entry.timestamp || null };
+  const { content } = entry.message;
+  const blocks = [];
+
+  if (typeof content === 'string') {
+    blocks.push({ ...base, kind: entry.type, text: truncate(content) });
+    return blocks;
+  }
+  if (!Array.isArray(content)) return blocks;
+
+  for (const part of content) {
+    switch (part.type) {
+      case 'text':
+        if (part.text && part.text.trim()) {
+          blocks.push({ ...base, kind: entry.type, text: truncate(part.text) });
+        }
+        break;
+      case 'thinking':
+        if (part.thinking) {
+          blocks.push({ ...base, kind: 'thinking', text: truncate(part.thinking) });
+        }
+        break;
+      case 'tool_use':
+        blocks.push({
+          ...base,
+          kind: 'tool_use',
+          toolUseId: part.id,
+          toolName: part.name,
+          input: part.input
+        });
+        break;
+      case 'tool_result':
+        blocks.push({
+          ...base,
+          kind: 'tool_result',
+          toolUseId: part.tool_use_id,
+          text: truncate(contentToText(part.content)),
+          isError: !!part.is_error
+        });
+        break;
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Token usage reported on an assistant transcript entry, or null
+ * Claude Code writes one entry per content block, so several entries can share a messageId
+ */
+function parseUsageEntry(entry) {
+  if (!entry || entry.type !== 'assistant' || !entry.message || !entry.message.usage) return null;
+  const { id, model, usage } = entry.message;
+  if (model === '<synthetic>') return null; // Local error/placeholder messages, not API calls
+
+  return {
+    messageId: id || entry.uuid || null,
+    model: model || null,
+    timestamp: entry.timestamp || null,
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  };
+}
+
+/**
+ * TranscriptTailer - Incrementally reads Claude transcript JSONL files
+ *
+ * Each transcript keeps its read offset and a window of parsed blocks.
+ * Blocks carry a per-transcript `index` so clients can ask for deltas.
+ */
+class TranscriptTailer {
+  constructor({ maxBlocks = DEFAULT_MAX_BLOCKS } = {}) {
+    this.maxBlocks = maxBlocks;
+    this.transcripts = new Map(); // resolved path -> { offset, partial, blocks, nextIndex }
+  }
+
+  // Read newly appended lines; returns the new blocks and usage records (possibly empty)
+  poll(transcriptPath) {
+    const nothing = { blocks: [], usage: [] };
+    const file = resolveTranscriptPath(transcriptPath);
+    if (!file) return nothing;
+
+    let state = this.transcripts.get(file);
+    if (!state) {
+      state = { offset: 0, partial: '', decoder: new StringDecoder('utf8'), blocks: [], nextIndex: 0 };
+      this.transcripts.set(file, state);
+    }
+
+    let size;
+    try {
+      size = fs.statSync(file).size;
+    } catch {
+      return nothing;
+    }
+
+    // File was replaced or truncated - start over
+    if (size < state.offset) {
+      state.offset = 0;
+      state.partial = '';
+      state.decoder = new StringDecoder('utf8');
+    }
+    if (size === state.offset) return nothing;
+
+    const length = Math.min(size - state.offset, MAX_READ_BYTES);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(file, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, length, state.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    state.offset += length;
+
+    // Decoder holds back multi-byte characters split across reads
+    const lines = (state.partial + state.decoder.write(buffer)).split('\n');
+    state.partial = lines.pop(); // Incomplete trailing line
+
+    const added = [];
+    const usage = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      for (const block of parseTranscriptEntry(entry)) {
+        block.index = state.nextIndex++;
+        added.push(block);
+      }
+      const used = parseUsageEntry(entry);
+      if (used) usage.push(used);
+    }
+
+    if (added.length > 0) {
+      state.blocks.push(...added);
+      if (state.blocks.length > this.maxBlocks) {
+        state.blocks.splice(0, state.blocks.length - this.maxBlocks);
+      }
+    }
+
+    return { blocks: added, usage };
+  }
+
+  // Retained blocks with index > since (call poll() first to catch up on the file)
+  getBlocks(transcriptPath, since = -1) {
+    const file = resolveTranscriptPath(transcriptPath);
+    const state = file && this.transcripts.get(file);
+    if (!state) return [];
+    return state.blocks.filter(b => b.index > since);
+  }
+
+  // Drop cached state for a transcript
+  forget(transcriptPath) {
+    const file = resolveTranscriptPath(transcriptPath);
+    if (file) this.transcripts.delete(file);
+  }
+}
+
+module.exports = { TranscriptTailer, parseTranscriptEntry, parseUsageEntry, resolveTranscriptPath };
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const path = require('path');
+const { ConfigFile, JsonlLog } = require('./dataFiles');
+
+// Lifecycle events a webhook can subscribe to
+const WebhookEvent = {
+  PERMISSION_WAITING: 'permission_waiting', // A permission request is waiting for a human
+  STOP: 'stop',                             // Claude finished a turn (see minRunSeconds)
+  SESSION_OFFLINE: 'session_offline',       // A managed session's tmux session went away
+  BUDGET_EXCEEDED: 'budget_exceeded',       // A managed session crossed a budget limit
+  TEST: 'test'                              // POST /api/webhooks/:name/test
+};
+
+const DEFAULT_RETRIES = 4;        // Attempts after the first one
+const BASE_BACKOFF_MS = 2000;     // Doubles after every failed attempt
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Rotate the delivery log once it grows past this size (one archive is kept)
+const MAX_LOG_BYTES = 5 * 1024 * 1024;
+// Deliveries kept in memory for GET /api/webhooks/deliveries
+const MAX_RECENT_DELIVERIES = 500;
+
+// Value at a dotted path ("session.name") in the template context
+function lookup(context, dotted) {
+  return dotted.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Fill a body template: "{{session.name}}" placeholders inside strings are
+ * replaced with text; a string that is only a placeholder keeps the value's
+ * type (numbers, objects, null)
+ */
+function renderTemplate(template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(context, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, key) => {
+      const value = lookup(context, key);
+      if (value == null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, context));
+  }
+  if (template && typeof template === 'object') {
+    const rendered = {};
+    for (const [key, value] of Object.entries(template)) {
+      rendered[key] = renderTemplate(value, context);
+    }
+    return rendered;
+  }
+  return template;
+}
+
+// HMAC-SHA256 over "<timestamp>.<body>", hex
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Validate one entry of webhooks.json
+function compileWebhook(hook, index) {
+  const name = hook && hook.name ? String(hook.name) : `webhook ${index + 1}`;
+  let url;
+  try {
+    url = new URL(hook.url);
+  } catch {
+    throw new Error(`${name}: invalid url`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`${name}: url must be http or https`);
+  }
+  const events = Array.isArray(hook.events) ? hook.events : [];
+  const unknown = events.filter(e => !Object.values(WebhookEvent).includes(e));
+  if (events.length === 0 || unknown.length > 0) {
+    throw new Error(`${name}: events must list some of ${Object.values(WebhookEvent).join(', ')}`);
+  }
+  return {
+    name,
+    url: url.toString(),
+    events,
+    secret: hook.secret || null,
+    headers: hook.headers || {},
+    body: hook.body || null,
+    minRunSeconds: Number(hook.minRunSeconds) || 0,
+    retries: Number.isInteger(hook.retries) && hook.retries >= 0 ? hook.retries : DEFAULT_RETRIES
+  };
+}
+
+/**
+ * WebhookDispatcher - Sends lifecycle events to HTTP endpoints
+ *
+ * Webhooks live in webhooks.json ({ "webhooks": [...] }) next to sessions.json
+ * and are re-read whenever the file changes. Each POST carries a JSON body (a
+ * template, or the event itself) and, when the webhook has a secret, an
+ * HMAC-SHA256 signature. Failed deliveries (network errors, 429 and 5xx) are
+ * retried with exponential backoff; every attempt goes to webhook-deliveries.jsonl.
+ */
+class WebhookDispatcher {
+  constructor(dataDir, { file } = {}) {
+    this.file = file || path.join(dataDir, 'webhooks.json');
+    this.webhooks = [];
+    this.config = new ConfigFile(this.file, {
+      name: 'Webhooks',
+      apply: (data) => {
+        this.webhooks = ((data && data.webhooks) || []).map(compileWebhook);
+        return `${this.webhooks.length} webhooks`;
+      }
+    });
+    this.log = new JsonlLog(path.join(dataDir, 'webhook-deliveries.jsonl'), { name: 'webhook log', maxBytes: MAX_LOG_BYTES });
+    this.recent = this.log.readRecent(MAX_RECENT_DELIVERIES);
+    this.reload();
+  }
+
+  // Re-read the webhooks file if it changed; a broken file keeps the previous webhooks
+  reload() {
+    this.config.reload();
+  }
+
+  get error() {
+    return this.config.error;
+  }
+
+  // Webhooks as configured, secrets left out
+  list() {
+    this.reload();
+    return this.webhooks.map(({ secret, ...hook }) => ({ ...hook, signed: !!secret }));
+  }
+
+  /**
+   * Send an event to every webhook subscribed to it
+   * @param {string} event - A WebhookEvent
+   * @param {Object} data - Event details (also the template context)
+   * @returns {number} Webhooks the event was queued for
+   */
+  dispatch(event, data = {}) {
+    this.reload();
+    const targets = this.webhooks.filter(hook => {
+      if (!hook.events.includes(event)) return false;
+      // Short turns don't count as a "long run"
+      if (event === WebhookEvent.STOP && hook.minRunSeconds > 0) {
+        return data.durationSeconds != null && data.durationSeconds >= hook.minRunSeconds;
+      }
+      return true;
+    });
+    for (const hook of targets) {
+      this.deliver(hook, event, data);
+    }
+    return targets.length;
+  }
+
+  // Send one test event to the named webhook, whatever it subscribes to
+  test(name) {
+    this.reload();
+    const hook = this.webhooks.find(h => h.name === name);
+    if (!hook) return false;
+    this.deliver(hook, WebhookEvent.TEST, { message: 'ClaudeGrid webhook test' });
+    return true;
+  }
+
+  deliver(hook, event, data) {
+    const context = { event, timestamp: new Date().toISOString(), ...data };
+    const delivery = {
+      id: crypto.randomBytes(8).toString('hex'),
+      webhook: hook.name,
+      event,
+      body: JSON.stringify(hook.body ? renderTemplate(hook.body, context) : context)
+    };
+    this.attempt(hook, delivery, 1);
+  }
+
+  async attempt(hook, delivery, attempt) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      ...hook.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': 'ClaudeGrid-Webhook',
+      'X-ClaudeGrid-Event': delivery.event,
+      'X-ClaudeGrid-Delivery': delivery.id,
+      'X-ClaudeGrid-Timestamp': String(timestamp)
+    };
+    if (hook.secret) {
+      headers['X-ClaudeGrid-Signature'] = `sha256=${sign(hook.secret, timestamp, delivery.body)}`;
+    }
+
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      const res = await fetch(hook.url, {
+        method: 'POST',
+        headers,
+        body: delivery.body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      status = res.status;
+      await res.arrayBuffer().catch(() => {}); // Drain so the socket can be reused
+      if (!res.ok) error = `HTTP ${status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? 'timeout' : err.message;
+    }
+
+    // Client errors other than 429 won't get better by retrying
+    const retryable = error && (status === null || status === 429 || status >= 500);
+    const retryInMs = retryable && attempt <= hook.retries
+      ? Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt - 1))
+      : null;
+
+    this.logDelivery({
+      id: delivery.id,
+      webhook: hook.name,
+      event: delivery.event,
+      attempt,
+      ok: !error,
+      status,
+      error,
+      durationMs: Date.now() - started,
+      retryInMs
+    });
+
+    if (retryInMs !== null) {
+      setTimeout(() => this.attempt(hook, delivery, attempt + 1), retryInMs).unref();
+    } else if (error) {
+      console.error(`Error delivering webhook ${hook.name} (${delivery.event}):`, error);
+    }
+  }
+
+  // Append an attempt to the log (and the in-memory recent list)
+  logDelivery(record) {
+    const entry = { ts: new Date().toISOString(), ...record };
+    this.recent.push(entry);
+    if (this.recent.length > MAX_RECENT_DELIVERIES) this.recent.shift();
+    this.log.append(entry);
+  }
+
+  // Most recent attempts, newest first
+  getDeliveries(limit = 100) {
+    return this.recent.slice(-limit).reverse();
+  }
+}
+
+module.exports = { WebhookDispatcher, WebhookEvent, renderTemplate, sign };
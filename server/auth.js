@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ConfigFile } = require('./dataFiles');
+
+// Raw tokens look like cg_<64 hex chars>
+const TOKEN_PREFIX = 'cg_';
+// WebSocket subprotocol carrying the token (browsers can't set headers on WebSocket)
+const WS_TOKEN_PROTOCOL_PREFIX = 'token.';
+const WS_PROTOCOL = 'claudegrid';
+
+// Roles, least to most privileged
+const Roles = {
+  VIEWER: 'viewer',
+  OPERATOR: 'operator',
+  ADMIN: 'admin'
+};
+const ROLE_RANK = { viewer: 0, operator: 1, admin: 2 };
+
+// Minimum role for each action - shared by REST routes and WebSocket messages
+const PERMISSIONS = {
+  'sessions:read': Roles.VIEWER,
+  'events:read': Roles.VIEWER,
+  'usage:read': Roles.VIEWER,
+  'policy:read': Roles.VIEWER,
+  'events:write': Roles.OPERATOR,
+  'sessions:prompt': Roles.OPERATOR,
+  'sessions:cancel': Roles.OPERATOR,
+  'sessions:permission': Roles.OPERATOR,
+  'sessions:rename': Roles.OPERATOR,
+  'sessions:link': Roles.OPERATOR,
+  'sessions:terminal': Roles.OPERATOR,
+  'sessions:budget': Roles.OPERATOR,
+  'sessions:create': Roles.ADMIN,
+  'sessions:delete': Roles.ADMIN,
+  'sessions:restart': Roles.ADMIN,
+  'budget:global': Roles.ADMIN,
+  'webhooks:manage': Roles.ADMIN
+};
+
+// Identity used for every request when auth is disabled
+const ANONYMOUS = Object.freeze({ id: null, name: 'anonymous', role: Roles.ADMIN });
+
+function hashToken(raw) {
+  return crypto.createHash('sha256').update(raw).digest('hex');
+}
+
+/**
+ * TokenStore - API tokens persisted as SHA-256 hashes in tokens.json
+ *
+ * The file is re-read whenever it changes, so tokens created or revoked with
+ * `claudegrid token` take effect in a running server without a restart.
+ */
+class TokenStore {
+  constructor(dataDir = null) {
+    const home = process.env.HOME || process.env.USERPROFILE || '/tmp';
+    this.dataDir = dataDir || path.join(home, '.claudegrid', 'data');
+    this.tokensFile = path.join(this.dataDir, 'tokens.json');
+    this.tokens = [];
+    this.config = new ConfigFile(this.tokensFile, {
+      name: 'Tokens',
+      quiet: true, // Also read by the token CLI
+      apply: (data) => {
+        if (data !== null && !Array.isArray(data)) throw new Error('tokens.json must be an array');
+        // lastUsed is only kept in memory between saves
+        const lastUsed = new Map(this.tokens.map(t => [t.id, t.lastUsed]));
+        this.tokens = (data || []).map(t => ({ ...t, lastUsed: lastUsed.get(t.id) || t.lastUsed || null }));
+        return `${this.tokens.length} tokens`;
+      }
+    });
+    this.reload();
+  }
+
+  // Re-read tokens.json if it changed; true when the token list was replaced.
+  // A broken file keeps the previous tokens.
+  reload() {
+    return this.config.reload();
+  }
+
+  save() {
+    try {
+      fs.mkdirSync(this.dataDir, { recursive: true, mode: 0o755 });
+      fs.writeFileSync(this.tokensFile, JSON.stringify(this.tokens, null, 2), { mode: 0o600 });
+    } catch (err) {
+      console.error('Error saving tokens:', err.message);
+    }
+  }
+
+  get size() {
+    this.reload();
+    return this.tokens.length;
+  }
+
+  // Create a token for a user identity; the raw value is only returned here, never stored
+  create(name, role = Roles.ADMIN) {
+    if (!(role in ROLE_RANK)) {
+      throw new Error(`Unknown role '${role}' (expected ${Object.values(Roles).join(', ')})`);
+    }
+    this.reload();
+    const raw = TOKEN_PREFIX + crypto.randomBytes(32).toString('hex');
+    const record = {
+      id: crypto.randomBytes(4).toString('hex'),
+      name: name || 'unnamed',
+      role,
+      hash: hashToken(raw),
+      createdAt: new Date().toISOString(),
+      lastUsed: null
+    };
+    this.tokens.push(record);
+    this.save();
+    return { token: raw, record: this.describe(record) };
+  }
+
+  // Return the matching token record, or null
+  verify(raw) {
+    if (!raw || typeof raw !== 'string') return null;
+    this.reload();
+
+    const hash = Buffer.from(hashToken(raw), 'hex');
+    for (const record of this.tokens) {
+      const candidate = Buffer.from(record.hash, 'hex');
+      if (candidate.length === hash.length && crypto.timingSafeEqual(candidate, hash)) {
+        record.lastUsed = new Date().toISOString();
+        return record;
+      }
+    }
+    return null;
+  }
+
+  // Revoke by id or name
+  revoke(idOrName) {
+    this.reload();
+    const before = this.tokens.length;
+    this.tokens = this.tokens.filter(t => t.id !== idOrName && t.name !== idOrName);
+    if (this.tokens.length !== before) {
+      this.save();
+      return true;
+    }
+    return false;
+  }
+
+  list() {
+    this.reload();
+    return this.tokens.map(t => this.describe(t));
+  }
+
+  // Public view of a record (no hash). Tokens predating roles are admins.
+  describe(record) {
+    const { hash, ...rest } = record;
+    return { ...rest, role: record.role || Roles.ADMIN };
+  }
+}
+
+// Check whether an identity may perform an action
+function can(identity, action) {
+  const required = PERMISSIONS[action];
+  if (!required || !identity) return false;
+  const role = identity.role || Roles.ADMIN;
+  return (ROLE_RANK[role] ?? -1) >= ROLE_RANK[required];
+}
+
+// All actions an identity may perform (sent to the client to hide controls)
+function permissionsFor(identity) {
+  return Object.keys(PERMISSIONS).filter(action => can(identity, action));
+}
+
+// Pull a bearer token from an HTTP request (Authorization header or ?token=)
+function getRequestToken(req) {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+// Pull a token from a WebSocket upgrade request (subprotocol, header or ?token=)
+function getUpgradeToken(req) {
+  const protocols = (req.headers['sec-websocket-protocol'] || '')
+    .split(',')
+    .map(p => p.trim());
+  const tokenProtocol = protocols.find(p => p.startsWith(WS_TOKEN_PROTOCOL_PREFIX));
+  if (tokenProtocol) {
+    return tokenProtocol.slice(WS_TOKEN_PROTOCOL_PREFIX.length);
+  }
+  return getRequestToken(req);
+}
+
+// Choose the subprotocol to echo back (never echo the token itself)
+function selectProtocol(protocols) {
+  return protocols.has(WS_PROTOCOL) ? WS_PROTOCOL : false;
+}
+
+/**
+ * Express middleware rejecting requests without a valid token
+ * @param {TokenStore} tokenStore
+ * @param {Object} options
+ * @param {boolean} options.enabled - When false, every request is allowed
+ * @param {string[]} options.publicPaths - Paths (relative to mount point) that skip auth
+ */
+function requireAuth(tokenStore, { enabled = true, publicPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (!enabled) {
+      req.auth = ANONYMOUS;
+      return next();
+    }
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const record = tokenStore.verify(getRequestToken(req));
+    if (!record) {
+      res.set('WWW-Authenticate', 'Bearer realm="claudegrid"');
+      return res.status(401).json({ ok: false, error: 'Unauthorized' });
+    }
+
+    req.auth = tokenStore.describe(record);
+    next();
+  };
+}
+
+// Express middleware rejecting identities whose role doesn't allow `action`
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (!can(req.auth, action)) {
+      return res.status(403).json({ ok: false, error: `Forbidden: ${action} requires ${PERMISSIONS[action]} role` });
+    }
+    next();
+  };
+}
+
+/**
+ * Create a first token when none exist and write it where the hook can read it
+ * @returns {string|null} Path of the token file if one was written
+ */
+function ensureDefaultToken(tokenStore, tokenFile) {
+  if (tokenStore.size > 0) return null;
+
+  const { token } = tokenStore.create('default');
+  try {
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true, mode: 0o755 });
+    fs.writeFileSync(tokenFile, token + '\n', { mode: 0o600 });
+  } catch (err) {
+    console.error(`Failed to write token file ${tokenFile}:`, err.message);
+    return null;
+  }
+  return tokenFile;
+}
+
+module.exports = {
+  TokenStore,
+  Roles,
+  PERMISSIONS,
+  ANONYMOUS,
+  can,
+  permissionsFor,
+  requireAuth,
+  requirePermission,
+  getRequestToken,
+  getUpgradeToken,
+  selectProtocol,
+  ensureDefaultToken,
+  WS_PROTOCOL,
+  WS_TOKEN_PROTOCOL_PREFIX
+};
@@ -0,0 +1,236 @@
+const fs = require('fs');
+
+// Bytes read at a time when a log is scanned from its end
+const READ_CHUNK_BYTES = 64 * 1024;
+
+// Fill `buffer` from `fd` at `position`
+function readAt(fd, buffer, position) {
+  return new Promise((resolve, reject) => {
+    fs.read(fd, buffer, 0, buffer.length, position, err => (err ? reject(err) : resolve()));
+  });
+}
+
+function parseLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null; // Partially written or corrupt line
+  }
+}
+
+// Split `chunk` (followed by `carry`, the start of a line that continues in the
+// chunk after it) into complete lines, last first; the first, possibly
+// incomplete, line becomes the next carry
+function splitBackward(chunk, carry) {
+  const buffer = carry ? Buffer.concat([chunk, carry]) : chunk;
+  const lines = [];
+  let end = buffer.length;
+  for (let i = buffer.length - 1; i >= 0; i--) {
+    if (buffer[i] !== 0x0a) continue;
+    if (end > i + 1) lines.push(buffer.toString('utf8', i + 1, end));
+    end = i;
+  }
+  return { lines, carry: end > 0 ? buffer.subarray(0, end) : null };
+}
+
+/**
+ * ConfigFile - A JSON config file re-read whenever its mtime changes
+ *
+ * `apply(data)` installs the parsed contents and returns a short description
+ * for the log ("3 rules"), or throws to reject them. A broken file (bad JSON or
+ * rejected by apply) keeps what was applied before, with the problem in
+ * `error`. When a loaded file is removed, `apply(null)` is called. `quiet`
+ * leaves successful loads out of the log (errors are always logged).
+ */
+class ConfigFile {
+  constructor(file, { name, apply, quiet = false }) {
+    this.file = file;
+    this.name = name;
+    this.apply = apply;
+    this.quiet = quiet;
+    this.mtime = null;
+    this.error = null;
+  }
+
+  // Re-read the file if it changed; true when something was applied
+  reload() {
+    let stat;
+    try {
+      stat = fs.statSync(this.file);
+    } catch {
+      if (this.mtime === null) return false;
+      if (!this.quiet) console.log(`[${this.name}] ${this.file} removed`);
+      this.mtime = null;
+      this.error = null;
+      this.apply(null);
+      return true;
+    }
+    if (stat.mtimeMs === this.mtime) return false;
+    this.mtime = stat.mtimeMs;
+
+    try {
+      const loaded = this.apply(JSON.parse(fs.readFileSync(this.file, 'utf8')));
+      this.error = null;
+      if (!this.quiet) console.log(`[${this.name}] Loaded ${loaded} from ${this.file}`);
+      return true;
+    } catch (err) {
+      this.error = err.message;
+      console.error(`Error loading ${this.file}:`, err.message);
+      return false;
+    }
+  }
+}
+
+/**
+ * JsonlLog - Append-only JSONL file rotated at a size into <file>.1 ...
+ * <file>.N (the oldest is dropped)
+ *
+ * Reads start at the newest record and work backwards a chunk at a time, so
+ * a caller that only wants recent records stops without reading the rest.
+ * `onRotate` is called after each rotation.
+ */
+class JsonlLog {
+  constructor(file, { name, maxBytes, maxFiles = 1, onRotate = null }) {
+    this.file = file;
+    this.name = name;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.onRotate = onRotate;
+    try {
+      this.size = fs.statSync(file).size;
+    } catch {
+      this.size = 0;
+    }
+  }
+
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+    try {
+      fs.appendFileSync(this.file, line);
+      this.size += Buffer.byteLength(line);
+      if (this.size >= this.maxBytes) {
+        this.rotate();
+      }
+    } catch (err) {
+      console.error(`Error writing ${this.name}:`, err.message);
+    }
+  }
+
+  // Shift file -> file.1 -> ... dropping the oldest
+  rotate() {
+    try {
+      fs.rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+      for (let i = this.maxFiles - 1; i >= 1; i--) {
+        const from = `${this.file}.${i}`;
+        if (fs.existsSync(from)) {
+          fs.renameSync(from, `${this.file}.${i + 1}`);
+        }
+      }
+      fs.renameSync(this.file, `${this.file}.1`);
+      this.size = 0;
+    } catch (err) {
+      console.error(`Error rotating ${this.name}:`, err.message);
+      return;
+    }
+    if (this.onRotate) this.onRotate();
+  }
+
+  // Log files, newest first
+  getFiles() {
+    const files = fs.existsSync(this.file) ? [this.file] : [];
+    for (let i = 1; i <= this.maxFiles; i++) {
+      const rotated = `${this.file}.${i}`;
+      if (fs.existsSync(rotated)) files.push(rotated);
+    }
+    return files;
+  }
+
+  // Call fn with each record of `files`, newest first, until it returns false
+  // (blocking; for start-up)
+  eachRecordBackward(fn, files = this.getFiles()) {
+    for (const file of files) {
+      let fd;
+      try {
+        fd = fs.openSync(file, 'r');
+      } catch {
+        continue; // Rotated away meanwhile
+      }
+      try {
+        let position = fs.fstatSync(fd).size;
+        let carry = null;
+        while (position > 0 || carry) {
+          let lines;
+          if (position > 0) {
+            const length = Math.min(READ_CHUNK_BYTES, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            fs.readSync(fd, chunk, 0, length, position);
+            ({ lines, carry } = splitBackward(chunk, carry));
+          } else {
+            lines = [carry.toString('utf8')];
+            carry = null;
+          }
+          for (const line of lines) {
+            const record = parseLine(line);
+            if (record && fn(record) === false) return;
+          }
+        }
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+  }
+
+  // Records newest first, read without blocking the event loop. The files
+  // are all opened before the first await, so a rotation during the read
+  // (which only renames them) changes nothing for this reader.
+  async *recordsBackward() {
+    const snapshot = [];
+    for (const file of this.getFiles()) {
+      try {
+        const fd = fs.openSync(file, 'r');
+        snapshot.push({ fd, size: fs.fstatSync(fd).size });
+      } catch {
+        // Rotated away meanwhile
+      }
+    }
+
+    try {
+      for (const { fd, size } of snapshot) {
+        let position = size;
+        let carry = null;
+        while (position > 0 || carry) {
+          let lines;
+          if (position > 0) {
+            const length = Math.min(READ_CHUNK_BYTES, position);
+            position -= length;
+            const chunk = Buffer.alloc(length);
+            await readAt(fd, chunk, position);
+            ({ lines, carry } = splitBackward(chunk, carry));
+          } else {
+            lines = [carry.toString('utf8')];
+            carry = null;
+          }
+          for (const line of lines) {
+            const record = parseLine(line);
+            if (record) yield record;
+          }
+        }
+      }
+    } finally {
+      snapshot.forEach(({ fd }) => fs.closeSync(fd));
+    }
+  }
+
+  // The last `limit` records, oldest first
+  readRecent(limit) {
+    const records = [];
+    this.eachRecordBackward((record) => {
+      records.push(record);
+      return records.length < limit;
+    });
+    return records.reverse();
+  }
+}
+
+module.exports = { ConfigFile, JsonlLog };
@@ -3,159 +3,1055 @@ const path = require('path');
 const express = require('express');
 const { WebSocketServer } = require('ws');
 const { SessionStore, SessionState } = require('./SessionStore');
+const { EventJournal } = require('./EventJournal');
+const { TranscriptTailer } = require('./TranscriptTailer');
+const { OutputStreamer } = require('./OutputStreamer');
+const { TerminalBridge } = require('./TerminalBridge');
+const { SubagentTracker } = require('./SubagentTracker');
+const { BudgetMonitor, normalizeBudget, budgetFromEnv } = require('./BudgetMonitor');
+const { PolicyEngine, Decision, answerKeys } = require('./PolicyEngine');
+const { DecisionBroker, formatHookOutput, DECIDABLE_EVENTS, DEFAULT_TIMEOUT_MS } = require('./DecisionBroker');
+const { PermissionQueue, RequestKind } = require('./PermissionQueue');
+const { WebhookDispatcher, WebhookEvent } = require('./WebhookDispatcher');
+const { Federation } = require('./Federation');
+const { parseSubscription, filterMessage, messageFor } = require('./subscriptions');
+const { SessionPatcher } = require('./SessionPatcher');
+const protocol = require('./protocol');
+const pkg = require('../package.json');
+const auth = require('./auth');
+const originGuard = require('./originGuard');
 const tmux = require('./tmux');
+const permissionDetector = require('./permissionDetector');
+
+// A PermissionRequest hook's decision applies to a prompt detected within this window
+const PENDING_PERMISSION_TTL_MS = 60000;
+// SSE: reconnect delay suggested to clients, and keep-alive comment interval
+const STREAM_RETRY_MS = 3000;
+const STREAM_KEEPALIVE_MS = 25000;
+// Session changes within this window go out as one batch of patches
+const SESSION_FLUSH_MS = 100;
+
+// What each session route needs when it is forwarded to the host that owns
+// the session ("<method> <action>"); linking is local-only
+const REMOTE_SESSION_ROUTES = {
+  'GET ': 'sessions:read',
+  'PATCH ': 'sessions:rename',
+  'DELETE ': 'sessions:delete',
+  'POST prompt': 'sessions:prompt',
+  'POST cancel': 'sessions:cancel',
+  'POST restart': 'sessions:restart',
+  'POST permission': 'sessions:permission',
+  'PATCH budget': 'sessions:budget',
+  'GET transcript': 'sessions:read',
+  'GET output': 'sessions:read'
+};
+
+// One line describing what a tool is about to do (Bash command, file, URL, ...)
+function summarizeToolInput(input) {
+  if (!input) return null;
+  return input.command || input.file_path || input.notebook_path || input.url || input.query || input.pattern || JSON.stringify(input);
+}
+
+// Hook-style tool fields for a dialog parsed off the screen (see permissionParser)
+function promptToolEvent(prompt) {
+  let input = null;
+  if (prompt.command) input = { command: prompt.command };
+  else if (prompt.file) input = { file_path: prompt.file };
+  else if (prompt.url) input = { url: prompt.url };
+  else if (prompt.query) input = { query: prompt.query };
+  return { tool_name: prompt.tool, tool_input: input };
+}
 
 
-function createServer() {
+/**
+ * Create the HTTP + WebSocket server
+ * @param {Object} options
+ * @param {boolean} options.auth - Require API tokens (default: on unless CLAUDEGRID_AUTH=off)
+ * @param {string[]} options.allowedHosts - Extra Host names (default: CLAUDEGRID_ALLOWED_HOSTS)
+ * @param {string[]} options.allowedOrigins - Extra browser origins (default: CLAUDEGRID_ALLOWED_ORIGINS)
+ */
+function createServer(options = {}) {
+  const authEnabled = options.auth !== undefined
+    ? options.auth
+    : process.env.CLAUDEGRID_AUTH !== 'off';
+
+  const originPolicy = (options.allowedHosts || options.allowedOrigins)
+    ? originGuard.createOriginPolicy(options)
+    : originGuard.policyFromEnv();
+
   const app = express();
   const server = http.createServer(app);
-  const wss = new WebSocketServer({ server, path: '/ws' });
 
   // Initialize session store
   const sessionStore = new SessionStore();
 
+  // Subagent hierarchy derived from Task tool events
+  const subagentTracker = new SubagentTracker(sessionStore);
+
+  // Per-session token/time/tool-call limits (defaults from CLAUDEGRID_BUDGET_*)
+  // and limits for all sessions together (CLAUDEGRID_GLOBAL_BUDGET_*)
+  const defaultBudget = budgetFromEnv();
+  const budgetMonitor = new BudgetMonitor(sessionStore, {
+    globalBudget: budgetFromEnv(process.env, 'CLAUDEGRID_GLOBAL_BUDGET_'),
+    onExceeded: (session, breach) => {
+      // Stop the current turn; the session keeps its tmux pane for inspection
+      tmux.sendCancel(session.tmuxSession).catch(err => {
+        console.error('Error cancelling over-budget session:', err.message);
+      });
+      broadcast({ type: 'budget_exceeded', sessionId: session.id, name: session.name, ...breach });
+      broadcastSessions();
+    }
+  });
+
+  // Rules that answer permission prompts automatically (policies.json)
+  const policyEngine = new PolicyEngine(sessionStore.dataDir, { file: process.env.CLAUDEGRID_POLICY_FILE });
+  // Latest PermissionRequest hook per managed session, applied when its prompt shows up on screen
+  const pendingPermissions = new Map();
+
+  // Permission requests waiting for a human: screen prompts and blocking hooks
+  const permissionQueue = new PermissionQueue({
+    onChange: () => broadcastPermissions()
+  });
+
+  // Blocking hook requests (claudegrid-hook.sh --decide) waiting for a browser decision
+  const decisionBroker = new DecisionBroker({
+    onRequest: (request) => {
+      const session = sessionStore.findByClaudeSessionId(request.claudeSessionId);
+      permissionQueue.add({
+        id: request.id,
+        kind: RequestKind.HOOK,
+        sessionId: request.sessionId,
+        claudeSessionId: request.claudeSessionId,
+        sessionName: session ? session.name : null,
+        tool: request.toolName,
+        command: summarizeToolInput(request.toolInput),
+        expiresAt: request.expiresAt
+      });
+      broadcast({ type: 'decision_request', request });
+    },
+    onResolved: (request, outcome) => {
+      permissionQueue.remove(request.id);
+      broadcast({ type: 'decision_resolved', id: request.id, ...outcome });
+    }
+  });
+
+  // Outbound HTTP notifications for lifecycle events (webhooks.json)
+  const webhookDispatcher = new WebhookDispatcher(sessionStore.dataDir, { file: process.env.CLAUDEGRID_WEBHOOKS_FILE });
+  // Start of the current turn per Claude session, for the Stop webhook's duration
+  const turnStarts = new Map();
+  // Last broadcast state per managed session and the permission requests already sent
+  const webhookSessionStates = new Map();
+  const webhookPermissionIds = new Set();
+
+  // Sessions of upstream servers (federation.json), namespaced "<host>:<id>"
+  const federation = new Federation(sessionStore.dataDir, {
+    file: process.env.CLAUDEGRID_FEDERATION_FILE,
+    onSessions: () => broadcastSessions(),
+    onPermissions: () => broadcastPermissions(),
+    onEvent: (event) => {
+      broadcastEvent(event);
+      const session = federation.findByClaudeSessionId(event.session_id);
+      if (session) pollRemoteTranscript(session.id); // New activity, likely new transcript lines
+    },
+    onMessage: (message) => broadcast(message)
+  });
+
+  // Session lookups across this server and the upstream hosts
+  const sessionIndex = {
+    findById: (id) => sessionStore.findById(id) || federation.findById(id),
+    findByClaudeSessionId: (id) => sessionStore.findByClaudeSessionId(id) || federation.findByClaudeSessionId(id)
+  };
+  // Last transcript block index sent per watched upstream session, and polls in flight
+  const remoteTranscripts = new Map();
+  const remoteTranscriptPolls = new Set();
+
+  // Persistent event journal lives alongside sessions.json
+  const eventJournal = new EventJournal(sessionStore.dataDir);
+
+  // Parsed Claude transcripts (transcript_path from hook events)
+  const transcriptTailer = new TranscriptTailer();
+
+  // Live tmux output pushed to subscribed clients (one pipe + capture per pane)
+  const outputStreamer = new OutputStreamer();
+
+  // API tokens (hashed) also live alongside sessions.json
+  const tokenStore = new auth.TokenStore(sessionStore.dataDir);
+  if (authEnabled) {
+    const tokenFile = auth.ensureDefaultToken(tokenStore, path.join(sessionStore.dataDir, 'token'));
+    if (tokenFile) {
+      console.log(`Created default API token in ${tokenFile}`);
+    }
+  } else {
+    console.log('WARNING: Authentication disabled (CLAUDEGRID_AUTH=off)');
+  }
+
+  const wss = new WebSocketServer({
+    server,
+    path: '/ws',
+    handleProtocols: auth.selectProtocol,
+    verifyClient: (info, callback) => {
+      const rejection = originGuard.checkUpgrade(originPolicy, info.req);
+      if (rejection) {
+        console.log(`[WS] Rejected upgrade: ${rejection}`);
+        return callback(false, 403, rejection);
+      }
+      if (!authEnabled) {
+        info.req.auth = auth.ANONYMOUS;
+        return callback(true);
+      }
+      const record = tokenStore.verify(auth.getUpgradeToken(info.req));
+      if (!record) return callback(false, 401, 'Unauthorized');
+      info.req.auth = tokenStore.describe(record);
+      callback(true);
+    }
+  });
+
   // Middleware
+  // Host/Origin validation runs first: blocks DNS rebinding and cross-site form posts
+  app.use(originGuard.guardRequests(originPolicy));
   app.use(express.json({ limit: '1mb' }));
 
+  // All API routes require a bearer token (health check stays public for monitoring)
+  app.use('/api', auth.requireAuth(tokenStore, {
+    enabled: authEnabled,
+    publicPaths: ['/health', '/auth']
+  }));
+
   // Serve static files from client directory
   const clientPath = path.join(__dirname, '..', 'client');
   app.use(express.static(clientPath));
+  // WebSocket message schema, validated by the browser as well
+  app.use('/protocol', express.static(path.join(__dirname, '..', 'protocol')));
 
   // WebSocket clients
   const clients = new Set();
+  // Server-Sent Event streams (GET /api/stream): { res, subscription }
+  const streams = new Set();
 
-  // Broadcast to all connected clients
+  // Broadcast to all connected clients; subscribed clients and streams get
+  // only what matches their filters
   function broadcast(message) {
-    const data = JSON.stringify(message);
+    const data = protocol.encode(message);
     for (const client of clients) {
-      if (client.readyState === 1) { // WebSocket.OPEN
-        client.send(data);
+      if (client.readyState !== 1) continue; // WebSocket.OPEN
+      const filtered = messageFor(client, message, sessionIndex);
+      if (filtered) client.send(filtered === message ? data : protocol.encode(filtered));
+    }
+    for (const stream of streams) {
+      const filtered = messageFor(stream, message, sessionIndex);
+      if (!filtered) continue;
+      if (stream.backlog) {
+        stream.backlog.push(filtered);
+      } else {
+        writeStreamMessage(stream.res, filtered);
+      }
+    }
+    forwardToWebhooks(message);
+  }
+
+  // One SSE frame: named after the message type; hook events carry their
+  // journal seq as the id so a reconnect can resume with Last-Event-ID
+  function writeStreamMessage(res, message) {
+    const id = message.type === 'event' ? `id: ${message.seq}\n` : '';
+    res.write(`${id}event: ${message.type}\ndata: ${protocol.encode(message)}\n\n`);
+  }
+
+  // Send one message to one WebSocket client
+  function send(ws, message) {
+    if (ws.readyState === 1) ws.send(protocol.encode(message));
+  }
+
+  // Session fields every webhook payload carries
+  function webhookSession(session, claudeSessionId = null) {
+    if (!session) {
+      return { id: null, name: null, directory: null, claudeSessionId, state: null };
+    }
+    return {
+      id: session.id,
+      name: session.name,
+      directory: session.directory || session.cwd || null,
+      claudeSessionId: session.claudeSessionId || claudeSessionId,
+      state: session.state
+    };
+  }
+
+  // When an event happened: the hook's clock if it sent one, else arrival
+  function eventTime(event) {
+    return event.occurred_at || event.received_at || Date.now();
+  }
+
+  // Turn broadcasts into webhook events: waiting on a permission, Stop (with
+  // the turn's duration), a managed session going offline, a budget breach
+  function forwardToWebhooks(message) {
+    try {
+      const { event } = message;
+      if (message.type === 'event' && event.session_id && !event.parent_session_id) {
+        if (event.hook_event_name === 'UserPromptSubmit') {
+          turnStarts.set(event.session_id, eventTime(event));
+        } else if (event.hook_event_name === 'Stop') {
+          const started = turnStarts.get(event.session_id);
+          turnStarts.delete(event.session_id);
+          webhookDispatcher.dispatch(WebhookEvent.STOP, {
+            session: webhookSession(sessionIndex.findByClaudeSessionId(event.session_id), event.session_id),
+            durationSeconds: started ? Math.round((eventTime(event) - started) / 1000) : null
+          });
+        } else if (event.hook_event_name === 'SessionEnd') {
+          turnStarts.delete(event.session_id);
+        }
+      } else if (message.type === 'permissions') {
+        const ids = new Set(message.permissions.map(p => p.id));
+        for (const entry of message.permissions) {
+          if (webhookPermissionIds.has(entry.id)) continue;
+          webhookDispatcher.dispatch(WebhookEvent.PERMISSION_WAITING, {
+            session: webhookSession(sessionIndex.findById(entry.sessionId), entry.claudeSessionId),
+            requestId: entry.id,
+            kind: entry.kind,
+            tool: entry.tool || null,
+            command: entry.command || null,
+            text: entry.text || null
+          });
+        }
+        webhookPermissionIds.clear();
+        for (const id of ids) webhookPermissionIds.add(id);
+      } else if (['session_added', 'session_updated', 'session_removed'].includes(message.type)) {
+        // The list leaves offline sessions out; compare against the store instead
+        const seen = new Set();
+        for (const session of sessionStore.getAllManaged()) {
+          seen.add(session.id);
+          const previous = webhookSessionStates.get(session.id);
+          webhookSessionStates.set(session.id, session.state);
+          if (session.state === SessionState.OFFLINE && previous && previous !== SessionState.OFFLINE) {
+            webhookDispatcher.dispatch(WebhookEvent.SESSION_OFFLINE, {
+              session: webhookSession(session),
+              previousState: previous
+            });
+          }
+        }
+        for (const id of webhookSessionStates.keys()) {
+          if (!seen.has(id)) webhookSessionStates.delete(id); // Deleted
+        }
+      } else if (message.type === 'budget_exceeded') {
+        const { type, sessionId, name, ...breach } = message;
+        webhookDispatcher.dispatch(WebhookEvent.BUDGET_EXCEEDED, {
+          session: webhookSession(sessionIndex.findById(sessionId)),
+          ...breach
+        });
       }
+    } catch (err) {
+      console.error('Error forwarding to webhooks:', err.message);
     }
   }
 
-  // Broadcast session list update
+  // Journal a hook event and broadcast it as its journal record ({ seq, ts, event })
+  function broadcastEvent(event) {
+    broadcast({ type: 'event', ...eventJournal.append(event) });
+  }
+
+  // Permission requests waiting here and on the upstream hosts
+  function allPermissions() {
+    return [...permissionQueue.list(), ...federation.getPermissions()];
+  }
+
+  function broadcastPermissions() {
+    broadcast({ type: 'permissions', permissions: allPermissions() });
+  }
+
+  // Sessions of this server followed by those of the upstream hosts
+  function allSessions() {
+    return [...sessionStore.getAll(), ...federation.getSessions()];
+  }
+
+  // Session list changes go out as revisioned patches; bursts (tool-heavy
+  // agents send many hook events a second) are coalesced
+  const sessionPatcher = new SessionPatcher();
+  let sessionFlushTimer = null;
+
   function broadcastSessions() {
-    broadcast({
-      type: 'sessions',
-      sessions: sessionStore.getAll()
-    });
+    if (sessionFlushTimer) return;
+    sessionFlushTimer = setTimeout(flushSessions, SESSION_FLUSH_MS);
+  }
+
+  // Broadcast what changed since the last flush
+  function flushSessions() {
+    clearTimeout(sessionFlushTimer);
+    sessionFlushTimer = null;
+    for (const patch of sessionPatcher.diff(allSessions())) {
+      broadcast(patch);
+    }
+  }
+
+  // Full session list at the current revision (init, get_sessions, resync)
+  function sessionSnapshot() {
+    flushSessions(); // Everyone else is brought up to the same revision first
+    return { sessions: allSessions(), revision: sessionPatcher.revision };
+  }
+
+  // The session list as one client or stream sees it: filtered subscribers
+  // get their matching sessions at their own revision
+  function subscriberSnapshot(subscriber) {
+    const snapshot = sessionSnapshot();
+    if (!subscriber.subscription) return snapshot;
+    const { sessions } = filterMessage(subscriber.subscription, { type: 'sessions', sessions: snapshot.sessions }, sessionIndex);
+    return { sessions, revision: subscriber.revision };
+  }
+
+  // Read new transcript entries for a session: count their token usage and
+  // push the new blocks to clients watching it
+  function pollTranscript(session) {
+    if (!session || !session.transcriptPath) return;
+    const { blocks, usage } = transcriptTailer.poll(session.transcriptPath);
+
+    if (usage.length > 0) {
+      const totals = sessionStore.recordUsage(session, usage);
+      if (totals) {
+        broadcast({ type: 'usage', sessionId: session.id, usage: totals });
+        budgetMonitor.enforce(session);
+      }
+    }
+    if (blocks.length === 0) return;
+
+    const data = protocol.encode({ type: 'transcript', sessionId: session.id, blocks });
+    for (const client of clients) {
+      if (client.readyState === 1 && client.transcriptSessionId === session.id) {
+        client.send(data);
+      }
+    }
+  }
+
+  // Run a session route on the host that owns a federated session
+  // (action: "prompt", "transcript?since=3", ...; empty for the session itself)
+  async function forwardSessionAction(target, method, action, body) {
+    const pathname = `/api/sessions/${encodeURIComponent(target.id)}${action ? `/${action}` : ''}`;
+    const { status, body: result } = await federation.request(target.host, method, pathname, body);
+    if (!result.ok) throw new Error(result.error || `${target.host} answered HTTP ${status}`);
+    return result;
+  }
+
+  // Fetch new transcript blocks of an upstream session and push them to the
+  // clients watching it
+  async function pollRemoteTranscript(sessionId) {
+    const target = federation.resolve(sessionId);
+    if (!target || !remoteTranscripts.has(sessionId) || remoteTranscriptPolls.has(sessionId)) return;
+    remoteTranscriptPolls.add(sessionId);
+    try {
+      const since = remoteTranscripts.get(sessionId);
+      const { blocks } = await forwardSessionAction(target, 'GET', `transcript?since=${since}`);
+      if (blocks.length === 0) return;
+      remoteTranscripts.set(sessionId, Math.max(since, ...blocks.map(b => b.index)));
+
+      const data = protocol.encode({ type: 'transcript', sessionId, blocks });
+      for (const client of clients) {
+        if (client.readyState === 1 && client.transcriptSessionId === sessionId) {
+          client.send(data);
+        }
+      }
+    } catch (err) {
+      console.error('Error polling remote transcript:', err.message);
+    } finally {
+      remoteTranscriptPolls.delete(sessionId);
+    }
   }
 
   // WebSocket connection handling
-  wss.on('connection', (ws) => {
+  wss.on('connection', (ws, req) => {
+    ws.auth = req.auth;
+    // Send init with current sessions and the permission requests awaiting a decision
+    const snapshot = sessionSnapshot();
     clients.add(ws);
     console.log(`WebSocket client connected (total: ${clients.size})`);
 
-    // Send init with current sessions
-    ws.send(JSON.stringify({
-      messageType: 'init',
-      sessions: sessionStore.getAll()
-    }));
+    // Handshake: protocol version, what we support and who the client is
+    send(ws, {
+      type: 'hello',
+      protocol: protocol.PROTOCOL_VERSION,
+      server: { name: pkg.name, version: pkg.version },
+      capabilities: protocol.CAPABILITIES,
+      journalSeq: eventJournal.seq,
+      identity: { name: ws.auth.name, role: ws.auth.role },
+      permissions: auth.permissionsFor(ws.auth)
+    });
+    send(ws, {
+      type: 'init',
+      ...snapshot,
+      permissions: allPermissions()
+    });
 
     // Handle incoming messages from client
     ws.on('message', async (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch {
+        send(ws, { type: 'error', code: 'invalid_message', error: 'Message is not valid JSON' });
+        return;
+      }
       try {
-        const message = JSON.parse(data.toString());
         await handleClientMessage(ws, message);
       } catch (err) {
         console.error('Error handling WebSocket message:', err.message);
-        ws.send(JSON.stringify({ type: 'error', error: err.message }));
+        send(ws, { type: 'error', error: err.message, requestId: message.requestId });
       }
     });
 
     ws.on('close', () => {
       clients.delete(ws);
+      outputStreamer.unsubscribe(ws);
+      detachTerminal(ws);
       console.log(`WebSocket client disconnected (total: ${clients.size})`);
     });
 
     ws.on('error', (err) => {
       console.error('WebSocket error:', err);
       clients.delete(ws);
+      outputStreamer.unsubscribe(ws);
+      detachTerminal(ws);
     });
   });
 
+  // Minimum permission for each client message type (same table as the REST routes)
+  const MESSAGE_PERMISSIONS = {
+    get_sessions: 'sessions:read',
+    send_prompt: 'sessions:prompt',
+    cancel: 'sessions:cancel',
+    permission_response: 'sessions:permission',
+    replay: 'events:read',
+    watch_transcript: 'sessions:read',
+    subscribe_output: 'sessions:read',
+    terminal_attach: 'sessions:terminal',
+    terminal_input: 'sessions:terminal',
+    terminal_resize: 'sessions:terminal',
+    terminal_detach: 'sessions:terminal',
+    decision_response: 'sessions:permission',
+    bulk_decision: 'sessions:permission',
+    subscribe: 'events:read'
+  };
+
+  // Close a client's interactive terminal, if any
+  function detachTerminal(ws) {
+    if (ws.terminal) {
+      const { bridge } = ws.terminal;
+      ws.terminal = null;
+      bridge.detach();
+    }
+  }
+
+  // Attach a client to a managed session's pane through a tmux control-mode client
+  async function attachTerminal(ws, session, cols, rows) {
+    detachTerminal(ws);
+
+    const sessionId = session.id;
+    const bridge = new TerminalBridge(session.tmuxSession, {
+      onOutput: (data) => send(ws, { type: 'terminal_output', sessionId, data: data.toString('base64') }),
+      onExit: () => {
+        // Only report exits we didn't ask for (pane closed, session killed)
+        if (ws.terminal && ws.terminal.bridge === bridge) {
+          ws.terminal = null;
+          send(ws, { type: 'terminal_exit', sessionId });
+        }
+      }
+    });
+    const screen = await bridge.attach(cols, rows);
+    if (ws.readyState !== 1) {
+      bridge.detach(); // Client left while we were attaching
+      return;
+    }
+    detachTerminal(ws); // In case another attach finished first
+    ws.terminal = { sessionId, bridge };
+
+    send(ws, { type: 'terminal_attached', sessionId });
+    send(ws, { type: 'terminal_output', sessionId, data: screen.toString('base64') });
+  }
+
+  // What a policy rule is matched against for a managed session's permission prompt
+  // (session may be null for a hook from a session we haven't seen yet)
+  function describePermissionRequest(session, event = {}) {
+    return {
+      toolName: event.tool_name || null,
+      toolInput: event.tool_input || null,
+      sessionId: session ? session.id : event.session_id,
+      claudeSessionId: session ? session.claudeSessionId : event.session_id,
+      sessionName: session ? session.name : null,
+      directory: event.cwd || (session && session.directory) || null
+    };
+  }
+
+  // PermissionRequest hook: decide now, answer once the prompt is on screen
+  function handlePermissionHook(session, event) {
+    const request = describePermissionRequest(session, event);
+    pendingPermissions.set(session.id, { request, verdict: policyEngine.evaluate(request), at: Date.now() });
+    permissionDetector.checkNow(session.id);
+  }
+
+  // A permission prompt appeared in a managed session's pane: answer it from
+  // the policy rules, or hand it to the browser when no rule decides
+  async function handlePermissionPrompt(sessionId, prompt) {
+    const session = sessionStore.get(sessionId);
+    if (!session) return;
+
+    const pending = pendingPermissions.get(sessionId);
+    pendingPermissions.delete(sessionId);
+    const fresh = pending && Date.now() - pending.at < PENDING_PERMISSION_TTL_MS ? pending : null;
+    const request = {
+      ...(fresh ? fresh.request : describePermissionRequest(session, promptToolEvent(prompt))),
+      promptText: prompt.text
+    };
+    const verdict = fresh ? fresh.verdict : policyEngine.evaluate(request);
+    const decision = verdict ? verdict.decision : Decision.ASK;
+
+    const record = {
+      sessionId,
+      sessionName: session.name,
+      tool: request.toolName,
+      command: request.toolInput && request.toolInput.command,
+      decision,
+      rule: verdict ? verdict.rule : null,
+      source: fresh ? 'hook' : 'screen'
+    };
+
+    if (decision === Decision.ASK) {
+      policyEngine.logDecision({ ...record, escalated: true });
+      escalatePermissionPrompt(session, request, prompt);
+      return;
+    }
+
+    try {
+      const keys = answerKeys(decision, prompt.options);
+      await sendPermissionKeys(session, keys);
+      const entry = policyEngine.logDecision({ ...record, keys });
+      console.log(`[Policy] ${decision} for ${session.name} (${record.rule})`);
+      broadcast({ type: 'permission_decision', ...entry });
+    } catch (err) {
+      console.error('Error answering permission prompt:', err.message);
+      policyEngine.logDecision({ ...record, escalated: true, error: err.message });
+      escalatePermissionPrompt(session, request, prompt);
+    }
+  }
+
+  // Queue a prompt nothing answered automatically and show it in the browsers
+  function escalatePermissionPrompt(session, request, prompt) {
+    permissionQueue.add({
+      kind: RequestKind.PROMPT,
+      sessionId: session.id,
+      claudeSessionId: session.claudeSessionId,
+      sessionName: session.name,
+      tool: request.toolName,
+      command: summarizeToolInput(request.toolInput),
+      text: prompt.text,
+      options: prompt.options
+    });
+    broadcast({ type: 'permission_prompt', sessionId: session.id, options: prompt });
+  }
+
+  // Answer the prompt on a managed session's screen
+  async function sendPermissionKeys(session, keys) {
+    await tmux.sendKeys(session.tmuxSession, keys);
+    pendingPermissions.delete(session.id);
+    permissionQueue.removeWhere(e => e.kind === RequestKind.PROMPT && e.sessionId === session.id);
+    if (session.state !== SessionState.OVER_BUDGET) {
+      sessionStore.setState(session.id, SessionState.WORKING);
+    }
+    broadcastSessions();
+  }
+
+  /**
+   * Answer a queued permission request
+   * @param {string} id - Queue entry ID
+   * @param {string} decision - allow or deny
+   * @param {Object} opts - reason, by (token name), keys (exact option for a screen prompt)
+   */
+  async function answerPermission(id, decision, { reason = null, by = null, keys = null } = {}) {
+    const remote = federation.resolve(id);
+    if (remote) {
+      // Answered (and logged) by the host that asked
+      const pathname = `/api/permissions/${encodeURIComponent(remote.id)}`;
+      const { status, body } = await federation.request(remote.host, 'POST', pathname, { decision, reason, response: keys || undefined });
+      if (!body.ok) throw new Error(body.error || `${remote.host} answered HTTP ${status}`);
+      return;
+    }
+    const entry = permissionQueue.get(id);
+    if (!entry) {
+      throw new Error('Permission request not found (already answered or expired)');
+    }
+    if (entry.kind === RequestKind.HOOK) {
+      // The hook route logs the outcome once the broker settles
+      decisionBroker.resolve(id, decision, { reason, by });
+      return;
+    }
+
+    if (!keys && decision !== Decision.ALLOW && decision !== Decision.DENY) {
+      throw new Error(`Invalid decision: ${decision}`);
+    }
+    const session = sessionStore.get(entry.sessionId);
+    if (!session) {
+      permissionQueue.remove(id);
+      throw new Error('Session not found');
+    }
+    const sent = keys || answerKeys(decision, entry.options);
+    await sendPermissionKeys(session, sent);
+    policyEngine.logDecision({
+      sessionId: session.id,
+      sessionName: session.name,
+      tool: entry.tool,
+      command: entry.command,
+      decision: decision || null,
+      keys: sent,
+      source: 'browser',
+      by
+    });
+  }
+
+  // Answer several queued requests with one decision (all of them when ids is omitted)
+  async function answerPermissions(ids, decision, opts) {
+    const targets = Array.isArray(ids) ? ids : allPermissions().map(e => e.id);
+    const results = [];
+    for (const id of targets) {
+      try {
+        await answerPermission(id, decision, opts);
+        results.push({ id, ok: true });
+      } catch (err) {
+        results.push({ id, ok: false, error: err.message });
+      }
+    }
+    return results;
+  }
+
+  // Drop everything a session was waiting on (it moved on or ended)
+  function clearSessionPermissions(sessionId) {
+    const entries = permissionQueue.forSession(sessionId);
+    permissionQueue.removeWhere(e => e.kind === RequestKind.PROMPT && e.sessionId === sessionId);
+    for (const entry of entries) {
+      if (entry.kind === RequestKind.HOOK) decisionBroker.cancel(entry.id);
+    }
+  }
+
+  // Why a prompt was refused
+  function overBudgetMessage(session) {
+    const breach = session.budgetExceeded;
+    const detail = breach ? ` (${breach.limit}: ${breach.used} / ${breach.max})` : '';
+    if (breach && breach.scope === 'global') {
+      return `Sessions are over the global budget${detail}; raise the global limit to continue`;
+    }
+    return `Session is over budget${detail}; raise its limit to continue`;
+  }
+
   // Handle bidirectional WebSocket messages
   async function handleClientMessage(ws, message) {
-    const { type, sessionId, prompt, response } = message;
+    const { type, sessionId, prompt, response, requestId } = message;
+    // Replies carry the request's requestId so clients can match them up
+    const reply = (payload) => send(ws, requestId === undefined ? payload : { ...payload, requestId });
+
+    if (message.v !== undefined && message.v !== protocol.PROTOCOL_VERSION) {
+      reply({ type: 'error', code: 'unsupported_protocol', error: `Protocol version ${message.v} is not supported (server speaks ${protocol.PROTOCOL_VERSION})` });
+      return;
+    }
+    const problems = protocol.validateMessage(message, 'client');
+    if (problems.length > 0) {
+      reply({ type: 'error', code: 'invalid_message', error: `Invalid ${type || 'message'}: ${problems.join('; ')}` });
+      return;
+    }
+
+    const action = MESSAGE_PERMISSIONS[type];
+    if (action && !auth.can(ws.auth, action)) {
+      reply({ type: 'error', code: 'forbidden', error: `Forbidden: ${action} requires ${auth.PERMISSIONS[action]} role` });
+      return;
+    }
 
     switch (type) {
+      case 'hello':
+        // The client's side of the handshake; a version we don't speak ends the connection
+        if (message.protocol !== protocol.PROTOCOL_VERSION) {
+          reply({ type: 'error', code: 'unsupported_protocol', error: `Protocol version ${message.protocol} is not supported (server speaks ${protocol.PROTOCOL_VERSION})` });
+          ws.close(1002, 'Unsupported protocol version');
+          break;
+        }
+        ws.client = { name: message.client || null, capabilities: message.capabilities || [] };
+        break;
+
       case 'get_sessions':
-        ws.send(JSON.stringify({
-          type: 'sessions',
-          sessions: sessionStore.getAll()
-        }));
+        reply({ type: 'sessions', ...subscriberSnapshot(ws) });
         break;
 
       case 'send_prompt':
         if (!sessionId || !prompt) {
-          ws.send(JSON.stringify({ type: 'error', error: 'Missing sessionId or prompt' }));
+          reply({ type: 'error', error: 'Missing sessionId or prompt' });
           return;
         }
         try {
+          const remote = federation.resolve(sessionId);
+          if (remote) {
+            await forwardSessionAction(remote, 'POST', 'prompt', { prompt });
+            reply({ type: 'prompt_sent', sessionId });
+            return;
+          }
           const session = sessionStore.get(sessionId);
           if (!session) {
-            ws.send(JSON.stringify({ type: 'error', error: 'Session not found' }));
+            reply({ type: 'error', error: 'Session not found' });
+            return;
+          }
+          if (session.state === SessionState.OVER_BUDGET) {
+            reply({ type: 'error', error: overBudgetMessage(session) });
             return;
           }
           await tmux.sendToTmuxSafe(session.tmuxSession, prompt);
           sessionStore.setState(sessionId, SessionState.WORKING);
           broadcastSessions();
-          ws.send(JSON.stringify({ type: 'prompt_sent', sessionId }));
+          reply({ type: 'prompt_sent', sessionId });
         } catch (err) {
-          ws.send(JSON.stringify({ type: 'error', error: err.message }));
+          reply({ type: 'error', error: err.message });
         }
         break;
 
       case 'cancel':
         if (!sessionId) {
-          ws.send(JSON.stringify({ type: 'error', error: 'Missing sessionId' }));
+          reply({ type: 'error', error: 'Missing sessionId' });
           return;
         }
         try {
+          const remote = federation.resolve(sessionId);
+          if (remote) {
+            await forwardSessionAction(remote, 'POST', 'cancel');
+            reply({ type: 'cancelled', sessionId });
+            return;
+          }
           const session = sessionStore.get(sessionId);
           if (!session) {
-            ws.send(JSON.stringify({ type: 'error', error: 'Session not found' }));
+            reply({ type: 'error', error: 'Session not found' });
             return;
           }
           await tmux.sendCancel(session.tmuxSession);
-          ws.send(JSON.stringify({ type: 'cancelled', sessionId }));
+          reply({ type: 'cancelled', sessionId });
         } catch (err) {
-          ws.send(JSON.stringify({ type: 'error', error: err.message }));
+          reply({ type: 'error', error: err.message });
         }
         break;
 
       case 'permission_response':
         if (!sessionId || !response) {
-          ws.send(JSON.stringify({ type: 'error', error: 'Missing sessionId or response' }));
+          reply({ type: 'error', error: 'Missing sessionId or response' });
           return;
         }
         try {
+          const remote = federation.resolve(sessionId);
+          if (remote) {
+            await forwardSessionAction(remote, 'POST', 'permission', { response });
+            reply({ type: 'permission_sent', sessionId });
+            return;
+          }
           const session = sessionStore.get(sessionId);
           if (!session) {
-            ws.send(JSON.stringify({ type: 'error', error: 'Session not found' }));
+            reply({ type: 'error', error: 'Session not found' });
             return;
           }
-          await tmux.sendKeys(session.tmuxSession, response);
-          sessionStore.setState(sessionId, SessionState.WORKING);
-          broadcastSessions();
+          await sendPermissionKeys(session, response);
+          reply({ type: 'permission_sent', sessionId });
+        } catch (err) {
+          reply({ type: 'error', error: err.message });
+        }
+        break;
+
+      case 'replay':
+        // Journal records after `sinceSeq` (or `since`, a time) so a reconnecting
+        // client can rebuild its view
+        try {
+          const events = await eventJournal.query({
+            since: message.since,
+            sinceSeq: message.sinceSeq,
+            session: message.session,
+            type: message.eventType,
+            limit: message.limit
+          });
+          reply({ type: 'replay', events });
+        } catch (err) {
+          reply({ type: 'error', error: err.message });
+        }
+        break;
+
+      case 'watch_transcript': {
+        // One watched transcript per client; a null sessionId stops watching
+        ws.transcriptSessionId = sessionId || null;
+        if (!sessionId) break;
+
+        const remote = federation.resolve(sessionId);
+        if (remote) {
+          // Upstream transcripts are fetched over REST and polled while watched
+          try {
+            const { blocks } = await forwardSessionAction(remote, 'GET', 'transcript');
+            const last = blocks.length > 0 ? blocks[blocks.length - 1].index : -1;
+            remoteTranscripts.set(sessionId, Math.max(remoteTranscripts.get(sessionId) ?? -1, last));
+            reply({ type: 'transcript', sessionId, reset: true, blocks });
+          } catch (err) {
+            reply({ type: 'error', error: err.message });
+          }
+          break;
+        }
+        const session = sessionStore.findById(sessionId);
+        if (!session) {
+          reply({ type: 'error', error: 'Session not found' });
+          break;
+        }
+        pollTranscript(session);
+        reply({
+          type: 'transcript',
+          sessionId,
+          reset: true,
+          blocks: session.transcriptPath ? transcriptTailer.getBlocks(session.transcriptPath) : []
+        });
+        break;
+      }
+
+      case 'subscribe_output': {
+        // Live pane output for one managed session; a null sessionId unsubscribes
+        if (!sessionId) {
+          outputStreamer.unsubscribe(ws);
+          break;
+        }
+        if (federation.resolve(sessionId)) {
+          reply({ type: 'error', error: 'Live output is only available on the host running the session' });
+          break;
+        }
+        const session = sessionStore.get(sessionId);
+        if (!session || !session.tmuxSession) {
+          reply({ type: 'error', error: 'Session not found' });
+          break;
+        }
+        try {
+          await outputStreamer.subscribe(ws, session);
         } catch (err) {
-          ws.send(JSON.stringify({ type: 'error', error: err.message }));
+          console.error('Error streaming output:', err.message);
+          reply({ type: 'error', error: err.message });
         }
         break;
+      }
+
+      case 'terminal_attach': {
+        if (federation.resolve(sessionId)) {
+          reply({ type: 'terminal_exit', sessionId, error: 'The terminal is only available on the host running the session' });
+          break;
+        }
+        const session = sessionStore.get(sessionId);
+        if (!session || !session.tmuxSession) {
+          reply({ type: 'error', error: 'Session not found' });
+          break;
+        }
+        try {
+          await attachTerminal(ws, session, message.cols, message.rows);
+          console.log(`[Terminal] ${ws.auth.name} attached to ${session.tmuxSession}`);
+        } catch (err) {
+          console.error('Error attaching terminal:', err.message);
+          reply({ type: 'terminal_exit', sessionId, error: err.message });
+        }
+        break;
+      }
+
+      case 'terminal_input': {
+        if (!ws.terminal || typeof message.data !== 'string') break;
+        // Typing into an over-budget session would work around the refused
+        // prompts; its output stays visible
+        const session = sessionStore.get(ws.terminal.sessionId);
+        if (session && session.state === SessionState.OVER_BUDGET) {
+          if (!ws.terminal.refused) reply({ type: 'error', error: overBudgetMessage(session) });
+          ws.terminal.refused = true;
+          break;
+        }
+        ws.terminal.refused = false;
+        ws.terminal.bridge.write(message.data);
+        break;
+      }
+
+      case 'terminal_resize':
+        if (ws.terminal) {
+          ws.terminal.bridge.resize(message.cols, message.rows);
+        }
+        break;
+
+      case 'terminal_detach':
+        detachTerminal(ws);
+        break;
+
+      case 'decision_response':
+        // Browser answer to a queued request (`response` picks a screen prompt's option)
+        try {
+          await answerPermission(message.id, message.decision, {
+            reason: message.reason || null,
+            by: ws.auth.name,
+            keys: message.response || null
+          });
+          reply({ type: 'decision_sent', ids: [message.id], decision: message.decision });
+        } catch (err) {
+          reply({ type: 'error', error: err.message });
+        }
+        break;
+
+      case 'bulk_decision': {
+        // Same decision for several queued requests (all when `ids` is omitted)
+        const results = await answerPermissions(message.ids, message.decision, {
+          reason: message.reason || null,
+          by: ws.auth.name
+        });
+        const failed = results.filter(r => !r.ok);
+        if (failed.length > 0) {
+          reply({ type: 'error', error: `${failed.length} of ${results.length} requests not answered: ${failed[0].error}` });
+        } else {
+          reply({ type: 'decision_sent', ids: results.map(r => r.id), decision: message.decision });
+        }
+        break;
+      }
+
+      case 'subscribe': {
+        // Only matching sessions, event types and directories from now on;
+        // no filters means everything again
+        const subscription = parseSubscription(message);
+        flushSessions(); // Pending patches go out under the old filters
+        ws.subscription = subscription;
+        ws.revision = sessionPatcher.revision;
+        reply({ type: 'subscribed', subscription });
+        reply({ type: 'sessions', ...subscriberSnapshot(ws) });
+        break;
+      }
 
       case 'ping':
-        ws.send(JSON.stringify({ type: 'pong' }));
+        reply({ type: 'pong' });
         break;
     }
   }
 
   // ===== REST API ENDPOINTS =====
 
+  // Sessions of upstream hosts: the same routes, forwarded to the owning host
+  // with its token once the caller's own permission has been checked
+  app.all(['/api/sessions/:id', '/api/sessions/:id/:action'], (req, res, next) => {
+    const target = federation.resolve(req.params.id);
+    if (!target) return next();
+
+    const action = req.params.action || '';
+    const permission = REMOTE_SESSION_ROUTES[`${req.method} ${action}`];
+    if (!permission) {
+      return res.status(400).json({ ok: false, error: `${req.method} ${req.path} is not available for sessions on other hosts` });
+    }
+    auth.requirePermission(permission)(req, res, async () => {
+      // The query minus our own ?token=
+      const query = new URLSearchParams();
+      for (const [key, value] of Object.entries(req.query)) {
+        if (key !== 'token' && typeof value === 'string') query.set(key, value);
+      }
+      const suffix = query.toString() ? `?${query}` : '';
+      const pathname = `/api/sessions/${encodeURIComponent(target.id)}${action ? `/${action}` : ''}${suffix}`;
+      try {
+        const body = req.method === 'POST' || req.method === 'PATCH' ? req.body || {} : undefined;
+        const { status, body: result } = await federation.request(target.host, req.method, pathname, body);
+        res.status(status).json(result);
+      } catch (err) {
+        console.error(`Error forwarding to ${target.host}:`, err.message);
+        res.status(502).json({ ok: false, error: `${target.host}: ${err.message}` });
+      }
+    });
+  });
+
   // Create new session
-  app.post('/api/sessions', async (req, res) => {
+  app.post('/api/sessions', auth.requirePermission('sessions:create'), async (req, res) => {
     try {
       const { name, directory, skipPermissions, continueSession } = req.body;
+      const budget = req.body.budget ? normalizeBudget(req.body.budget) : defaultBudget;
 
       // Validate directory if provided
       let validDir = process.cwd();
@@ -172,7 +1068,8 @@ function createServer() {
       const session = sessionStore.create({
         name: name || `Session ${shortId}`,
         directory: validDir,
-        tmuxSession
+        tmuxSession,
+        budget
       });
       console.log(`[Create] Managed session ${session.id.slice(0,8)} created with directory: ${validDir}`);
 
@@ -196,12 +1093,12 @@ function createServer() {
   });
 
   // List all sessions
-  app.get('/api/sessions', (req, res) => {
-    res.json({ ok: true, sessions: sessionStore.getAll() });
+  app.get('/api/sessions', auth.requirePermission('sessions:read'), (req, res) => {
+    res.json({ ok: true, ...sessionSnapshot() });
   });
 
   // Get single session
-  app.get('/api/sessions/:id', (req, res) => {
+  app.get('/api/sessions/:id', auth.requirePermission('sessions:read'), (req, res) => {
     const session = sessionStore.get(req.params.id);
     if (!session) {
       return res.status(404).json({ ok: false, error: 'Session not found' });
@@ -210,7 +1107,7 @@ function createServer() {
   });
 
   // Send prompt to session
-  app.post('/api/sessions/:id/prompt', async (req, res) => {
+  app.post('/api/sessions/:id/prompt', auth.requirePermission('sessions:prompt'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -221,6 +1118,9 @@ function createServer() {
       if (!prompt) {
         return res.status(400).json({ ok: false, error: 'Missing prompt' });
       }
+      if (session.state === SessionState.OVER_BUDGET) {
+        return res.status(409).json({ ok: false, error: overBudgetMessage(session) });
+      }
 
       await tmux.sendToTmuxSafe(session.tmuxSession, prompt);
       sessionStore.setState(session.id, SessionState.WORKING);
@@ -234,7 +1134,7 @@ function createServer() {
   });
 
   // Cancel session (Ctrl+C)
-  app.post('/api/sessions/:id/cancel', async (req, res) => {
+  app.post('/api/sessions/:id/cancel', auth.requirePermission('sessions:cancel'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -250,7 +1150,7 @@ function createServer() {
   });
 
   // Delete session
-  app.delete('/api/sessions/:id', async (req, res) => {
+  app.delete('/api/sessions/:id', auth.requirePermission('sessions:delete'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -258,6 +1158,7 @@ function createServer() {
       }
 
       // Kill tmux session
+      outputStreamer.stop(session.tmuxSession);
       await tmux.killSession(session.tmuxSession);
 
       // Also remove any observed session with the same claudeSessionId or directory
@@ -268,8 +1169,7 @@ function createServer() {
         const observed = sessionStore.findObservedByDirectory(session.directory);
         if (observed) {
           // Broadcast SessionEnd so client can despawn the Bit
-          broadcast({
-            messageType: 'event',
+          broadcastEvent({
             session_id: observed.claudeSessionId,
             hook_event_name: 'SessionEnd'
           });
@@ -277,16 +1177,17 @@ function createServer() {
         }
       }
 
-      // Broadcast SessionEnd event so client can despawn the Bit
+      // Broadcast SessionEnd event so client can despawn the Bit (and its subagents)
       if (session.claudeSessionId) {
-        broadcast({
-          messageType: 'event',
+        subagentTracker.forget(session.claudeSessionId);
+        broadcastEvent({
           session_id: session.claudeSessionId,
           hook_event_name: 'SessionEnd'
         });
       }
 
       // Remove from store
+      clearSessionPermissions(session.id);
       sessionStore.delete(session.id);
       broadcastSessions();
 
@@ -298,7 +1199,7 @@ function createServer() {
   });
 
   // Restart offline session
-  app.post('/api/sessions/:id/restart', async (req, res) => {
+  app.post('/api/sessions/:id/restart', auth.requirePermission('sessions:restart'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -325,7 +1226,7 @@ function createServer() {
   });
 
   // Rename session
-  app.patch('/api/sessions/:id', async (req, res) => {
+  app.patch('/api/sessions/:id', auth.requirePermission('sessions:rename'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -345,8 +1246,62 @@ function createServer() {
     }
   });
 
+  // Change a session's budget (null removes a limit); lifts OVER_BUDGET once back under every limit
+  app.patch('/api/sessions/:id/budget', auth.requirePermission('sessions:budget'), (req, res) => {
+    const session = sessionStore.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ ok: false, error: 'Session not found' });
+    }
+
+    try {
+      budgetMonitor.setBudget(session, req.body || {});
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    console.log(`[Budget] ${req.auth.name} set budget of ${session.name}: ${JSON.stringify(session.budget)}`);
+    broadcastSessions();
+
+    res.json({ ok: true, session: sessionStore.get(session.id), stillOverBudget: session.state === SessionState.OVER_BUDGET });
+  });
+
+  // Global budget: limits and what the running managed sessions use together
+  app.get('/api/budget', auth.requirePermission('usage:read'), (req, res) => {
+    res.json({ ok: true, budget: budgetMonitor.globalBudget, used: budgetMonitor.globalUsage() });
+  });
+
+  // Change the global budget until the next restart (null removes a limit);
+  // sessions it stopped resume once everything is back under budget
+  app.patch('/api/budget', auth.requirePermission('budget:global'), (req, res) => {
+    let lifted;
+    try {
+      lifted = budgetMonitor.setGlobalBudget(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+    console.log(`[Budget] ${req.auth.name} set the global budget: ${JSON.stringify(budgetMonitor.globalBudget)}`);
+    broadcastSessions();
+
+    res.json({ ok: true, budget: budgetMonitor.globalBudget, used: budgetMonitor.globalUsage(), resumed: lifted.map(s => s.id) });
+  });
+
+  // Get parsed transcript blocks (user/assistant messages, tool calls and results)
+  app.get('/api/sessions/:id/transcript', auth.requirePermission('sessions:read'), (req, res) => {
+    const session = sessionStore.findById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ ok: false, error: 'Session not found' });
+    }
+    if (!session.transcriptPath) {
+      return res.json({ ok: true, available: false, blocks: [] });
+    }
+
+    pollTranscript(session);
+    const since = req.query.since !== undefined ? parseInt(req.query.since) : -1;
+    const blocks = transcriptTailer.getBlocks(session.transcriptPath, Number.isNaN(since) ? -1 : since);
+    res.json({ ok: true, available: true, blocks });
+  });
+
   // Link Claude session ID to managed session
-  app.post('/api/sessions/:id/link', async (req, res) => {
+  app.post('/api/sessions/:id/link', auth.requirePermission('sessions:link'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -369,7 +1324,7 @@ function createServer() {
   });
 
   // Send permission response
-  app.post('/api/sessions/:id/permission', async (req, res) => {
+  app.post('/api/sessions/:id/permission', auth.requirePermission('sessions:permission'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -381,9 +1336,7 @@ function createServer() {
         return res.status(400).json({ ok: false, error: 'Missing response' });
       }
 
-      await tmux.sendKeys(session.tmuxSession, response);
-      sessionStore.setState(session.id, SessionState.WORKING);
-      broadcastSessions();
+      await sendPermissionKeys(session, response);
 
       res.json({ ok: true });
     } catch (err) {
@@ -393,7 +1346,7 @@ function createServer() {
   });
 
   // Get tmux output for session
-  app.get('/api/sessions/:id/output', async (req, res) => {
+  app.get('/api/sessions/:id/output', auth.requirePermission('sessions:read'), async (req, res) => {
     try {
       const session = sessionStore.get(req.params.id);
       if (!session) {
@@ -413,9 +1366,19 @@ function createServer() {
   // ===== EVENT HANDLING =====
 
   // API endpoint for hooks - pass through raw events
-  app.post('/api/events', (req, res) => {
+  app.post('/api/events', auth.requirePermission('events:write'), (req, res) => {
     const event = req.body;
 
+    // Re-sent by the hook client (its first delivery arrived but the reply didn't)
+    if (eventJournal.hasEventId(event.event_id)) {
+      return res.status(200).json({ ok: true, duplicate: true });
+    }
+    // Arrival time is ours to assign; occurred_at (from the hook) is kept as sent
+    event.received_at = Date.now();
+    if (event.occurred_at !== undefined && !Number.isFinite(event.occurred_at)) {
+      delete event.occurred_at;
+    }
+
     // Update session state based on events
     if (event.session_id) {
       let session = sessionStore.findByClaudeSessionId(event.session_id);
@@ -439,15 +1402,31 @@ function createServer() {
       }
 
       if (session && !session.observed) {
-        // Managed session - update state
-        if (hookEvent === 'SessionStart') {
-          sessionStore.setState(session.id, SessionState.IDLE);
-        } else if (hookEvent === 'SessionEnd') {
+        // Managed session - update state (OVER_BUDGET sticks until the budget is raised)
+        if (hookEvent === 'SessionEnd') {
           sessionStore.setState(session.id, SessionState.OFFLINE);
-        } else if (hookEvent === 'Stop' || hookEvent === 'SubagentStop') {
+        } else if (session.state === SessionState.OVER_BUDGET) {
+          // Leave it
+        } else if (hookEvent === 'SessionStart') {
+          sessionStore.setState(session.id, SessionState.IDLE);
+        } else if (hookEvent === 'Stop') {
           sessionStore.setState(session.id, SessionState.IDLE);
         } else if (['PreToolUse', 'PostToolUse', 'UserPromptSubmit'].includes(hookEvent)) {
           sessionStore.setState(session.id, SessionState.WORKING);
+        } else if (hookEvent === 'PermissionRequest') {
+          sessionStore.setState(session.id, SessionState.WAITING);
+        }
+
+        if (hookEvent === 'PermissionRequest') {
+          handlePermissionHook(session, event);
+        } else if (hookEvent !== 'Notification') {
+          pendingPermissions.delete(session.id); // The prompt was answered some other way
+        }
+        if (event.transcript_path && session.transcriptPath !== event.transcript_path) {
+          sessionStore.update(session.id, { transcriptPath: event.transcript_path });
+        }
+        if (hookEvent === 'PreToolUse') {
+          budgetMonitor.countToolCall(session);
         }
         broadcastSessions();
       } else {
@@ -457,25 +1436,274 @@ function createServer() {
           broadcastSessions();
         } else {
           let state = SessionState.WORKING;
-          if (hookEvent === 'SessionStart' || hookEvent === 'Stop' || hookEvent === 'SubagentStop') {
+          // SubagentStop only ends a subagent; the parent keeps working
+          if (hookEvent === 'SessionStart' || hookEvent === 'Stop') {
             state = SessionState.IDLE;
           }
-          sessionStore.upsertObserved(event.session_id, {
-            state,
-            cwd: event.cwd || null
-          });
+          const updates = { state, cwd: event.cwd || null };
+          if (event.transcript_path) {
+            updates.transcriptPath = event.transcript_path;
+          }
+          session = sessionStore.upsertObserved(event.session_id, updates);
           broadcastSessions();
         }
       }
     }
 
-    broadcast({ messageType: 'event', ...event });
+    // The session moved on (or ended): nothing it asked earlier is still waiting
+    if (event.session_id && ['SessionEnd', 'Stop', 'UserPromptSubmit'].includes(event.hook_event_name)) {
+      const session = sessionStore.findByClaudeSessionId(event.session_id);
+      clearSessionPermissions(session ? session.id : event.session_id);
+    }
+
+    // Subagent activity arrives under the parent's session_id; re-attribute it
+    const derivedEvents = subagentTracker.process(event);
+    for (const derived of derivedEvents) {
+      broadcastEvent(derived);
+    }
+    if (derivedEvents.some(e => e.parent_session_id)) {
+      broadcastSessions(); // Subagent tree changed
+    }
     res.status(200).json({ ok: true });
+
+    // New hook activity usually means new transcript lines
+    if (event.session_id) {
+      pollTranscript(sessionStore.findByClaudeSessionId(event.session_id));
+    }
+  });
+
+  // Blocking hook (claudegrid-hook.sh --decide) for PreToolUse/PermissionRequest:
+  // answered by a policy rule, else held until a browser decides or `timeout` seconds
+  // pass. Responds with Claude Code's hook JSON; {} lets Claude ask as usual.
+  app.post('/api/permissions/request', auth.requirePermission('events:write'), async (req, res) => {
+    const event = req.body || {};
+    const hookEvent = event.hook_event_name;
+    if (!DECIDABLE_EVENTS.has(hookEvent) || !event.session_id) {
+      return res.json({});
+    }
+
+    const session = sessionStore.findByClaudeSessionId(event.session_id);
+    const request = describePermissionRequest(session, event);
+    const record = {
+      sessionId: request.sessionId,
+      sessionName: request.sessionName,
+      tool: request.toolName,
+      command: request.toolInput && request.toolInput.command,
+      hookEvent
+    };
+
+    const verdict = policyEngine.evaluate(request);
+    if (verdict && verdict.decision !== Decision.ASK) {
+      const entry = policyEngine.logDecision({ ...record, decision: verdict.decision, rule: verdict.rule, source: 'decide-hook' });
+      broadcast({ type: 'permission_decision', ...entry });
+      return res.json(formatHookOutput(hookEvent, verdict.decision, `ClaudeGrid policy: ${verdict.rule}`));
+    }
+
+    // Don't hold Claude up when no connected browser could answer
+    const canDecide = Array.from(clients).some(ws => ws.readyState === 1 && auth.can(ws.auth, 'sessions:permission'));
+    if (!canDecide) {
+      return res.json({});
+    }
+
+    const seconds = parseInt(req.query.timeout);
+    const timeoutMs = seconds > 0 ? seconds * 1000 : DEFAULT_TIMEOUT_MS;
+    const { id, decided } = decisionBroker.request(event, { timeoutMs, sessionId: request.sessionId });
+    res.on('close', () => {
+      if (!res.writableEnded) decisionBroker.cancel(id); // Hook gave up
+    });
+
+    const outcome = await decided;
+    policyEngine.logDecision({
+      ...record,
+      decision: outcome.decision || Decision.ASK,
+      rule: verdict ? verdict.rule : null,
+      source: 'browser',
+      by: outcome.by,
+      reason: outcome.reason
+    });
+    if (!res.writableEnded) {
+      res.json(formatHookOutput(hookEvent, outcome.decision, outcome.reason));
+    }
+  });
+
+  // Outstanding permission requests, oldest first
+  app.get('/api/permissions', auth.requirePermission('sessions:read'), (req, res) => {
+    res.json({ ok: true, permissions: allPermissions() });
+  });
+
+  // One decision for several requests (body: ids, or all when omitted)
+  app.post('/api/permissions/bulk', auth.requirePermission('sessions:permission'), async (req, res) => {
+    const { ids, decision, reason } = req.body;
+    if (decision !== Decision.ALLOW && decision !== Decision.DENY) {
+      return res.status(400).json({ ok: false, error: `Invalid decision: ${decision}` });
+    }
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ ok: false, error: 'ids must be an array' });
+    }
+    const results = await answerPermissions(ids, decision, { reason, by: req.auth.name });
+    res.json({ ok: true, results });
+  });
+
+  // Answer one request (body: decision, reason; or response = exact keys for a screen prompt)
+  app.post('/api/permissions/:id', auth.requirePermission('sessions:permission'), async (req, res) => {
+    if (!permissionQueue.get(req.params.id) && !federation.getPermission(req.params.id)) {
+      return res.status(404).json({ ok: false, error: 'Permission request not found (already answered or expired)' });
+    }
+    try {
+      const { decision, reason, response } = req.body;
+      await answerPermission(req.params.id, decision, { reason, by: req.auth.name, keys: response });
+      res.json({ ok: true });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Policy rules as loaded from policies.json (plus any load error)
+  app.get('/api/policy', auth.requirePermission('policy:read'), (req, res) => {
+    policyEngine.reload();
+    res.json({ ok: true, file: policyEngine.file, error: policyEngine.error, rules: policyEngine.source });
+  });
+
+  // Recent policy decisions, newest first
+  app.get('/api/policy/decisions', auth.requirePermission('policy:read'), (req, res) => {
+    const limit = parseInt(req.query.limit) || undefined;
+    res.json({ ok: true, decisions: policyEngine.getDecisions(limit) });
+  });
+
+  // Webhooks as loaded from webhooks.json (secrets omitted, plus any load error)
+  app.get('/api/webhooks', auth.requirePermission('webhooks:manage'), (req, res) => {
+    const webhooks = webhookDispatcher.list();
+    res.json({ ok: true, file: webhookDispatcher.file, error: webhookDispatcher.error, events: Object.values(WebhookEvent), webhooks });
+  });
+
+  // Recent delivery attempts, newest first
+  app.get('/api/webhooks/deliveries', auth.requirePermission('webhooks:manage'), (req, res) => {
+    const limit = parseInt(req.query.limit) || undefined;
+    res.json({ ok: true, deliveries: webhookDispatcher.getDeliveries(limit) });
+  });
+
+  // Send a test event to one webhook
+  app.post('/api/webhooks/:name/test', auth.requirePermission('webhooks:manage'), (req, res) => {
+    if (!webhookDispatcher.test(req.params.name)) {
+      return res.status(404).json({ ok: false, error: 'Webhook not found' });
+    }
+    res.json({ ok: true });
+  });
+
+  // Upstream hosts and their connection state
+  app.get('/api/federation', auth.requirePermission('sessions:read'), (req, res) => {
+    federation.reload();
+    res.json({ ok: true, file: federation.file, error: federation.error, hosts: federation.status() });
+  });
+
+  // Token usage and estimated cost per session, directory and day
+  app.get('/api/usage', auth.requirePermission('usage:read'), (req, res) => {
+    const days = parseInt(req.query.days) || undefined;
+    res.json({ ok: true, ...sessionStore.getUsageReport({ days }) });
+  });
+
+  // Query the event journal (since = timestamp, since_seq = sequence number)
+  app.get('/api/events', auth.requirePermission('events:read'), async (req, res) => {
+    try {
+      const { since, since_seq: sinceSeq, session, type } = req.query;
+      const limit = parseInt(req.query.limit) || undefined;
+      const events = await eventJournal.query({ since, sinceSeq, session, type, limit });
+      res.json({ ok: true, seq: eventJournal.seq, events });
+    } catch (err) {
+      res.status(400).json({ ok: false, error: err.message });
+    }
+  });
+
+  // Auth status - lets the client discover whether a token is needed and valid
+  app.get('/api/auth', (req, res) => {
+    if (!authEnabled) {
+      return res.json({
+        ok: true,
+        required: false,
+        authenticated: true,
+        token: auth.ANONYMOUS,
+        permissions: auth.permissionsFor(auth.ANONYMOUS)
+      });
+    }
+    const record = tokenStore.verify(auth.getRequestToken(req));
+    const identity = record ? tokenStore.describe(record) : null;
+    res.json({
+      ok: true,
+      required: true,
+      authenticated: !!identity,
+      token: identity,
+      permissions: identity ? auth.permissionsFor(identity) : []
+    });
+  });
+
+  // Server-Sent Events: the WebSocket broadcast, filtered like `subscribe`
+  // (query: sessions, events, directories). Hook events missed since
+  // Last-Event-ID (or ?since_seq=) are replayed from the journal first.
+  app.get('/api/stream', auth.requirePermission('events:read'), async (req, res) => {
+    let subscription;
+    try {
+      subscription = parseSubscription(req.query);
+    } catch (err) {
+      return res.status(400).json({ ok: false, error: err.message });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let a reverse proxy buffer the stream
+    });
+    res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+    const filter = (message) => filterMessage(subscription, message, sessionIndex);
+    // Broadcasts wait in the backlog while missed events are read from the journal
+    const stream = { res, subscription, revision: sessionPatcher.revision, auth: req.auth, backlog: [] };
+    const snapshot = subscriberSnapshot(stream);
+    writeStreamMessage(res, {
+      type: 'init',
+      subscription,
+      ...snapshot,
+      permissions: filter({ type: 'permissions', permissions: allPermissions() }).permissions
+    });
+
+    streams.add(stream);
+    console.log(`SSE stream opened by ${req.auth.name} (total: ${streams.size})`);
+    req.on('close', () => {
+      streams.delete(stream);
+      console.log(`SSE stream closed (total: ${streams.size})`);
+    });
+
+    const sinceSeq = req.get('Last-Event-ID') || req.query.since_seq;
+    let replayedSeq = 0;
+    if (sinceSeq) {
+      try {
+        for (const record of await eventJournal.query({ sinceSeq })) {
+          const event = filter({ type: 'event', ...record });
+          if (event) writeStreamMessage(res, event);
+          replayedSeq = record.seq;
+        }
+      } catch (err) {
+        writeStreamMessage(res, { type: 'error', error: err.message });
+      }
+    }
+
+    const backlog = stream.backlog;
+    stream.backlog = null;
+    for (const message of backlog) {
+      if (message.type === 'event' && message.seq <= replayedSeq) continue; // Already replayed
+      writeStreamMessage(res, message);
+    }
   });
 
   // Health check endpoint
   app.get('/api/health', (req, res) => {
-    res.json({ status: 'ok', clients: clients.size, sessions: sessionStore.getAll().length });
+    res.json({
+      status: 'ok',
+      clients: clients.size,
+      streams: streams.size,
+      sessions: allSessions().length,
+      upstreams: federation.status().filter(host => host.connected).length
+    });
   });
 
   // ===== HEALTH CHECK POLLING =====
@@ -488,31 +1716,74 @@ function createServer() {
       if (changed) {
         broadcastSessions();
       }
+      budgetMonitor.enforceAll(); // Minute limits expire without any event
+      federation.reload(); // Hosts added to or removed from federation.json
+      if (authEnabled) closeRevokedConnections(); // Tokens revoked with `claudegrid token`
+
+      // Screen prompts of sessions that went offline can't be answered any more
+      permissionQueue.removeWhere(e => {
+        if (e.kind !== RequestKind.PROMPT) return false;
+        const session = sessionStore.get(e.sessionId);
+        return !session || session.state === SessionState.OFFLINE;
+      });
 
     } catch (err) {
       console.error('Health check error:', err.message);
     }
   }
 
+  // Drop WebSocket clients and SSE streams whose token was revoked; browsers
+  // ask for a new token when they reconnect
+  function closeRevokedConnections() {
+    const ids = new Set(tokenStore.list().map(t => t.id));
+    for (const ws of clients) {
+      if (ids.has(ws.auth.id)) continue;
+      console.log(`[Auth] Closing WebSocket of revoked token '${ws.auth.name}'`);
+      ws.close(1008, 'Token revoked');
+    }
+    for (const stream of streams) {
+      if (ids.has(stream.auth.id)) continue;
+      console.log(`[Auth] Closing SSE stream of revoked token '${stream.auth.name}'`);
+      stream.res.end();
+    }
+  }
+
   // Start health check polling
   setInterval(healthCheck, 5000);
   // Run immediately on startup
   healthCheck();
 
+  // Catch transcript lines written between hook events (e.g. long assistant replies)
+  setInterval(() => {
+    const watched = new Set();
+    for (const client of clients) {
+      if (client.transcriptSessionId) watched.add(client.transcriptSessionId);
+    }
+    for (const sessionId of watched) {
+      pollTranscript(sessionStore.findById(sessionId));
+      pollRemoteTranscript(sessionId);
+    }
+    for (const sessionId of remoteTranscripts.keys()) {
+      if (!watched.has(sessionId)) remoteTranscripts.delete(sessionId);
+    }
+  }, 2000);
+
+  // Keep idle SSE streams from being closed by proxies
+  setInterval(() => {
+    for (const stream of streams) {
+      stream.res.write(': keep-alive\n\n');
+    }
+  }, STREAM_KEEPALIVE_MS);
+
   // ===== PERMISSION DETECTION =====
-  let permissionDetector;
-  try {
-    permissionDetector = require('./permissionDetector');
-    permissionDetector.start(sessionStore, (sessionId, options) => {
-      broadcast({
-        type: 'permission_prompt',
-        sessionId,
-        options
-      });
+  permissionDetector.start(sessionStore, (sessionId, prompt) => {
+    handlePermissionPrompt(sessionId, prompt).catch(err => {
+      console.error('Error handling permission prompt:', err.message);
     });
-  } catch (err) {
-    console.log('Permission detector not loaded:', err.message);
-  }
+  }, (sessionId) => {
+    // Answered in the terminal, or dismissed
+    permissionQueue.removeWhere(e => e.kind === RequestKind.PROMPT && e.sessionId === sessionId);
+  });
 
   return server;
 }
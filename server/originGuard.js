@@ -0,0 +1,130 @@
+const os = require('os');
+const net = require('net');
+
+// Methods that change state and must come from an allowed origin
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+
+// Parse a comma-separated env value into a lowercase list
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(v => v.trim().toLowerCase()).filter(Boolean);
+}
+
+// Hostname from a Host header ("example.com:3333", "[::1]:3333")
+function hostnameFromHeader(host) {
+  if (!host) return null;
+  const bracketed = host.match(/^\[([^\]]+)\]/);
+  if (bracketed) return bracketed[1].toLowerCase();
+  return host.replace(/:\d+$/, '').toLowerCase();
+}
+
+// Match a hostname against a pattern ("example.com", "*.example.com", "*")
+function hostMatches(hostname, pattern) {
+  if (pattern === '*') return true;
+  if (pattern.startsWith('*.')) {
+    return hostname.endsWith(pattern.slice(1));
+  }
+  return hostname === pattern;
+}
+
+/**
+ * Create an origin/host policy
+ *
+ * Hosts: IP literals, localhost and this machine's hostname are always
+ * allowed; anything else must be listed. Rejecting unknown names blocks
+ * DNS rebinding, where an attacker's domain is re-pointed at 127.0.0.1.
+ *
+ * Origins: requests without an Origin header (curl, hooks) are allowed;
+ * browser requests must be same-origin or from a listed origin.
+ *
+ * @param {Object} options
+ * @param {string[]} options.allowedHosts - Extra hostnames (supports "*.domain" and "*")
+ * @param {string[]} options.allowedOrigins - Extra origins, e.g. "https://grid.example.com" (or "*")
+ */
+function createOriginPolicy({ allowedHosts = [], allowedOrigins = [] } = {}) {
+  const localNames = new Set(['localhost', os.hostname().toLowerCase()]);
+  const hosts = allowedHosts.map(h => h.toLowerCase());
+  const origins = allowedOrigins.map(o => o.toLowerCase().replace(/\/+$/, ''));
+
+  function isHostAllowed(hostHeader) {
+    const hostname = hostnameFromHeader(hostHeader);
+    if (!hostname) return false;
+    if (net.isIP(hostname)) return true;
+    if (localNames.has(hostname) || hostname.endsWith('.localhost')) return true;
+    return hosts.some(pattern => hostMatches(hostname, pattern));
+  }
+
+  function isOriginAllowed(origin, hostHeader) {
+    if (origin === undefined) return true;
+    if (origin === 'null') return false; // Sandboxed iframes, file:// pages
+
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      return false;
+    }
+
+    // Same-origin: browser origin matches the host it is talking to
+    if (hostHeader && url.host.toLowerCase() === hostHeader.toLowerCase()) return true;
+
+    const normalized = origin.toLowerCase().replace(/\/+$/, '');
+    return origins.includes('*') || origins.includes(normalized);
+  }
+
+  return { isHostAllowed, isOriginAllowed };
+}
+
+// Build a policy from CLAUDEGRID_ALLOWED_HOSTS / CLAUDEGRID_ALLOWED_ORIGINS
+function policyFromEnv(env = process.env) {
+  return createOriginPolicy({
+    allowedHosts: parseList(env.CLAUDEGRID_ALLOWED_HOSTS),
+    allowedOrigins: parseList(env.CLAUDEGRID_ALLOWED_ORIGINS)
+  });
+}
+
+/**
+ * Express middleware: validate Host on every request, Origin on mutating ones
+ */
+function guardRequests(policy) {
+  return (req, res, next) => {
+    const host = req.headers.host;
+    if (!policy.isHostAllowed(host)) {
+      return res.status(403).json({ ok: false, error: `Host not allowed: ${host || '(none)'}` });
+    }
+
+    if (MUTATING_METHODS.has(req.method)) {
+      const origin = req.headers.origin;
+      // Browsers omit Origin on some same-site requests but always send Sec-Fetch-Site
+      const crossSite = origin === undefined && req.headers['sec-fetch-site'] === 'cross-site';
+      if (crossSite || !policy.isOriginAllowed(origin, host)) {
+        return res.status(403).json({ ok: false, error: `Cross-origin request rejected: ${origin || 'cross-site'}` });
+      }
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check a WebSocket upgrade request. Returns an error message, or null if allowed.
+ */
+function checkUpgrade(policy, req) {
+  const host = req.headers.host;
+  if (!policy.isHostAllowed(host)) {
+    return `Host not allowed: ${host || '(none)'}`;
+  }
+  const origin = req.headers.origin;
+  if (!policy.isOriginAllowed(origin, host)) {
+    return `Origin not allowed: ${origin}`;
+  }
+  return null;
+}
+
+module.exports = {
+  createOriginPolicy,
+  policyFromEnv,
+  guardRequests,
+  checkUpgrade,
+  parseList
+};
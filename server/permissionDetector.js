@@ -1,32 +1,23 @@
 const tmux = require('./tmux');
 const { SessionState } = require('./SessionStore');
-
-// Permission prompt patterns to detect
-const PERMISSION_PATTERNS = [
-  /Do you want to proceed\?/i,
-  /Allow this action\?/i,
-  /Do you want to allow/i,
-  /Approve this/i,
-  /\[y\/n\]/i,
-  /\(y\/n\)/i
-];
-
-// Option extraction pattern (numbered options like "1. Yes", "2. No")
-const OPTION_PATTERN = /^\s*(\d+)\.\s*(.+)$/gm;
+const { parsePermissionPrompt } = require('./permissionParser');
 
 let pollInterval = null;
 let sessionStore = null;
 let onPermissionPrompt = null;
+let onPromptCleared = null;
 
 // Track which sessions we've already sent permission prompts for
 const sentPrompts = new Map();
 
 /**
  * Start polling sessions for permission prompts
+ * (onCleared is called when a reported prompt is no longer on screen)
  */
-function start(store, callback) {
+function start(store, callback, onCleared = null) {
   sessionStore = store;
   onPermissionPrompt = callback;
+  onPromptCleared = onCleared;
 
   // Poll every second for sessions in 'waiting' or 'idle' state
   pollInterval = setInterval(pollSessions, 1000);
@@ -58,13 +49,15 @@ async function pollSessions() {
 
     // Skip offline sessions
     if (session.state === SessionState.OFFLINE) {
-      sentPrompts.delete(session.id);
+      clearPrompt(session.id);
       continue;
     }
 
     // Only check sessions that might have permission prompts
-    // (idle or waiting - working sessions are actively processing)
-    if (session.state !== SessionState.IDLE && session.state !== SessionState.WAITING) {
+    // (idle or waiting - working sessions are actively processing),
+    // plus any whose reported prompt hasn't been seen to go away yet
+    if (session.state !== SessionState.IDLE && session.state !== SessionState.WAITING &&
+        !sentPrompts.has(session.id)) {
       continue;
     }
 
@@ -76,6 +69,19 @@ async function pollSessions() {
   }
 }
 
+/**
+ * Check one session right away (e.g. when a PermissionRequest hook arrives)
+ */
+async function checkNow(sessionId) {
+  const session = sessionStore && sessionStore.get(sessionId);
+  if (!session || !session.tmuxSession || session.state === SessionState.OFFLINE) return;
+  try {
+    await checkSessionForPermission(session);
+  } catch (err) {
+    // Ignore errors (session might have ended)
+  }
+}
+
 /**
  * Check a single session for permission prompts
  */
@@ -83,86 +89,43 @@ async function checkSessionForPermission(session) {
   // Capture last 30 lines of tmux output
   const output = await tmux.capturePane(session.tmuxSession, 30);
 
-  // Check if output contains a permission prompt
-  const hasPrompt = PERMISSION_PATTERNS.some(pattern => pattern.test(output));
+  // Check if a permission dialog is waiting at the bottom of the screen
+  const prompt = parsePermissionPrompt(output);
 
-  if (!hasPrompt) {
+  if (!prompt) {
     // Clear any previous prompt tracking
-    sentPrompts.delete(session.id);
+    clearPrompt(session.id);
     return;
   }
 
-  // Check if we already sent this prompt (use hash of last 10 lines)
-  const promptHash = hashString(output.split('\n').slice(-10).join('\n'));
+  // Check if we already sent this prompt (moving the cursor between options doesn't count)
+  const promptHash = hashString(prompt.text + prompt.options.map(o => o.label).join('\n'));
   if (sentPrompts.get(session.id) === promptHash) {
     return; // Already sent this prompt
   }
 
-  // Extract options if present
-  const options = extractOptions(output);
-
-  // Update session state to waiting
-  sessionStore.setState(session.id, SessionState.WAITING);
+  // Update session state to waiting (a budget stop stays until the budget is raised)
+  if (session.state !== SessionState.OVER_BUDGET) {
+    sessionStore.setState(session.id, SessionState.WAITING);
+  }
 
   // Mark as sent
   sentPrompts.set(session.id, promptHash);
 
   // Notify callback
   if (onPermissionPrompt) {
-    onPermissionPrompt(session.id, {
-      text: extractPromptText(output),
-      options
-    });
-  }
-}
-
-/**
- * Extract numbered options from output
- */
-function extractOptions(output) {
-  const options = [];
-  const lines = output.split('\n');
-
-  // Look for numbered options in the last 15 lines
-  for (const line of lines.slice(-15)) {
-    const match = line.match(/^\s*(\d+)\.\s*(.+)$/);
-    if (match) {
-      options.push({
-        number: match[1],
-        label: match[2].trim()
-      });
-    }
+    onPermissionPrompt(session.id, prompt);
   }
-
-  // If no numbered options found, provide default y/n
-  if (options.length === 0) {
-    return [
-      { number: 'y', label: 'Yes' },
-      { number: 'n', label: 'No' }
-    ];
-  }
-
-  return options;
 }
 
 /**
- * Extract the permission prompt text
+ * Forget a session's prompt, telling the server if one had been reported
  */
-function extractPromptText(output) {
-  const lines = output.split('\n');
-
-  // Find the line containing the permission prompt
-  for (let i = lines.length - 1; i >= 0; i--) {
-    const line = lines[i].trim();
-    if (PERMISSION_PATTERNS.some(pattern => pattern.test(line))) {
-      // Return this line and a few before it for context
-      const start = Math.max(0, i - 3);
-      return lines.slice(start, i + 1).join('\n').trim();
-    }
+function clearPrompt(sessionId) {
+  if (!sentPrompts.delete(sessionId)) return;
+  if (onPromptCleared) {
+    onPromptCleared(sessionId);
   }
-
-  // Fallback: return last few non-empty lines
-  return lines.filter(l => l.trim()).slice(-5).join('\n');
 }
 
 /**
@@ -178,4 +141,4 @@ function hashString(str) {
   return hash.toString(16);
 }
 
-module.exports = { start, stop };
+module.exports = { start, stop, checkNow };
@@ -0,0 +1,214 @@
+/**
+ * Parse Claude Code's permission dialog out of a captured tmux pane
+ *
+ * The dialog is a block at the bottom of the screen, either boxed (╭─╮ │ │ ╰─╯)
+ * or under a horizontal rule, depending on the Claude Code version:
+ *
+ *   ╭───────────────────────────────────────────────╮
+ *   │ Bash command                                  │   <- title (tool)
+ *   │                                               │
+ *   │   rm -rf build                                │   <- body: command / file / URL
+ *   │   Remove the build directory                  │   <- (Bash only) description
+ *   │                                               │
+ *   │ Do you want to proceed?                       │   <- question
+ *   │ ❯ 1. Yes                                      │   <- options, numbered from 1
+ *   │   2. Yes, and don't ask again for rm commands │
+ *   │   3. No, and tell Claude what to do (esc)     │
+ *   ╰───────────────────────────────────────────────╯
+ *
+ * Only a dialog that is still the last thing on screen counts: numbered lists,
+ * quoted questions or old dialogs higher up in the scrollback are ignored.
+ */
+
+// CSI (colours, cursor movement), OSC (titles, hyperlinks) and lone ESC sequences
+const ANSI_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)|\x1b[@-Z\\-_]/g;
+
+// Box-drawing frame characters around (possibly nested) boxes
+const FRAME_CHARS = '│┃║';
+const BORDER_CHARS = /^[\s╭╮╰╯┌┐└┘─━═┄┈╌╔╗╚╝│┃║]+$/;
+const HORIZONTAL_CHARS = /[╭╮╰╯┌┐└┘─━═┄┈╌╔╗╚╝]/;
+
+// The question that introduces the options
+const QUESTION_PATTERN = /^(Do you want to .+\?|Would you like to .+\?|Allow .+\?)$/i;
+// "❯ 1. Yes" / "  2. No, and tell Claude ..." (the cursor marks the selected option)
+const OPTION_PATTERN = /^([❯›>▶])?\s*(\d+)\.\s+(.+)$/;
+// Key hints that may follow the options ("Esc to cancel", "Tab to amend")
+const HINT_PATTERN = /\b(esc|tab|enter|ctrl|shift)\b.*\bto\b|to cancel|to amend/i;
+// Plain yes/no question on the last line, e.g. "Proceed? (y/n)"
+const YES_NO_PATTERN = /[[(]y\/n[\])]\s*:?\s*$/i;
+
+// Dialog titles -> tool names
+const TITLE_TOOLS = [
+  [/^bash command$/i, 'Bash'],
+  [/^edit file$/i, 'Edit'],
+  [/^(create|write|overwrite) file$/i, 'Write'],
+  [/^read file$/i, 'Read'],
+  [/^edit notebook$/i, 'NotebookEdit'],
+  [/^fetch$/i, 'WebFetch'],
+  [/^web search$/i, 'WebSearch'],
+  [/^tool use$/i, null] // MCP and other tools: the name is in the body
+];
+
+/**
+ * Remove ANSI escape sequences
+ */
+function stripAnsi(text) {
+  return String(text).replace(ANSI_PATTERN, '');
+}
+
+/**
+ * A box's top or bottom edge, or a horizontal rule
+ */
+function isBorder(line) {
+  return BORDER_CHARS.test(line) && HORIZONTAL_CHARS.test(line);
+}
+
+/**
+ * Strip box frames from a line ("│ │ text │ │" -> "text")
+ */
+function unframe(line) {
+  let text = line.trim();
+  while (text && FRAME_CHARS.includes(text[0])) text = text.slice(1).trim();
+  while (text && FRAME_CHARS.includes(text[text.length - 1])) text = text.slice(0, -1).trim();
+  return text;
+}
+
+/**
+ * What an option does: 'yes' (once), 'always' (yes and don't ask again) or 'no'
+ */
+function optionKind(label) {
+  if (/^yes\b.*(don'?t ask again|allow all|always|during this session|for this session)/i.test(label)) return 'always';
+  if (/^yes\b/i.test(label)) return 'yes';
+  if (/^no\b/i.test(label)) return 'no';
+  return null;
+}
+
+/**
+ * Tool and its target from the dialog title and body lines
+ */
+function describeTool(title, body, question) {
+  const match = TITLE_TOOLS.find(([pattern]) => pattern.test(title));
+  let tool = match ? match[1] : null;
+  const result = { tool, command: null, file: null, url: null, query: null, description: null };
+
+  if (match && tool === null && body.length > 0) {
+    // "github - create_issue(title: "x") (MCP)" -> mcp__github__create_issue
+    const mcp = body[0].match(/^(\S+) - (\w+)\(.*\)\s*\(MCP\)$/);
+    const call = body[0].match(/^(\w+)\(/);
+    if (mcp) tool = `mcp__${mcp[1]}__${mcp[2]}`;
+    else if (call) tool = call[1];
+    result.tool = tool;
+    return result;
+  }
+
+  if (tool === 'Bash') {
+    // Command (possibly several lines), then the one-line description
+    if (body.length > 1) {
+      result.command = body.slice(0, -1).join('\n');
+      result.description = body[body.length - 1];
+    } else {
+      result.command = body[0] || null;
+    }
+  } else if (tool === 'WebFetch') {
+    result.url = body.find(line => /^https?:\/\//.test(line)) || null;
+  } else if (tool === 'WebSearch') {
+    result.query = body[0] || null;
+  } else if (tool) {
+    // File tools: the nested box starts with the path; "Read(path)" for reads
+    const first = body[0] || '';
+    const call = first.match(/^\w+\((.+)\)$/);
+    const named = question.match(/ to (\S+)\?$|create (\S+)\?$|read (\S+)\?$/i);
+    result.file = call ? call[1] : first || (named && (named[1] || named[2] || named[3])) || null;
+  }
+  return result;
+}
+
+/**
+ * Find an active permission dialog in captured pane output
+ * @param {string} output - Pane text (ANSI sequences are stripped)
+ * @returns {Object|null} { tool, command, file, url, query, description, title, question,
+ *   text, options: [{ number, label, kind, selected }] }, or null when no dialog
+ *   is waiting at the bottom of the screen
+ */
+function parsePermissionPrompt(output) {
+  const raw = stripAnsi(output).split('\n');
+  const lines = raw.map(unframe);
+
+  // Skip what may follow the options: blank lines, the closing border, key hints
+  let end = lines.length - 1;
+  const trailing = (i) => !lines[i] || isBorder(raw[i]) ||
+    (HINT_PATTERN.test(lines[i]) && !OPTION_PATTERN.test(lines[i]));
+  while (end >= 0 && trailing(end)) {
+    end--;
+  }
+  if (end < 0) return null;
+
+  if (YES_NO_PATTERN.test(lines[end])) {
+    return {
+      tool: null, command: null, file: null, url: null, query: null, description: null,
+      title: null,
+      question: lines[end],
+      text: lines[end],
+      options: [
+        { number: 'y', label: 'Yes', kind: 'yes', selected: false },
+        { number: 'n', label: 'No', kind: 'no', selected: false }
+      ]
+    };
+  }
+
+  // Options run upwards from the bottom, numbered 1..n without gaps
+  const options = [];
+  let index = end;
+  while (index >= 0) {
+    const match = lines[index].match(OPTION_PATTERN);
+    if (!match) break;
+    options.unshift({ number: match[2], label: match[3].trim(), kind: optionKind(match[3].trim()), selected: !!match[1] });
+    index--;
+  }
+  if (options.length < 2 || options.some((opt, i) => opt.number !== String(i + 1))) return null;
+
+  // The question sits right above the options (a blank line may separate them)
+  while (index >= 0 && !lines[index]) index--;
+  if (index < 0 || !QUESTION_PATTERN.test(lines[index])) return null;
+  const question = lines[index];
+
+  // Title and body: up to the dialog's top border (or a blank-line gap of 3),
+  // stepping over nested boxes such as the file preview of an edit
+  const block = [];
+  let blanks = 0;
+  let depth = 0;
+  for (let i = index - 1; i >= 0; i--) {
+    if (isBorder(raw[i])) {
+      if (/[╰└╚]/.test(raw[i])) {
+        depth++;
+        continue;
+      }
+      if (depth > 0 && /[╭┌╔]/.test(raw[i])) {
+        depth--;
+        continue;
+      }
+      if (depth === 0) break; // Top border or rule
+      continue;
+    }
+    if (!lines[i]) {
+      if (++blanks >= 3) break;
+      block.unshift('');
+      continue;
+    }
+    blanks = 0;
+    block.unshift(lines[i]);
+  }
+  const content = block.filter(Boolean);
+  const title = content.length > 0 ? content[0] : null;
+  const body = content.slice(1);
+
+  return {
+    ...describeTool(title || '', body, question),
+    title,
+    question,
+    text: [...content, question].join('\n'),
+    options
+  };
+}
+
+module.exports = { parsePermissionPrompt, stripAnsi };
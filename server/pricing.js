@@ -0,0 +1,30 @@
+// USD per million tokens. First matching pattern wins, so list specific models first.
+// Cache writes are priced at the 5-minute TTL rate.
+const MODEL_PRICING = [
+  { pattern: /opus-4-[5-9]/, input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { pattern: /opus/, input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { pattern: /sonnet/, input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { pattern: /haiku-4/, input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { pattern: /haiku/, input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 }
+];
+
+// Unknown models are priced like Sonnet rather than reported as free
+const DEFAULT_PRICING = MODEL_PRICING[2];
+
+function pricingFor(model) {
+  const id = String(model || '').toLowerCase();
+  return MODEL_PRICING.find(p => p.pattern.test(id)) || DEFAULT_PRICING;
+}
+
+// Cost in USD of one usage record ({ inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens })
+function costOf(model, usage) {
+  const price = pricingFor(model);
+  return (
+    usage.inputTokens * price.input +
+    usage.outputTokens * price.output +
+    usage.cacheCreationTokens * price.cacheWrite +
+    usage.cacheReadTokens * price.cacheRead
+  ) / 1e6;
+}
+
+module.exports = { MODEL_PRICING, pricingFor, costOf };
@@ -0,0 +1,31 @@
+const schema = require('../protocol/messages.schema.json');
+const shared = require('../protocol/validate');
+
+// Protocol version spoken by this server (the `v` of every message)
+const PROTOCOL_VERSION = schema.version;
+
+// What this server supports, advertised in `hello`
+const CAPABILITIES = [
+  'request_ids',     // Replies echo the request's requestId
+  'session_patches', // session_added / session_updated / session_removed with revisions
+  'subscriptions',   // subscribe filters
+  'replay',          // Event journal replay
+  'transcripts',     // watch_transcript
+  'output',          // subscribe_output
+  'terminal',        // terminal_attach / _input / _resize / _detach
+  'decisions'        // Permission inbox (decision_response, bulk_decision)
+];
+
+// Problems with a message (empty when valid); direction is 'client' or 'server'
+function validateMessage(message, direction) {
+  return shared.validateMessage(schema, message, direction);
+}
+
+/**
+ * Serialize a message in the protocol envelope ({ v, type, ... })
+ */
+function encode(message) {
+  return JSON.stringify({ v: PROTOCOL_VERSION, ...message });
+}
+
+module.exports = { PROTOCOL_VERSION, CAPABILITIES, validateMessage, encode, schema };
@@ -0,0 +1,152 @@
+const path = require('path');
+
+// Filter fields a client can subscribe by
+const FILTER_FIELDS = ['sessions', 'events', 'directories'];
+
+// Session list patches, numbered by revision
+const SESSION_PATCHES = new Set(['session_added', 'session_updated', 'session_removed']);
+
+// "a,b", ["a", "b"] or ["a,b"] -> ["a", "b"]; missing -> []
+function toList(value, field) {
+  if (value === undefined || value === null) return [];
+  const items = Array.isArray(value) ? value : [value];
+  if (items.some(item => typeof item !== 'string')) {
+    throw new Error(`${field} must be a string or a list of strings`);
+  }
+  return items.flatMap(item => item.split(',')).map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Build a subscription from a `subscribe` message or /api/stream query
+ * @param {Object} input - { sessions, events, directories }, each a list or a
+ *   comma-separated string
+ * @returns {Object|null} { sessions, events, directories }, or null when no
+ *   filter is given (everything is delivered)
+ */
+function parseSubscription(input = {}) {
+  const subscription = {};
+  for (const field of FILTER_FIELDS) {
+    subscription[field] = toList(input[field], field);
+  }
+  subscription.directories = subscription.directories.map(dir => path.resolve(dir));
+  return FILTER_FIELDS.some(field => subscription[field].length > 0) ? subscription : null;
+}
+
+// The directory itself or anything below it
+function inDirectory(dir, prefixes) {
+  if (!dir) return false;
+  const resolved = path.resolve(dir);
+  return prefixes.some(prefix => resolved === prefix || resolved.startsWith(prefix + path.sep));
+}
+
+/**
+ * Does a session (managed, observed, or only known by ID) match the session
+ * and directory filters? Subagents match through their parent.
+ */
+function sessionMatches(subscription, { ids, directory }) {
+  if (subscription.sessions.length > 0 && !ids.some(id => id && subscription.sessions.includes(id))) {
+    return false;
+  }
+  if (subscription.directories.length > 0 && !inDirectory(directory, subscription.directories)) {
+    return false;
+  }
+  return true;
+}
+
+// IDs and directory of a session record
+function describeSession(session) {
+  return {
+    ids: [session.id, session.claudeSessionId],
+    directory: session.directory || session.cwd || null
+  };
+}
+
+// Match a session referred to by managed or Claude session IDs (the first
+// one the store knows supplies the directory unless one is given)
+function referenceMatches(subscription, sessionStore, refs, directory = null) {
+  const session = refs
+    .map(id => id && (sessionStore.findById(id) || sessionStore.findByClaudeSessionId(id)))
+    .find(Boolean);
+  const ids = [...refs];
+  if (session) {
+    const described = describeSession(session);
+    ids.push(...described.ids);
+    directory = directory || described.directory;
+  }
+  return sessionMatches(subscription, { ids, directory });
+}
+
+/**
+ * What of a broadcast a subscriber should get
+ *
+ * - Hook events must match every filter (event types by hook_event_name).
+ * - Session lists and the permission queue are cut down to matching sessions,
+ *   and session patches go through for matching sessions only.
+ * - Other session-scoped messages (usage, budget_exceeded, decision_request...)
+ *   go through when their session matches.
+ * - Messages about no particular session go to everyone.
+ *
+ * @param {Object|null} subscription - From parseSubscription
+ * @param {Object} message - As passed to broadcast()
+ * @param {SessionStore} sessionStore
+ * @returns {Object|null} The message (or a filtered copy), or null to skip it
+ */
+function filterMessage(subscription, message, sessionStore) {
+  if (!subscription) return message;
+
+  if (message.type === 'event') {
+    const { event } = message;
+    if (subscription.events.length > 0 && !subscription.events.includes(event.hook_event_name)) {
+      return null;
+    }
+    const refs = [event.session_id, event.parent_session_id];
+    return referenceMatches(subscription, sessionStore, refs, event.cwd) ? message : null;
+  }
+
+  if (message.type === 'sessions') {
+    const sessions = message.sessions.filter(s => sessionMatches(subscription, describeSession(s)));
+    return { ...message, sessions };
+  }
+
+  if (message.type === 'session_added') {
+    return sessionMatches(subscription, describeSession(message.session)) ? message : null;
+  }
+  if (message.type === 'session_updated') {
+    return referenceMatches(subscription, sessionStore, [message.id]) ? message : null;
+  }
+  if (message.type === 'session_removed') {
+    const ids = [message.id, message.claudeSessionId];
+    return sessionMatches(subscription, { ids, directory: message.directory }) ? message : null;
+  }
+
+  if (message.type === 'permissions') {
+    const permissions = message.permissions.filter(entry =>
+      referenceMatches(subscription, sessionStore, [entry.sessionId, entry.claudeSessionId]));
+    return { ...message, permissions };
+  }
+
+  const sessionId = message.sessionId || (message.request && message.request.sessionId);
+  if (!sessionId) return message;
+  return referenceMatches(subscription, sessionStore, [sessionId]) ? message : null;
+}
+
+/**
+ * What of a broadcast goes to one subscriber: a WebSocket client or SSE stream
+ * with a `subscription` and the `revision` of the session list it was last
+ * sent. A filtered subscriber misses the patches of other sessions, so its
+ * patches are renumbered from its own revision and arrive without gaps.
+ *
+ * @param {Object} subscriber - { subscription, revision }
+ * @param {Object} message - As passed to broadcast()
+ * @param {SessionStore} sessionStore
+ * @returns {Object|null} The message (or a filtered copy), or null to skip it
+ */
+function messageFor(subscriber, message, sessionStore) {
+  if (!subscriber.subscription) return message;
+  const filtered = filterMessage(subscriber.subscription, message, sessionStore);
+  if (!filtered || !SESSION_PATCHES.has(filtered.type)) return filtered;
+  subscriber.revision += 1;
+  return { ...filtered, revision: subscriber.revision };
+}
+
+module.exports = { parseSubscription, filterMessage, messageFor };
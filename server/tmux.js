@@ -48,13 +48,13 @@ function validateDirectoryPath(dirPath) {
 }
 
 // Execute tmux command safely using execFile
-function tmuxExec(args) {
+function tmuxExec(args, { trim = true } = {}) {
   return new Promise((resolve, reject) => {
     execFile('tmux', args, { timeout: 10000 }, (error, stdout, stderr) => {
       if (error) {
         reject(new Error(stderr || error.message));
       } else {
-        resolve(stdout.trim());
+        resolve(trim ? stdout.trim() : stdout);
       }
     });
   });
@@ -272,6 +272,54 @@ async function capturePane(sessionName, lines = 50) {
   return output;
 }
 
+/**
+ * Capture recent history plus the visible screen, with line positions
+ * Returns { top, lines } where `top` is the absolute line number of lines[0]
+ * (history lines count from the oldest), so consecutive captures can be diffed.
+ */
+async function capturePaneLines(sessionName, lines = 200) {
+  const validName = validateTmuxName(sessionName);
+  const target = `${validName}:0.0`;
+
+  // One tmux invocation: history size first, then the capture
+  const output = await tmuxExec([
+    'display-message', '-p', '-t', target, '#{history_size}', ';',
+    'capture-pane', '-p', '-t', target, '-S', `-${lines}`
+  ], { trim: false });
+
+  const captured = output.split('\n');
+  const historySize = parseInt(captured.shift()) || 0;
+  if (captured[captured.length - 1] === '') captured.pop(); // Trailing newline
+
+  // Blank rows below the cursor aren't content
+  while (captured.length > 0 && captured[captured.length - 1].trim() === '') {
+    captured.pop();
+  }
+
+  return { top: Math.max(0, historySize - lines), lines: captured };
+}
+
+// Pipe everything written to a session's pane into a shell command
+// (any existing pipe on the pane is closed first)
+async function pipePane(sessionName, command) {
+  const validName = validateTmuxName(sessionName);
+  await tmuxExec(['pipe-pane', '-t', `${validName}:0.0`, command]);
+}
+
+// Close a pane's output pipe
+async function stopPipePane(sessionName) {
+  const validName = validateTmuxName(sessionName);
+  await tmuxExec(['pipe-pane', '-t', `${validName}:0.0`]);
+}
+
+// Start a control-mode client (tmux -C) attached to a session; the caller owns the process
+function spawnControlClient(sessionName) {
+  const validName = validateTmuxName(sessionName);
+  return spawn('tmux', ['-C', 'attach-session', '-t', validName], {
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+}
+
 module.exports = {
   validateTmuxName,
   validateDirectoryPath,
@@ -285,5 +333,9 @@ module.exports = {
   sendCancel,
   killSession,
   capturePane,
+  capturePaneLines,
+  pipePane,
+  stopPipePane,
+  spawnControlClient,
   TMUX_NAME_REGEX
 };
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { TokenStore } = require('../server/auth');
+const { tempDir } = require('./helpers');
+
+// Make sure a write is seen even within the file system's mtime granularity
+let mtime = Date.now() / 1000;
+function touch(file) {
+  mtime += 10;
+  fs.utimesSync(file, mtime, mtime);
+}
+
+test('tokens revoked by another process are rejected by a running store', (t) => {
+  const dir = tempDir(t);
+  const server = new TokenStore(dir);
+  const { token, record } = server.create('alice', 'operator');
+  assert.equal(server.verify(token).id, record.id);
+
+  // `claudegrid token revoke alice` runs in its own process
+  assert.ok(new TokenStore(dir).revoke('alice'));
+  touch(server.tokensFile);
+
+  assert.equal(server.verify(token), null);
+  assert.deepEqual(server.list(), []);
+});
+
+test('tokens created by another process are accepted without a restart', (t) => {
+  const dir = tempDir(t);
+  const server = new TokenStore(dir);
+  const { token: first } = server.create('default');
+  assert.ok(server.verify(first).lastUsed);
+
+  const { token: second } = new TokenStore(dir).create('bob', 'viewer');
+  touch(server.tokensFile);
+
+  assert.equal(server.verify(second).role, 'viewer');
+  assert.ok(server.list().find(t => t.name === 'default').lastUsed, 'lastUsed survives the reload');
+});
+
+test('a broken tokens.json keeps the previous tokens', (t) => {
+  const dir = tempDir(t);
+  const server = new TokenStore(dir);
+  const { token } = server.create('alice');
+
+  fs.writeFileSync(server.tokensFile, '{ "oops": ');
+  touch(server.tokensFile);
+
+  assert.ok(server.verify(token));
+  assert.ok(server.config.error);
+});
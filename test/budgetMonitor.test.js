@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionStore, SessionState } = require('../server/SessionStore');
+const { BudgetMonitor, budgetFromEnv } = require('../server/BudgetMonitor');
+const { tempDir } = require('./helpers');
+
+function tempStore(t) {
+  return new SessionStore(tempDir(t));
+}
+
+test('budgets are read from the environment by prefix', () => {
+  const env = { CLAUDEGRID_BUDGET_TOKENS: '1000', CLAUDEGRID_GLOBAL_BUDGET_TOOL_CALLS: '50' };
+  assert.deepEqual(budgetFromEnv(env), { tokens: 1000, minutes: null, toolCalls: null });
+  assert.deepEqual(budgetFromEnv(env, 'CLAUDEGRID_GLOBAL_BUDGET_'), { tokens: null, minutes: null, toolCalls: 50 });
+});
+
+test('a session over its own budget stops until that budget is raised', (t) => {
+  const store = tempStore(t);
+  const exceeded = [];
+  const monitor = new BudgetMonitor(store, { onExceeded: (session, breach) => exceeded.push(breach) });
+  const session = store.create({ name: 'a', tmuxSession: 'cg-a', budget: { tokens: null, minutes: null, toolCalls: 2 } });
+
+  monitor.countToolCall(session);
+  assert.equal(session.state, SessionState.IDLE);
+  monitor.countToolCall(session);
+  assert.equal(session.state, SessionState.OVER_BUDGET);
+  assert.deepEqual(exceeded, [{ limit: 'toolCalls', used: 2, max: 2, scope: 'session' }]);
+
+  monitor.setBudget(session, { toolCalls: 5 });
+  assert.equal(session.state, SessionState.IDLE);
+  assert.equal(session.budgetExceeded, null);
+});
+
+test('the global budget stops every running session once they reach it together', (t) => {
+  const store = tempStore(t);
+  const monitor = new BudgetMonitor(store, { globalBudget: { tokens: null, minutes: null, toolCalls: 3 } });
+  const a = store.create({ name: 'a', tmuxSession: 'cg-a' });
+  const b = store.create({ name: 'b', tmuxSession: 'cg-b' });
+  const gone = store.create({ name: 'gone', tmuxSession: 'cg-gone' });
+  store.update(gone.id, { state: SessionState.OFFLINE, toolCalls: 10 }); // Offline sessions don't count
+
+  monitor.countToolCall(a);
+  monitor.countToolCall(b);
+  assert.equal(monitor.globalUsage().toolCalls, 2);
+  monitor.countToolCall(a);
+  assert.equal(a.state, SessionState.OVER_BUDGET);
+  const { at, ...breach } = a.budgetExceeded;
+  assert.deepEqual(breach, { limit: 'toolCalls', used: 3, max: 3, scope: 'global' });
+
+  monitor.enforceAll();
+  assert.equal(b.state, SessionState.OVER_BUDGET);
+  assert.equal(gone.state, SessionState.OFFLINE);
+
+  // A session's own budget can't lift a global stop
+  monitor.setBudget(b, { toolCalls: 100 });
+  assert.equal(b.state, SessionState.OVER_BUDGET);
+
+  const resumed = monitor.setGlobalBudget({ toolCalls: 10 });
+  assert.deepEqual(resumed.map(s => s.name).sort(), ['a', 'b']);
+  assert.equal(a.state, SessionState.IDLE);
+});
@@ -0,0 +1,26 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser ES module; only its DOM-free helpers are used here
+const inspector = import('../client/js/EventInspector.js');
+
+const render = lines => lines.map(({ op, line }) => op + line);
+
+test('diffLines keeps common lines and marks removals before additions', async () => {
+  const { diffLines } = await inspector;
+  assert.deepEqual(render(diffLines('a\nb\nc\nd', 'a\nB\nc\nd\ne')), [' a', '-b', '+B', ' c', ' d', '+e']);
+  assert.deepEqual(render(diffLines('same', 'same')), [' same']);
+  assert.deepEqual(render(diffLines('', 'new')), ['+new']);
+  assert.deepEqual(render(diffLines(undefined, 'x\ny')), ['+x', '+y']);
+  assert.deepEqual(render(diffLines('old', '')), ['-old']);
+  assert.deepEqual(render(diffLines('x\ny\nz', 'y')), ['-x', ' y', '-z']);
+});
+
+test('diffLines gives up on the alignment for very large edits', async () => {
+  const { diffLines } = await inspector;
+  const before = Array.from({ length: 600 }, (_, i) => `line ${i}`).join('\n');
+  const after = Array.from({ length: 600 }, (_, i) => `line ${i}`).join('\n');
+  const lines = diffLines(before, after);
+  assert.equal(lines.length, 1200);
+  assert.ok(lines.slice(0, 600).every(l => l.op === '-') && lines.slice(600).every(l => l.op === '+'));
+});
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { EventJournal } = require('../server/EventJournal');
+const { tempDir } = require('./helpers');
+
+test('events are stamped with received_at and a per-session sequence', (t) => {
+  const journal = new EventJournal(tempDir(t));
+  const a1 = journal.append({ session_id: 'a', hook_event_name: 'SessionStart' });
+  const b1 = journal.append({ session_id: 'b', hook_event_name: 'SessionStart', received_at: 1700000000000 });
+  const a2 = journal.append({ session_id: 'a', hook_event_name: 'Stop' });
+  const none = journal.append({ hook_event_name: 'Notification' });
+
+  assert.deepEqual([a1.seq, b1.seq, a2.seq, none.seq], [1, 2, 3, 4]);
+  assert.deepEqual([a1.event.session_seq, b1.event.session_seq, a2.event.session_seq], [1, 1, 2]);
+  assert.equal(none.event.session_seq, undefined);
+  assert.equal(a1.event.received_at, a1.ts);
+  assert.equal(b1.event.received_at, 1700000000000);
+});
+
+test('sequences and event_ids survive a restart', (t) => {
+  const dir = tempDir(t);
+  const journal = new EventJournal(dir);
+  journal.append({ session_id: 'a', hook_event_name: 'SessionStart', event_id: 'e1' });
+  journal.append({ session_id: 'a', hook_event_name: 'Stop' });
+
+  const reopened = new EventJournal(dir);
+  assert.ok(reopened.hasEventId('e1'));
+  const next = reopened.append({ session_id: 'a', hook_event_name: 'SessionEnd' });
+  assert.equal(next.seq, 3);
+  assert.equal(next.event.session_seq, 3);
+});
+
+test('queries read back from the newest record across rotated files', async (t) => {
+  const dir = tempDir(t);
+  const journal = new EventJournal(dir, { maxBytes: 1000 });
+  for (let i = 0; i < 12; i++) {
+    journal.append({ session_id: i % 2 ? 'odd' : 'even', hook_event_name: i % 3 ? 'PreToolUse' : 'Stop' });
+  }
+  assert.ok(fs.existsSync(path.join(dir, 'events.jsonl.1')), 'journal rotated');
+
+  const seqs = (records) => records.map(r => r.seq);
+  assert.deepEqual(seqs(await journal.query({ limit: 3 })), [10, 11, 12]);
+  assert.deepEqual(seqs(await journal.query({ sinceSeq: 8 })), [9, 10, 11, 12]);
+  assert.deepEqual(seqs(await journal.query({ session: 'odd', type: 'Stop' })), [4, 10]);
+  assert.deepEqual(seqs(await journal.query({ sinceSeq: '2', limit: 2 })), [11, 12]);
+  assert.equal((await journal.query()).length, 12);
+
+  // Restart picks the sequence up from the newest file
+  assert.equal(new EventJournal(dir, { maxBytes: 1000 }).append({ hook_event_name: 'Stop' }).seq, 13);
+});
+
+test('since is always a time and since_seq always a sequence number', async (t) => {
+  const journal = new EventJournal(tempDir(t));
+  for (let i = 0; i < 5; i++) journal.append({ hook_event_name: 'Stop' });
+
+  const seqs = (records) => records.map(r => r.seq);
+  assert.equal((await journal.query({ since: 3 })).length, 5, 'a small number is still epoch ms');
+  assert.deepEqual(seqs(await journal.query({ since: new Date(Date.now() + 60000).toISOString() })), []);
+  assert.deepEqual(seqs(await journal.query({ sinceSeq: 3 })), [4, 5]);
+  assert.deepEqual(seqs(await journal.query({ sinceSeq: 10 })), []);
+  await assert.rejects(journal.query({ since: 'yesterday' }), /Invalid since parameter/);
+  await assert.rejects(journal.query({ sinceSeq: '2026-01-01' }), /Invalid since_seq parameter/);
+});
+
+test('a restart reads only the active file on top of the index saved at rotation', (t) => {
+  const dir = tempDir(t);
+  const journal = new EventJournal(dir, { maxBytes: 1000 });
+  for (let i = 0; i < 12; i++) {
+    journal.append({ session_id: i < 6 ? 'early' : 'late', hook_event_name: 'Stop', event_id: `e${i}` });
+  }
+  const index = JSON.parse(fs.readFileSync(path.join(dir, 'events.index.json'), 'utf8'));
+  assert.ok(index.seq > 0 && index.seq < 12);
+
+  // Whatever the rotated files hold now, only the index is read for them
+  fs.writeFileSync(path.join(dir, 'events.jsonl.2'), '');
+  const reopened = new EventJournal(dir, { maxBytes: 1000 });
+  assert.ok(reopened.hasEventId('e0') && reopened.hasEventId('e11'));
+  assert.equal(reopened.append({ session_id: 'early', hook_event_name: 'Stop' }).event.session_seq, 7);
+  assert.equal(reopened.seq, 13);
+
+  // An index that doesn't match the newest rotated file is ignored
+  fs.writeFileSync(path.join(dir, 'events.index.json'), JSON.stringify({ ...index, seq: index.seq - 1, sessionSeqs: {} }));
+  assert.equal(new EventJournal(dir, { maxBytes: 1000 }).append({ session_id: 'late', hook_event_name: 'Stop' }).event.session_seq, 7);
+});
+
+test('a rotation during a query neither repeats nor skips records', async (t) => {
+  const journal = new EventJournal(tempDir(t), { maxBytes: 1000 });
+  for (let i = 0; i < 12; i++) journal.append({ hook_event_name: 'Stop' });
+
+  const seqs = [];
+  for await (const record of journal.log.recordsBackward()) {
+    seqs.push(record.seq);
+    // Rotate everything under the reader after its first record
+    if (seqs.length === 1) journal.log.rotate();
+  }
+  assert.deepEqual(seqs, [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser ES module; only its DOM-free helpers are used here
+const eventLog = import('../client/js/EventLog.js');
+
+test('entries sort by when they happened, then by journal seq', async () => {
+  const { entryFields, isNewer } = await eventLog;
+  const late = entryFields({ seq: 9, occurred_at: 1000, received_at: 9000 });
+  const live = entryFields({ seq: 8, received_at: 5000 });
+  const tie = entryFields({ seq: 7, occurred_at: 5000 });
+
+  assert.equal(late.time, 1000, 'occurred_at wins over received_at');
+  assert.equal(live.time, 5000);
+  assert.equal(entryFields({}, 42).time, 42);
+  assert.ok(isNewer(live, late), 'queued events land where they happened');
+  assert.ok(isNewer(live, tie) && !isNewer(tie, live), 'same time: higher seq first');
+});
+
+test('filters need one selected chip per group and the search text', async () => {
+  const { entryFields, matchesFilters } = await eventLog;
+  const bash = entryFields({ hook_event_name: 'PreToolUse', session_id: 's1', tool_name: 'Bash', tool_input: { command: 'npm Test' } });
+  const policy = entryFields({ type: 'PolicyDecision', session_id: 's2', tool: 'Bash' });
+  const none = { type: new Set(), session: new Set(), tool: new Set() };
+
+  assert.deepEqual(bash.values, { type: 'PreToolUse', session: 's1', tool: 'Bash' });
+  assert.deepEqual(policy.values, { type: 'PolicyDecision', session: 's2', tool: 'Bash' });
+  assert.ok(matchesFilters(bash, none, ''));
+  assert.ok(matchesFilters(bash, { ...none, tool: new Set(['Bash', 'Edit']) }, 'npm test'));
+  assert.ok(!matchesFilters(bash, { ...none, tool: new Set(['Bash']), session: new Set(['s2']) }, ''));
+  assert.ok(matchesFilters(policy, { ...none, tool: new Set(['Bash']), session: new Set(['s2']) }, ''));
+  assert.ok(!matchesFilters(policy, none, 'npm'), 'entries without tool_input never match a search');
+});
+
+test('CSV export quotes cells and writes times as ISO strings', async () => {
+  const { toCsv } = await eventLog;
+  const csv = toCsv([
+    { seq: 1, occurred_at: Date.UTC(2026, 0, 1), received_at: Date.UTC(2026, 0, 2), session_id: 's1', session_seq: 1, hook_event_name: 'PreToolUse', tool_name: 'Bash', tool_use_id: 't1', tool_input: { command: 'echo "a, b"' } },
+    { type: 'BudgetExceeded', tool: 'Edit', received_at: null }
+  ]);
+  assert.equal(csv, [
+    'seq,occurred_at,received_at,session_id,session_seq,hook_event_name,tool_name,tool_use_id,tool_input',
+    '1,2026-01-01T00:00:00.000Z,2026-01-02T00:00:00.000Z,s1,1,PreToolUse,Bash,t1,"{""command"":""echo \\""a, b\\""""}"',
+    ',,,,,BudgetExceeded,Edit,,',
+    ''
+  ].join('\r\n'));
+});
@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+const { encode, PROTOCOL_VERSION } = require('../server/protocol');
+const { Federation } = require('../server/Federation');
+const { tempDir, waitFor } = require('./helpers');
+
+// Write federation.json with an mtime that always differs from the last one
+let mtime = Date.now() / 1000;
+function writeConfig(file, data) {
+  fs.writeFileSync(file, typeof data === 'string' ? data : JSON.stringify(data));
+  mtime += 10;
+  fs.utimesSync(file, mtime, mtime);
+}
+
+// Upstream ClaudeGrid stand-in: greets each client and records what it sends
+async function startUpstream(t) {
+  const wss = new WebSocketServer({ port: 0, handleProtocols: () => 'claudegrid' });
+  await new Promise(resolve => wss.once('listening', resolve));
+  const upstream = { wss, socket: null, received: [], journalSeq: 0, url: `http://127.0.0.1:${wss.address().port}` };
+  wss.on('connection', (socket, req) => {
+    upstream.socket = socket;
+    upstream.protocols = req.headers['sec-websocket-protocol'];
+    socket.on('message', data => upstream.received.push(JSON.parse(data.toString())));
+    socket.send(encode({ type: 'hello', protocol: PROTOCOL_VERSION, journalSeq: upstream.journalSeq }));
+  });
+  upstream.send = message => upstream.socket.send(encode(message));
+  t.after(() => new Promise((resolve) => {
+    wss.clients.forEach(socket => socket.terminate());
+    wss.close(resolve);
+  }));
+  return upstream;
+}
+
+function startFederation(t, file) {
+  const seen = { events: [], messages: [] };
+  const federation = new Federation(path.dirname(file), {
+    file,
+    onEvent: event => seen.events.push(event),
+    onMessage: message => seen.messages.push(message)
+  });
+  t.after(() => federation.apply([]));
+  return { federation, seen };
+}
+
+test('upstream sessions, permissions and events are merged under the host name', async (t) => {
+  const upstream = await startUpstream(t);
+  const file = path.join(tempDir(t), 'federation.json');
+  writeConfig(file, { hosts: [{ name: 'build-1', url: upstream.url, token: 'secret' }] });
+  const { federation, seen } = startFederation(t, file);
+
+  await waitFor(() => upstream.received.some(m => m.type === 'hello'), 'hello');
+  assert.ok(upstream.protocols.includes('token.secret'), 'token sent as a subprotocol');
+
+  upstream.send({
+    type: 'init',
+    revision: 4,
+    sessions: [
+      { id: 's1', claudeSessionId: 'c1', state: 'idle', name: 'api', subagents: [{ id: 'a1', parentSessionId: 'c1' }] },
+      { id: 's2', state: 'idle', host: 'elsewhere' } // Mirrored by the upstream itself
+    ],
+    permissions: [{ id: 'p1', sessionId: 's1', claudeSessionId: 'c1' }]
+  });
+  await waitFor(() => federation.getSessions().length > 0, 'sessions');
+
+  const [session] = federation.getSessions();
+  assert.equal(federation.getSessions().length, 1);
+  assert.equal(session.id, 'build-1:s1');
+  assert.equal(session.claudeSessionId, 'build-1:c1');
+  assert.equal(session.host, 'build-1');
+  assert.deepEqual(session.subagents, [{ id: 'build-1:a1', parentSessionId: 'build-1:c1' }]);
+  assert.equal(federation.findById('build-1:s1').name, 'api');
+  assert.equal(federation.findByClaudeSessionId('build-1:c1').id, 'build-1:s1');
+  assert.equal(federation.findById('s1'), null);
+  assert.deepEqual(federation.resolve('build-1:s1'), { host: 'build-1', id: 's1' });
+  assert.deepEqual(federation.resolve('build-1:p1'), { host: 'build-1', id: 'p1' });
+  assert.equal(federation.resolve('other:s1'), null);
+  assert.equal(federation.resolve('build-1:local'), null, 'IDs the host never reported stay local');
+  assert.deepEqual(federation.getPermission('build-1:p1'),
+    { id: 'build-1:p1', sessionId: 'build-1:s1', claudeSessionId: 'build-1:c1', host: 'build-1' });
+
+  // Patches apply in revision order
+  upstream.send({ type: 'session_updated', revision: 5, id: 's1', changes: { state: 'working' }, removed: ['name'] });
+  await waitFor(() => federation.findById('build-1:s1').state === 'working', 'patch');
+  assert.equal('name' in federation.findById('build-1:s1'), false);
+
+  // A gap asks for the full list again
+  upstream.send({ type: 'session_removed', revision: 9, id: 's1' });
+  await waitFor(() => upstream.received.some(m => m.type === 'get_sessions'), 'get_sessions');
+  assert.equal(federation.getSessions().length, 1);
+
+  upstream.send({ type: 'event', seq: 7, ts: 1, event: { session_id: 'c1', parent_session_id: 'c0', hook_event_name: 'Stop' } });
+  upstream.send({ type: 'event', seq: 7, ts: 1, event: { session_id: 'c1', hook_event_name: 'Stop' } }); // Duplicate
+  upstream.send({ type: 'event', seq: 8, ts: 2, event: { session_id: 'c9', hook_event_name: 'Stop', host: 'elsewhere' } });
+  upstream.send({ type: 'usage', sessionId: 's1', tokens: 10 });
+  await waitFor(() => seen.messages.length > 0, 'usage');
+
+  assert.deepEqual(seen.events, [{ session_id: 'build-1:c1', parent_session_id: 'build-1:c0', hook_event_name: 'Stop', host: 'build-1' }]);
+  assert.deepEqual(seen.messages, [{ type: 'usage', sessionId: 'build-1:s1', tokens: 10, host: 'build-1' }]);
+  assert.equal(federation.status()[0].lastSeq, 8);
+});
+
+test('events are taken again from an upstream whose journal was reset', async (t) => {
+  const upstream = await startUpstream(t);
+  const file = path.join(tempDir(t), 'federation.json');
+  writeConfig(file, { hosts: [{ name: 'build-1', url: upstream.url, token: 'secret' }] });
+  const { federation, seen } = startFederation(t, file);
+
+  await waitFor(() => upstream.socket, 'connection');
+  upstream.send({ type: 'event', seq: 41, ts: 1, event: { session_id: 'c1', hook_event_name: 'Stop' } });
+  await waitFor(() => federation.status()[0].lastSeq === 41, 'event');
+
+  // The upstream comes back with a fresh journal
+  upstream.journalSeq = 2;
+  upstream.received.length = 0;
+  upstream.socket.terminate();
+  await waitFor(() => upstream.received.some(m => m.type === 'replay'), 'replay');
+  const replay = upstream.received.find(m => m.type === 'replay');
+  assert.equal(replay.sinceSeq, 0);
+
+  upstream.send({ type: 'replay', requestId: replay.requestId, events: [
+    { seq: 1, ts: 2, event: { session_id: 'c2', hook_event_name: 'SessionStart' } },
+    { seq: 2, ts: 3, event: { session_id: 'c2', hook_event_name: 'Stop' } }
+  ] });
+  await waitFor(() => seen.events.length === 3, 'replayed events');
+  assert.deepEqual(seen.events.map(e => e.session_id), ['build-1:c1', 'build-1:c2', 'build-1:c2']);
+  assert.equal(federation.status()[0].lastSeq, 2);
+});
+
+test('a broken federation.json keeps the current hosts', async (t) => {
+  const upstream = await startUpstream(t);
+  const file = path.join(tempDir(t), 'federation.json');
+  writeConfig(file, { hosts: [{ name: 'build-1', url: upstream.url, token: 'secret' }] });
+  const { federation } = startFederation(t, file);
+  assert.deepEqual(federation.status().map(h => h.name), ['build-1']);
+
+  writeConfig(file, { hosts: [{ name: 'a', url: upstream.url, token: 'x' }, { name: 'a', url: upstream.url, token: 'y' }] });
+  federation.reload();
+  assert.equal(federation.error, 'a: duplicate host name');
+  assert.deepEqual(federation.status().map(h => h.name), ['build-1']);
+
+  writeConfig(file, { hosts: [{ name: 'bad:name', url: upstream.url, token: 'x' }] });
+  federation.reload();
+  assert.match(federation.error, /name must be/);
+
+  writeConfig(file, '{');
+  federation.reload();
+  assert.ok(federation.error);
+  assert.deepEqual(federation.status().map(h => h.name), ['build-1']);
+
+  fs.rmSync(file);
+  federation.reload();
+  assert.equal(federation.error, null);
+  assert.deepEqual(federation.status(), []);
+});
@@ -0,0 +1,62 @@
+// Shared by the test files; holds no tests of its own
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const SERVER = path.join(__dirname, '..', 'bin', 'claudegrid.js');
+
+// A fresh directory under the OS temp dir, removed after the test
+function tempDir(t, prefix = 'claudegrid-test-') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Poll `check` (which may return a promise) until it is truthy
+async function waitFor(check, what) {
+  for (let i = 0; i < 300; i++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.fail(`timed out waiting for ${what}`);
+}
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Run a real server on a free port with its own HOME, stopped after the test
+ * @returns {Promise<{ home: string, url: string, token: string }>}
+ */
+async function startServer(t) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'claudegrid-server-'));
+  const port = await freePort();
+  const server = spawn(process.execPath, [SERVER], {
+    env: { ...process.env, HOME: home, CLAUDEGRID_PORT: String(port) },
+    stdio: 'ignore'
+  });
+  t.after(async () => {
+    if (server.exitCode === null) {
+      const exited = new Promise(resolve => server.once('exit', resolve));
+      server.kill();
+      await exited;
+    }
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+  const url = `http://127.0.0.1:${port}`;
+  await waitFor(() => fetch(`${url}/api/health`).then(res => res.ok, () => false), 'the server');
+
+  const token = fs.readFileSync(path.join(home, '.claudegrid', 'data', 'token'), 'utf8').trim();
+  return { home, url, token };
+}
+
+module.exports = { tempDir, waitFor, freePort, startServer };
@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+const { tempDir, waitFor, freePort, startServer } = require('./helpers');
+
+const HOOK = path.join(__dirname, '..', 'hooks', 'claudegrid-hook.js');
+
+// Run the hook (an event on stdin, or --flush) and wait for it to exit
+function runHook(env, { event, args = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [HOOK, ...args], { env: { ...process.env, ...env }, stdio: ['pipe', 'ignore', 'ignore'] });
+    child.on('error', reject);
+    child.on('exit', resolve);
+    child.stdin.end(event ? JSON.stringify(event) : '');
+  });
+}
+
+function readSpool(file) {
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line)) : [];
+}
+
+// Stand-in for /api/events answering with `status(event)`
+async function startReceiver(t, status) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const event = JSON.parse(body);
+      received.push(event);
+      res.writeHead(status(event), { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => new Promise(resolve => server.close(resolve)));
+  return { received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('events are queued, readable only by the user, while the server is down', async (t) => {
+  const dir = tempDir(t);
+  const spool = path.join(dir, 'spool', 'events.jsonl');
+  const env = { CLAUDEGRID_URL: `http://127.0.0.1:${await freePort()}`, CLAUDEGRID_SPOOL: spool, CLAUDEGRID_TOKEN: 'cg_test' };
+
+  await runHook(env, { event: { session_id: 's1', hook_event_name: 'SessionStart' } });
+  await runHook(env, { args: ['--flush'] });
+  await waitFor(() => !fs.existsSync(`${spool}.flush`), 'the background flush');
+
+  const [queued] = readSpool(spool);
+  assert.equal(readSpool(spool).length, 1);
+  assert.equal(queued.hook_event_name, 'SessionStart');
+  assert.match(queued.event_id, /^[0-9a-f-]{36}$/);
+  assert.ok(Number.isFinite(queued.occurred_at));
+  assert.equal(fs.statSync(path.dirname(spool)).mode & 0o777, 0o700);
+  assert.equal(fs.statSync(spool).mode & 0o777, 0o600);
+});
+
+test('the queue is sent in order; refused tokens wait and rejected events are logged', async (t) => {
+  const dir = tempDir(t);
+  const spool = path.join(dir, 'events.jsonl');
+  let tokenAccepted = false;
+  const receiver = await startReceiver(t, (event) => {
+    if (!tokenAccepted) return 401;
+    return event.hook_event_name === 'Broken' ? 400 : 200;
+  });
+  const env = { CLAUDEGRID_URL: receiver.url, CLAUDEGRID_SPOOL: spool, CLAUDEGRID_TOKEN: 'cg_test' };
+
+  // Hold the flush lock so the events stay queued until we flush
+  fs.writeFileSync(`${spool}.flush`, '');
+  for (const name of ['SessionStart', 'Broken', 'Stop']) {
+    await runHook(env, { event: { session_id: 's1', hook_event_name: name } });
+  }
+  fs.rmSync(`${spool}.flush`);
+
+  await runHook(env, { args: ['--flush'] });
+  assert.deepEqual(receiver.received.map(e => e.hook_event_name), ['SessionStart']);
+  assert.equal(readSpool(spool).length, 3, 'nothing is dropped for a refused token');
+
+  tokenAccepted = true;
+  receiver.received.length = 0;
+  await runHook(env, { args: ['--flush'] });
+  assert.deepEqual(receiver.received.map(e => e.hook_event_name), ['SessionStart', 'Broken', 'Stop']);
+  assert.deepEqual(readSpool(spool), []);
+  assert.match(fs.readFileSync(path.join(dir, 'hook.log'), 'utf8'), /dropped Broken [0-9a-f-]{36}: server answered HTTP 400\n$/);
+});
+
+test('an event sent again after a lost reply is recorded once', async (t) => {
+  const { home, url, token } = await startServer(t);
+  const spool = path.join(home, 'events.jsonl');
+  const event = { session_id: 's1', hook_event_name: 'Stop', event_id: 'e-1', occurred_at: Date.now() };
+  fs.writeFileSync(spool, `${JSON.stringify(event)}\n${JSON.stringify(event)}\n`);
+
+  await runHook({ CLAUDEGRID_URL: url, CLAUDEGRID_SPOOL: spool, CLAUDEGRID_TOKEN: token }, { args: ['--flush'] });
+  assert.deepEqual(readSpool(spool), []);
+
+  const res = await fetch(`${url}/api/events?session=s1`, { headers: { Authorization: `Bearer ${token}` } });
+  const { events } = await res.json();
+  assert.deepEqual(events.map(r => r.event.event_id), ['e-1']);
+});
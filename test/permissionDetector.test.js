@@ -0,0 +1,30 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const tmux = require('../server/tmux');
+const permissionDetector = require('../server/permissionDetector');
+const { SessionStore, SessionState } = require('../server/SessionStore');
+const { tempDir } = require('./helpers');
+
+test('a prompt on screen marks the session waiting, but not one stopped by its budget', async (t) => {
+  const pane = fs.readFileSync(path.join(__dirname, 'fixtures', 'panes', 'bash-boxed-ansi.txt'), 'utf8');
+  mock.method(tmux, 'capturePane', async () => pane);
+  t.after(() => mock.restoreAll());
+
+  const store = new SessionStore(tempDir(t));
+  const prompts = [];
+  permissionDetector.start(store, (sessionId, prompt) => prompts.push([sessionId, prompt.tool]));
+  t.after(() => permissionDetector.stop());
+
+  const idle = store.create({ name: 'idle', tmuxSession: 'cg-idle' });
+  const stopped = store.create({ name: 'stopped', tmuxSession: 'cg-stopped' });
+  store.setState(stopped.id, SessionState.OVER_BUDGET);
+
+  await permissionDetector.checkNow(idle.id);
+  await permissionDetector.checkNow(stopped.id);
+
+  assert.equal(store.get(idle.id).state, SessionState.WAITING);
+  assert.equal(store.get(stopped.id).state, SessionState.OVER_BUDGET);
+  assert.deepEqual(prompts, [[idle.id, 'Bash'], [stopped.id, 'Bash']], 'the prompt is still reported');
+});
@@ -0,0 +1,94 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { parsePermissionPrompt, stripAnsi } = require('../server/permissionParser');
+const { answerKeys } = require('../server/PolicyEngine');
+
+// Captured panes: `tmux capture-pane -p -e -t <session> > test/fixtures/panes/<name>.txt`
+function pane(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'panes', `${name}.txt`), 'utf8');
+}
+
+function keysOf(prompt) {
+  return prompt.options.map(o => [o.number, o.kind]);
+}
+
+test('stripAnsi removes colours, OSC hyperlinks and cursor moves', () => {
+  assert.equal(stripAnsi('\x1b[1;36mbold\x1b[0m \x1b]8;;https://x.dev\x07link\x1b]8;;\x07\x1b[2K'), 'bold link');
+});
+
+test('boxed Bash dialog with ANSI colours', () => {
+  const prompt = parsePermissionPrompt(pane('bash-boxed-ansi'));
+  assert.equal(prompt.tool, 'Bash');
+  assert.equal(prompt.command, 'rm -rf build');
+  assert.equal(prompt.description, 'Remove the old build directory');
+  assert.equal(prompt.question, 'Do you want to proceed?');
+  assert.deepEqual(keysOf(prompt), [['1', 'yes'], ['2', 'always'], ['3', 'no']]);
+  assert.equal(prompt.options[0].selected, true);
+  assert.match(prompt.options[1].label, /^Yes, and don't ask again for rm commands/);
+});
+
+test('rule-style Bash dialog with a multi-line command and key hints', () => {
+  const prompt = parsePermissionPrompt(pane('bash-rule-multiline'));
+  assert.equal(prompt.tool, 'Bash');
+  assert.equal(prompt.command, 'cd packages/api &&\nnpm test -- --runInBand');
+  assert.equal(prompt.description, 'Run the API test suite');
+  assert.deepEqual(keysOf(prompt), [['1', 'yes'], ['2', 'always'], ['3', 'no']]);
+});
+
+test('Edit dialog with a nested diff preview', () => {
+  const prompt = parsePermissionPrompt(pane('edit-file'));
+  assert.equal(prompt.tool, 'Edit');
+  assert.equal(prompt.file, 'src/server/routes.js');
+  assert.equal(prompt.question, 'Do you want to make this edit to routes.js?');
+  assert.deepEqual(keysOf(prompt), [['1', 'yes'], ['2', 'always'], ['3', 'no']]);
+});
+
+test('Create file dialog maps to Write', () => {
+  const prompt = parsePermissionPrompt(pane('create-file'));
+  assert.equal(prompt.tool, 'Write');
+  assert.equal(prompt.file, 'docs/CHANGELOG.md');
+});
+
+test('Fetch dialog carries the URL', () => {
+  const prompt = parsePermissionPrompt(pane('webfetch'));
+  assert.equal(prompt.tool, 'WebFetch');
+  assert.equal(prompt.url, 'https://nodejs.org/api/test.html');
+  assert.equal(prompt.options[1].kind, 'always');
+});
+
+test('MCP tool dialog names the server and tool', () => {
+  const prompt = parsePermissionPrompt(pane('mcp-tool'));
+  assert.equal(prompt.tool, 'mcp__github__create_issue');
+  assert.deepEqual(keysOf(prompt), [['1', 'yes'], ['2', 'always'], ['3', 'no']]);
+});
+
+test('two-option dialog with the cursor on No', () => {
+  const prompt = parsePermissionPrompt(pane('two-options-no-selected'));
+  assert.equal(prompt.command, 'git push --force origin main');
+  assert.deepEqual(keysOf(prompt), [['1', 'yes'], ['2', 'no']]);
+  assert.deepEqual(prompt.options.map(o => o.selected), [false, true]);
+});
+
+test('plain (y/n) question on the last line', () => {
+  const prompt = parsePermissionPrompt(pane('yes-no'));
+  assert.equal(prompt.question, 'Overwrite existing release v1.4.2? (y/n)');
+  assert.deepEqual(keysOf(prompt), [['y', 'yes'], ['n', 'no']]);
+});
+
+for (const name of ['numbered-list-output', 'answered-dialog', 'yn-in-output', 'numbered-list-bottom']) {
+  test(`no dialog: ${name}`, () => {
+    assert.equal(parsePermissionPrompt(pane(name)), null);
+  });
+}
+
+test('policy answers pick the one-time options, never "don\'t ask again"', () => {
+  const prompt = parsePermissionPrompt(pane('bash-boxed-ansi'));
+  assert.equal(answerKeys('allow', prompt.options), '1');
+  assert.equal(answerKeys('deny', prompt.options), '3');
+
+  const edit = parsePermissionPrompt(pane('edit-file'));
+  const reordered = [edit.options[1], edit.options[0], edit.options[2]];
+  assert.equal(answerKeys('allow', reordered), '1');
+});
@@ -0,0 +1,106 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const WebSocket = require('ws');
+const { validateMessage, encode, schema, PROTOCOL_VERSION } = require('../server/protocol');
+const { startServer } = require('./helpers');
+
+test('encode wraps messages in the versioned envelope', () => {
+  assert.deepEqual(JSON.parse(encode({ type: 'pong', requestId: 3 })), { v: PROTOCOL_VERSION, type: 'pong', requestId: 3 });
+});
+
+test('valid client messages pass', () => {
+  assert.deepEqual(validateMessage({ v: 1, type: 'send_prompt', requestId: 'a1', sessionId: 's1', prompt: 'hi' }, 'client'), []);
+  assert.deepEqual(validateMessage({ type: 'subscribe', sessions: 'a,b', events: ['Stop'] }, 'client'), []);
+  assert.deepEqual(validateMessage({ type: 'watch_transcript', sessionId: null }, 'client'), []);
+});
+
+test('invalid client messages name the problem', () => {
+  assert.deepEqual(validateMessage({ type: 'send_prompt', sessionId: 's1' }, 'client'), ['send_prompt.prompt is required']);
+  assert.deepEqual(validateMessage({ type: 'decision_response', id: 'x', decision: 'maybe' }, 'client'),
+    ['decision_response.decision must be one of "allow", "deny"']);
+  assert.deepEqual(validateMessage({ type: 'terminal_resize', cols: 80.5, rows: 24 }, 'client'), ['terminal_resize.cols must be integer']);
+  assert.deepEqual(validateMessage({ type: 'nope' }, 'client'), ['Unknown message type: nope']);
+  assert.deepEqual(validateMessage({ sessionId: 's1' }, 'client'), ['message.type is required']);
+  assert.deepEqual(validateMessage({ type: 'ping', requestId: {} }, 'client'), ['message.requestId must be string or integer']);
+});
+
+test('server messages are checked through $refs', () => {
+  const record = { seq: 4, ts: 1700000000000, event: { session_id: 'c1', hook_event_name: 'Stop' } };
+  assert.deepEqual(validateMessage({ v: 1, type: 'event', ...record }, 'server'), []);
+  assert.deepEqual(validateMessage({ v: 1, type: 'replay', events: [record, { seq: 5 }] }, 'server'),
+    ['replay.events[1].ts is required', 'replay.events[1].event is required']);
+  assert.deepEqual(validateMessage({ v: 1, type: 'session_added', revision: 1, session: { id: 'm1' } }, 'server'),
+    ['session_added.session.state is required']);
+});
+
+test('every $ref in the schema resolves', () => {
+  const refs = [];
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    if (typeof node.$ref === 'string') refs.push(node.$ref);
+    Object.values(node).forEach(walk);
+  })(schema);
+  for (const ref of refs) {
+    assert.ok(schema.definitions[ref.replace('#/definitions/', '')], `${ref} is defined`);
+  }
+});
+
+test('session patches and budget stops validate with their optional fields', () => {
+  assert.deepEqual(validateMessage({ v: 1, type: 'session_updated', revision: 2, id: 'a', changes: { state: 'idle' }, removed: ['usage'] }, 'server'), []);
+  assert.deepEqual(validateMessage({ v: 1, type: 'session_updated', revision: 2, id: 'a', changes: {}, removed: 'usage' }, 'server'),
+    ['session_updated.removed must be array']);
+  assert.deepEqual(validateMessage({ v: 1, type: 'budget_exceeded', sessionId: 'a', limit: 'tokens', used: 2, max: 1, scope: 'fleet' }, 'server'),
+    ['budget_exceeded.scope must be one of "session", "global"']);
+});
+
+test('the browser runs the same checks from protocol/validate.js', () => {
+  const browser = {};
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'protocol', 'validate.js'), 'utf8'), browser);
+  const message = { type: 'decision_response', id: 'x', decision: 'maybe' };
+  assert.deepEqual([...browser.ClaudeGridProtocol.validateMessage(schema, message, 'client')], validateMessage(message, 'client'));
+  assert.deepEqual(validateMessage({ v: 1, type: 'decision_sent', ids: ['x'], decision: 'allow' }, 'server'), []);
+});
+
+test('the server answers invalid messages with invalid_message and only sends valid ones', async (t) => {
+  const { url, token } = await startServer(t);
+  const ws = new WebSocket(`${url.replace('http', 'ws')}/ws`, { headers: { Authorization: `Bearer ${token}` } });
+  t.after(() => ws.terminate());
+
+  const received = [];
+  const waiters = [];
+  ws.on('message', (data) => {
+    const message = JSON.parse(data.toString());
+    assert.deepEqual(validateMessage(message, 'server'), [], `${message.type} matches the schema`);
+    received.push(message);
+    waiters.splice(0).forEach(wake => wake());
+  });
+  const next = async (type) => {
+    for (;;) {
+      const found = received.findIndex(m => m.type === type);
+      if (found >= 0) return received.splice(found, 1)[0];
+      await new Promise(resolve => waiters.push(resolve));
+    }
+  };
+
+  const init = await next('init');
+  assert.equal(init.v, PROTOCOL_VERSION);
+
+  ws.send('{not json');
+  assert.deepEqual(await next('error'), { v: PROTOCOL_VERSION, type: 'error', code: 'invalid_message', error: 'Message is not valid JSON' });
+
+  ws.send(JSON.stringify({ type: 'send_prompt', requestId: 'r1', sessionId: 's1' }));
+  assert.deepEqual(await next('error'), {
+    v: PROTOCOL_VERSION, type: 'error', code: 'invalid_message', error: 'Invalid send_prompt: send_prompt.prompt is required', requestId: 'r1'
+  });
+
+  ws.send(JSON.stringify({ v: PROTOCOL_VERSION + 1, type: 'ping', requestId: 'r2' }));
+  const unsupported = await next('error');
+  assert.equal(unsupported.code, 'unsupported_protocol');
+  assert.equal(unsupported.requestId, 'r2');
+
+  ws.send(JSON.stringify({ v: PROTOCOL_VERSION, type: 'ping', requestId: 'r3' }));
+  assert.deepEqual(await next('pong'), { v: PROTOCOL_VERSION, type: 'pong', requestId: 'r3' });
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionPatcher } = require('../server/SessionPatcher');
+const { parseSubscription, messageFor } = require('../server/subscriptions');
+
+test('patches carry changed fields and list removed ones', () => {
+  const patcher = new SessionPatcher();
+  const [added] = patcher.diff([{ id: 'a', state: 'idle', budgetExceeded: { limit: 'tokens' }, usage: 1 }]);
+  assert.deepEqual(added, { type: 'session_added', revision: 1, session: { id: 'a', state: 'idle', budgetExceeded: { limit: 'tokens' }, usage: 1 } });
+
+  assert.deepEqual(patcher.diff([{ id: 'a', state: 'working', budgetExceeded: null }]), [
+    { type: 'session_updated', revision: 2, id: 'a', changes: { state: 'working', budgetExceeded: null }, removed: ['usage'] }
+  ]);
+  assert.deepEqual(patcher.diff([{ id: 'a', state: 'working', budgetExceeded: null }]), []);
+  assert.deepEqual(patcher.diff([{ id: 'a', state: 'idle', budgetExceeded: null }]), [
+    { type: 'session_updated', revision: 3, id: 'a', changes: { state: 'idle' } }
+  ]);
+  assert.deepEqual(patcher.diff([]), [
+    { type: 'session_removed', revision: 4, id: 'a', claudeSessionId: null, directory: null }
+  ]);
+});
+
+test('filtered subscribers get gapless revisions of their own', () => {
+  const store = { findById: () => null, findByClaudeSessionId: () => null };
+  const patcher = new SessionPatcher();
+  const everyone = { subscription: null };
+  const filtered = { subscription: parseSubscription({ sessions: 'b' }), revision: 0 };
+
+  const received = { everyone: [], filtered: [] };
+  const broadcast = (sessions) => {
+    for (const patch of patcher.diff(sessions)) {
+      received.everyone.push(messageFor(everyone, patch, store));
+      const message = messageFor(filtered, patch, store);
+      if (message) received.filtered.push(message);
+    }
+  };
+  broadcast([{ id: 'a', state: 'idle' }, { id: 'b', state: 'idle' }]);
+  broadcast([{ id: 'a', state: 'working' }, { id: 'b', state: 'idle' }]);
+  broadcast([{ id: 'a', state: 'working' }, { id: 'b', state: 'working' }]);
+
+  assert.deepEqual(received.everyone.map(p => p.revision), [1, 2, 3, 4]);
+  assert.deepEqual(received.filtered.map(p => [p.type, p.id || p.session.id, p.revision]),
+    [['session_added', 'b', 1], ['session_updated', 'b', 2]]);
+  assert.equal(filtered.revision, 2);
+});
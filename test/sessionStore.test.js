@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { SessionStore } = require('../server/SessionStore');
+const { tempDir } = require('./helpers');
+
+function usageRecord(timestamp, messageId, inputTokens = 100) {
+  return { messageId, timestamp, model: 'claude-sonnet-4', inputTokens, outputTokens: 10, cacheCreationTokens: 0, cacheReadTokens: 0 };
+}
+
+test('usage is written in batches, not on every poll', (t) => {
+  const dir = tempDir(t);
+  const store = new SessionStore(dir);
+  const session = store.create({ name: 'a', directory: '/tmp/a', tmuxSession: 'cg-a' });
+
+  store.recordUsage(session, [usageRecord(new Date().toISOString(), 'm1')]);
+  store.recordUsage(session, [usageRecord(new Date().toISOString(), 'm2')]);
+  assert.equal(fs.existsSync(store.usageFile), false);
+  assert.ok(store.usageSaveTimer);
+
+  store.flushUsage();
+  assert.equal(store.usageSaveTimer, null);
+  const saved = fs.readFileSync(store.usageFile, 'utf8');
+  assert.equal(saved.includes('\n'), false, 'written compact');
+  assert.equal(new SessionStore(dir).getUsage(session.id).inputTokens, 200);
+});
+
+test('old day buckets are dropped and old deleted sessions archived', (t) => {
+  const store = new SessionStore(tempDir(t));
+  const live = store.create({ name: 'live', directory: '/tmp/live', tmuxSession: 'cg-live' });
+  store.recordUsage(live, [usageRecord('2020-01-01T00:00:00.000Z', 'old')]);
+  store.recordUsage(live, [usageRecord(new Date().toISOString(), 'new')]);
+
+  // Usage of 500 sessions that were deleted since, the first the longest ago
+  for (let i = 0; i < 500; i++) {
+    const timestamp = new Date(Date.UTC(2024, 0, 1) + i * 60000).toISOString();
+    store.recordUsage({ id: `gone-${i}`, name: `gone ${i}`, directory: '/tmp/gone' }, [usageRecord(timestamp, `m${i}`, 1)]);
+  }
+  const before = store.getUsageReport().totals.inputTokens;
+  store.flushUsage();
+
+  const report = store.getUsageReport({ days: 10000 });
+  assert.deepEqual(report.days.map(d => d.date), [new Date().toISOString().slice(0, 10)]);
+  assert.equal(report.sessions.length, 500);
+  assert.equal(report.archivedSessions, 1);
+  assert.ok(report.sessions.some(s => s.sessionId === live.id), 'live sessions are kept');
+  assert.ok(!report.sessions.some(s => s.sessionId === 'gone-0'), 'the longest idle one is archived');
+  assert.equal(report.totals.inputTokens, before);
+  assert.equal(report.directories.find(d => d.directory === '/tmp/live').inputTokens, 200);
+});
@@ -0,0 +1,15 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Browser ES module; loaded the way the page loads it
+const utils = import('../client/js/utils.js');
+
+test('escapeHtml makes text safe inside quoted attributes', async () => {
+  const { escapeHtml } = await utils;
+  const directory = '/tmp/x" onmouseover="alert(1)';
+  assert.equal(escapeHtml(directory), '/tmp/x&quot; onmouseover=&quot;alert(1)');
+  assert.equal(`<td title="${escapeHtml(directory)}">`.match(/"/g).length, 2);
+  assert.equal(escapeHtml("<b>'&'</b>"), '&lt;b&gt;&#39;&amp;&#39;&lt;/b&gt;');
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});